@@ -5,7 +5,7 @@
 // Application State
 // ============================================================================
 const state = {
-    mode: 'addTower', // 'addTower' or 'addLink'
+    mode: 'addTower', // 'addTower', 'addLink' or 'suggestLinks'
     towers: [],
     links: [],
     selectedTowers: [],
@@ -14,7 +14,60 @@ const state = {
     linkIdCounter: 1,
     pendingTowerLocation: null,
     activeLinkForFresnel: null,
-    confirmAction: null
+    confirmAction: null,
+    modalReturnFocus: {}, // Element that had focus before each open modal, by modal id
+    projects: [], // Saved project metadata: { id, name, createdAt, updatedAt, corrupt }
+    activeProjectId: null,
+    projectDb: null,
+    storedOverlayPayloads: new Map(), // Overlay key → the GeoJSON or image already in OVERLAY_STORE for the open project
+    storageAvailable: true,
+    autosaveTimer: null,
+    nameAction: null,
+    elevationSource: 'none', // 'none', 'mock' or 'dem'
+    elevationProvider: null,
+    demProvider: null,
+    linkModalLinkId: null,
+    kFactor: 4 / 3, // Effective earth radius factor (DEFAULT_K_FACTOR)
+    visibleFresnelZones: [1],
+    fresnelCursorFraction: 0.5, // Cross-section position along the active link, 0 = tower1
+    undoStack: [],
+    redoStack: [],
+    historyBatch: null, // Commands collected by recordBatch
+    historySuspended: false,
+    radioPickerAction: null,
+    gisImport: null, // Features and attribute mapping of the GIS file being imported
+    csvImport: null, // Rows and column mapping of the CSV file being imported
+    reportInProgress: false,
+    channelTolerance: 1, // MHz (DEFAULT_CHANNEL_TOLERANCE)
+    rainRegion: 'K', // Key of RAIN_REGIONS or 'custom' (DEFAULT_RAIN_REGION)
+    rainRate: 42, // mm/h exceeded for 0.01% of the year, used when rainRegion is 'custom'
+    declinationMode: 'model', // 'model' (GEOMAGNETIC_MODEL) or 'manual'
+    declination: 0, // Manual magnetic declination, degrees east
+    networkPathRequest: null, // { fromId, toId, metric } chosen in the Network section
+    networkPath: null, // Result of findNetworkPath for that request
+    showTopology: false,
+    networkTopology: null, // analyzeNetworkTopology() while the topology view is on
+    suggestions: null, // Running or finished link suggestion job
+    suggestionLayer: null,
+    coverage: null, // Running or finished coverage job
+    coverageLayer: null,
+    bulkSelection: { towers: new Set(), links: new Set() }, // Ids ticked for bulk editing
+    listFilters: {
+        towers: { query: '', band: 'all', sort: 'added' },
+        links: { query: '', band: 'all', status: 'all', minDistance: null, maxDistance: null, sort: 'added' }
+    },
+    listLimits: { towers: 50, links: 50 }, // Items rendered so far (LIST_PAGE_SIZE per page)
+    listObservers: {},
+    basemap: 'auto', // Key of BASEMAPS or the id of a custom basemap in mapLayers (DEFAULT_BASEMAP)
+    basemapOpacity: 1,
+    mapLayers: [], // Custom tile sources and local overlays saved with the project
+    overlayLayers: {}, // Leaflet layers of the visible overlays by id
+    review: null, // { name } of a plan opened read-only from a share link
+    basemapLayer: null,
+    offlineArea: null, // { bounds, rectangle } chosen for tile download
+    offlineAreaDrawing: false,
+    offlineDownload: null, // Progress of the running tile download
+    offlineTileStats: null // { count, bytes } of the tiles stored for offline use
 };
 
 // ============================================================================
@@ -22,28 +75,271 @@ const state = {
 // ============================================================================
 const SPEED_OF_LIGHT = 3e8; // m/s
 const DEFAULT_FREQUENCY = 5.0; // GHz
+const EARTH_RADIUS_KM = 6371;
+const TERRAIN_PROFILE_SAMPLES = 256;
+const FRESNEL_CLEARANCE_TARGET = 0.6; // Fraction of the first Fresnel zone that should be clear
+const MAX_FRESNEL_ZONES = 5;
+const FRESNEL_FOOTPRINT_SPACING = 25; // m between footprint cross-sections
+const FRESNEL_FOOTPRINT_MIN_SAMPLES = 32;
+const FRESNEL_FOOTPRINT_MAX_SAMPLES = 1024;
+const LINK_PATH_SEGMENT_KM = 10;
+const LINK_PATH_MAX_SEGMENTS = 128;
+const FRESNEL_ZONE_COLORS = ['#16a34a', '#0ea5e9', '#7c3aed', '#f59e0b', '#db2777'];
+const DEFAULT_ANTENNA_HEIGHT = 10; // m above ground level
+const DEFAULT_K_FACTOR = 4 / 3; // Standard atmosphere effective earth radius factor
+const FADE_MARGIN_GOOD = 20; // dB, margin recommended for a reliable link
+const FADE_MARGIN_FAIR = 10; // dB, below this the link is likely to drop out
+const LINK_MARGIN_COLORS = {
+    good: '#16a34a', // --success-color
+    fair: '#f59e0b', // --warning-color
+    poor: '#dc2626' // --danger-color
+};
+
+const POLARIZATIONS = { vertical: 'Vertical', horizontal: 'Horizontal' };
+const DEFAULT_POLARIZATION = 'vertical'; // Fades less in rain: falling drops are flattened horizontally
+// ITU-R P.837-1 rain climatic zones: rain rate (mm/h) exceeded for 0.01% of an average year
+const RAIN_REGIONS = { A: 8, B: 12, C: 15, D: 19, E: 22, F: 28, G: 30, H: 32, J: 35, K: 42, L: 60, M: 63, N: 95, P: 145, Q: 115 };
+const DEFAULT_RAIN_REGION = 'K';
+const MAX_RAIN_RATE = 300; // mm/h
+// Frequency range (GHz) the P.838-3 regressions are fitted over; rain fade is negligible below it
+const RAIN_MODEL_MIN_FREQUENCY = 1;
+const RAIN_MODEL_MAX_FREQUENCY = 1000;
+// ITU-R P.838-3 regression coefficients for k and α: [a, b, c] per Gaussian term
+const RAIN_COEFFICIENTS = {
+    horizontal: {
+        k: { terms: [[-5.33980, -0.10008, 1.13098], [-0.35351, 1.26970, 0.45400], [-0.23789, 0.86036, 0.15354], [-0.94158, 0.64552, 0.16817]], m: -0.18961, c: 0.71147 },
+        alpha: { terms: [[-0.14318, 1.82442, -0.55187], [0.29591, 0.77564, 0.19822], [0.32177, 0.63773, 0.13164], [-5.37610, -0.96230, 1.47828], [16.1721, -3.29980, 3.43990]], m: 0.67849, c: -1.95537 }
+    },
+    vertical: {
+        k: { terms: [[-3.80595, 0.56934, 0.81061], [-3.44965, -0.22911, 0.51059], [-0.39902, 0.73042, 0.11899], [0.50167, 1.07319, 0.27195]], m: -0.16398, c: 0.63297 },
+        alpha: { terms: [[-0.07771, 2.33840, -0.76284], [0.56727, 0.95545, 0.54039], [-0.20238, 1.14520, 0.26809], [-48.2991, 0.791669, 0.116226], [48.5833, 0.791459, 0.116479]], m: -0.053739, c: 0.83433 }
+    }
+};
+const WATER_VAPOUR_DENSITY = 7.5; // g/m³, the ITU-R P.676 reference atmosphere
+const GASEOUS_MODEL_MAX_FREQUENCY = 350; // GHz, upper end of the P.676 Annex 2 approximation
+const AVAILABILITY_MIN_PERCENTAGE = 0.001; // Range of time percentages the P.530 rain scaling holds for
+const AVAILABILITY_MAX_PERCENTAGE = 1;
+const AVAILABILITY_GOOD = 0.001; // % of the year in outage, "five nines"
+const AVAILABILITY_FAIR = 0.01;
+const MINUTES_PER_YEAR = 525960; // 365.25 days
+
+const DEFAULT_CHANNEL_WIDTH = 20; // MHz
+const DEFAULT_CHANNEL_TOLERANCE = 1; // MHz, centres closer than this are the same channel
+const INTERFERENCE_DISTANCE_KM = 1; // Antennas on overlapping channels closer than this desense each other
+const INTERFERENCE_BEAM_ANGLE = 15; // Degrees off boresight still counted as "pointing at" a site
+const INTERFERENCE_RANGE_FACTOR = 2; // Only sites within this multiple of the link length are checked
+// Named bands (GHz). Preset channels start at `firstChannel` and repeat every
+// `channelStep` GHz at `channelWidth` MHz while they fit inside the band.
+const CHANNEL_BANDS = [
+    { id: 'ism-2g4', name: '2.4 GHz ISM', min: 2.4, max: 2.4835, firstChannel: 2.412, channelStep: 0.025, channelWidth: 20 },
+    { id: 'unii-1', name: '5 GHz UNII-1', min: 5.15, max: 5.25, firstChannel: 5.18, channelStep: 0.02, channelWidth: 20 },
+    { id: 'unii-2a', name: '5 GHz UNII-2A', min: 5.25, max: 5.35, firstChannel: 5.26, channelStep: 0.02, channelWidth: 20 },
+    { id: 'unii-2c', name: '5 GHz UNII-2C', min: 5.47, max: 5.725, firstChannel: 5.5, channelStep: 0.02, channelWidth: 20 },
+    { id: 'unii-3', name: '5 GHz UNII-3', min: 5.725, max: 5.85, firstChannel: 5.745, channelStep: 0.02, channelWidth: 20 },
+    { id: 'unii-5-8', name: '6 GHz UNII-5 to 8', min: 5.925, max: 7.125, firstChannel: 5.955, channelStep: 0.08, channelWidth: 80 },
+    { id: 'licensed-11', name: '11 GHz licensed', min: 10.7, max: 11.7, firstChannel: 10.735, channelStep: 0.04, channelWidth: 40 },
+    { id: 'licensed-18', name: '18 GHz licensed', min: 17.7, max: 19.7, firstChannel: 17.75, channelStep: 0.1, channelWidth: 50 },
+    { id: 'ism-24', name: '24 GHz ISM', min: 24.0, max: 24.25, firstChannel: 24.1, channelStep: 0.1, channelWidth: 100 },
+    { id: 'v-band', name: '60 GHz V-band', min: 57, max: 71, firstChannel: 58.32, channelStep: 2.16, channelWidth: 2160 },
+    { id: 'e-band-low', name: '70 GHz E-band', min: 71, max: 76, firstChannel: 71.125, channelStep: 0.25, channelWidth: 250 },
+    { id: 'e-band-high', name: '80 GHz E-band', min: 81, max: 86, firstChannel: 81.125, channelStep: 0.25, channelWidth: 250 }
+];
+
+// Numeric site properties. `optional` ones may be left blank (null);
+// `min`/`max` bound the accepted values.
+const TOWER_PROPERTIES = {
+    groundElevation: { label: 'Ground elevation', unit: 'm ASL', inputId: 'towerGroundElevation', defaultValue: null, optional: true, step: 1 }
+};
+// Numeric properties of each radio on a tower, besides its frequency. The
+// tower modal's inputs set up the first radio.
+const RADIO_PROPERTIES = {
+    antennaHeight: { label: 'Antenna height', unit: 'm AGL', inputId: 'towerAntennaHeight', defaultValue: DEFAULT_ANTENNA_HEIGHT, min: 0, step: 1 },
+    azimuth: { label: 'Azimuth', unit: '°', inputId: 'towerAzimuth', defaultValue: null, optional: true, min: 0, max: 360, step: 1 }, // null = aimed along its link
+    channelWidth: { label: 'Channel width', unit: 'MHz', inputId: 'towerChannelWidth', defaultValue: DEFAULT_CHANNEL_WIDTH, min: 0.1, step: 5 },
+    txPower: { label: 'TX power', unit: 'dBm', inputId: 'towerTxPower', defaultValue: 20, step: 0.5 },
+    antennaGain: { label: 'Antenna gain', unit: 'dBi', inputId: 'towerAntennaGain', defaultValue: 23, step: 0.5 },
+    cableLoss: { label: 'Cable loss', unit: 'dB', inputId: 'towerCableLoss', defaultValue: 1, min: 0, step: 0.1 },
+    rxSensitivity: { label: 'RX sensitivity', unit: 'dBm', inputId: 'towerRxSensitivity', defaultValue: -80, step: 1 }
+};
+// Main geomagnetic field to degree 6: [n, m, g, h, ġ, ḣ] in nT and nT/year.
+// Truncating the series keeps declination within roughly 2° of the full model.
+const GEOMAGNETIC_MODEL = {
+    name: 'IGRF-13',
+    epoch: 2020,
+    coefficients: [
+        [1, 0, -29404.8, 0, 5.7, 0], [1, 1, -1450.9, 4652.5, 7.4, -25.9],
+        [2, 0, -2499.6, 0, -11.0, 0], [2, 1, 2982.0, -2991.6, -7.0, -30.2], [2, 2, 1677.0, -734.6, -2.1, -22.4],
+        [3, 0, 1363.2, 0, 2.2, 0], [3, 1, -2381.2, -82.1, -5.9, 6.0], [3, 2, 1236.2, 241.9, 3.1, -1.1], [3, 3, 525.7, -543.4, -12.0, 0.5],
+        [4, 0, 903.0, 0, -1.2, 0], [4, 1, 809.5, 281.9, -1.6, -0.1], [4, 2, 86.3, -158.4, -5.9, 6.5], [4, 3, -309.4, 199.7, 5.2, 3.6],
+        [4, 4, 48.0, -349.7, -5.1, -5.0],
+        [5, 0, -234.3, 0, -0.3, 0], [5, 1, 363.2, 47.7, 0.5, 0.0], [5, 2, 187.8, 208.3, -0.6, 2.5], [5, 3, -140.7, -121.2, 0.2, -0.6],
+        [5, 4, -151.2, 32.3, 1.3, 3.0], [5, 5, 13.5, 98.9, 0.9, 0.3],
+        [6, 0, 66.0, 0, -0.5, 0], [6, 1, 65.5, -19.1, -0.3, 0.0], [6, 2, 72.9, 25.1, 0.4, -1.6], [6, 3, -121.5, 52.8, 1.3, -1.3],
+        [6, 4, -36.2, -64.5, -1.4, 0.8], [6, 5, 13.5, 8.9, 0.0, 0.0], [6, 6, -64.7, 68.1, 0.9, 1.0]
+    ]
+};
+const NETWORK_PATH_COLOR = '#2563eb';
+// Distinguishable on both basemaps; repeats for plans with more networks
+const NETWORK_COMPONENT_COLORS = ['#0ea5e9', '#a855f7', '#f97316', '#14b8a6', '#e11d48', '#84cc16', '#6366f1', '#eab308'];
+
+// Path costs compare as tuples, most significant first
+const NETWORK_PATH_METRICS = {
+    distance: {
+        label: 'Shortest distance',
+        start: () => [0, 0],
+        extend: ([distance, hops], link) => [distance + link.distance, hops + 1]
+    },
+    hops: {
+        label: 'Fewest hops',
+        start: () => [0, 0],
+        extend: ([hops, distance], link) => [hops + 1, distance + link.distance]
+    },
+    reliability: {
+        // Widest path: maximise the weakest link's margin; ties go to the fewest hops (see findNetworkPath)
+        label: 'Most reliable',
+        start: () => [-Infinity],
+        extend: ([weakest], link) => [Math.max(weakest, -getLinkReliability(link))],
+        tieBreak: 'hops'
+    }
+};
+
+const SUGGESTION_PROFILE_SAMPLES = 64; // Coarser than the link profile; enough to screen candidates
+const SUGGESTION_PROGRESS_INTERVAL = 500; // Tower pairs between progress updates
+const SUGGESTION_LIST_LIMIT = 200; // Candidates listed and previewed on the map
+const COVERAGE_PROFILE_SAMPLES = 32; // Per grid cell; coarser again than link suggestions
+const COVERAGE_PROGRESS_INTERVAL = 2000; // Grid cells between progress updates
+const COVERAGE_MAX_CELLS = 301; // Grid cells across the diameter
+const COVERAGE_MAX_RADIUS = 100; // km
+const COVERAGE_FRONT_TO_BACK = 25; // dB, the most a sector antenna attenuates off its back
+const COVERAGE_SCALE_RANGE = 40; // dB above the threshold spanned by the colour scale
+const COVERAGE_COLORS = ['#dc2626', '#f59e0b', '#facc15', '#16a34a']; // Threshold to threshold + COVERAGE_SCALE_RANGE
+const COVERAGE_OPACITY = 0.6;
+const LIST_PAGE_SIZE = 50; // Sidebar items rendered per page
+const FOCUS_ZOOM = 14; // Zoom used when jumping to a tower or link from the lists
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const KEYBOARD_SHORTCUTS = [ // Listed in the shortcut help; handled by handleKeyboardShortcut and handleHistoryShortcut
+    { keys: ['T'], action: 'Add Tower mode' },
+    { keys: ['L'], action: 'Add Link mode' },
+    { keys: ['Enter'], action: 'On a tower in the list: select it for linking in Add Link mode, otherwise zoom to it' },
+    { keys: ['Enter'], action: 'On a tower marker: select it for linking in Add Link mode, otherwise open its popup' },
+    { keys: ['Delete'], action: 'Delete the ticked towers and links, or the focused or selected tower or link' },
+    { keys: ['Esc'], action: 'Close the dialog, or cancel drawing, tower selection and ticked items' },
+    { keys: ['Ctrl', 'Z'], action: 'Undo' },
+    { keys: ['Ctrl', 'Shift', 'Z'], action: 'Redo' },
+    { keys: ['?'], action: 'Show these shortcuts' }
+];
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file']; // Inputs that leave keyboard shortcuts active
+const MODAL_CLOSERS = { // Called on Esc and on a click outside the dialog
+    towerModal: hideTowerModal,
+    linkModal: hideLinkModal,
+    nameModal: hideNameModal,
+    importModal: hideImportModal,
+    shareModal: hideShareModal,
+    tileSourceModal: hideTileSourceModal,
+    interferenceModal: hideInterferenceModal,
+    networkModal: hideNetworkModal,
+    gisImportModal: hideGisImportModal,
+    alignmentModal: hideAlignmentModal,
+    csvImportModal: hideCsvImportModal,
+    radioPickerModal: () => hideRadioPicker(),
+    shortcutModal: hideShortcutModal,
+    confirmModal: hideConfirmationModal
+};
+const PROJECT_FILE_FORMAT = 'rf-link-planner-project';
+const PROJECT_SCHEMA_VERSION = 5;
+const PROJECT_DB_NAME = 'rf-link-planner';
+const PROJECT_DB_VERSION = 3;
+const PROJECT_STORE = 'projects';
+const TILE_STORE = 'tiles'; // Basemap tiles downloaded for offline use
+const OVERLAY_STORE = 'overlays'; // Local overlay GeoJSON and images, one record per project layer
+const AUTOSAVE_DELAY = 500; // ms
+const DOWNLOAD_URL_LIFETIME = 10000; // ms a download's object URL is kept after the click starts it
+const MAX_HISTORY = 100; // Undo steps kept per session
+const SHARE_HASH_KEY = 'plan'; // URL hash parameter that carries a shared plan
+const SHARE_URL_MAX_LENGTH = 8000; // Characters; longer links get cut off by some browsers, chat and mail clients
+const REVIEW_LOCKED_CONTROLS = [ // Controls that change the plan, disabled while reviewing a shared plan
+    'addTowerBtn', 'addLinkBtn', 'suggestLinksBtn',
+    'bulkFrequency', 'bulkFrequencyBtn', 'bulkAntennaHeight', 'bulkAntennaHeightBtn', 'bulkDeleteBtn',
+    'importProjectBtn', 'importCsvBtn', 'importGisBtn'
+];
+const BASEMAPS = { // 'auto' follows the colour theme; the others are tile sources
+    auto: { name: 'Street (dark in dark mode)', light: 'osm', dark: 'dark' },
+    osm: {
+        name: 'Street',
+        type: 'xyz',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        subdomains: 'abc',
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 19
+    },
+    topo: {
+        name: 'Topographic',
+        type: 'xyz',
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        subdomains: 'abc',
+        attribution: '© OpenStreetMap contributors, SRTM | Style © OpenTopoMap (CC-BY-SA)',
+        maxZoom: 17
+    },
+    satellite: {
+        name: 'Satellite',
+        type: 'xyz',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Imagery © Esri, Maxar, Earthstar Geographics',
+        maxZoom: 19
+    },
+    dark: {
+        name: 'Dark',
+        type: 'xyz',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+        subdomains: 'abcd',
+        attribution: '© OpenStreetMap contributors © CARTO',
+        maxZoom: 19
+    }
+};
+const DEFAULT_BASEMAP = 'auto';
+const MAP_LAYER_TYPES = { xyz: 'XYZ', wms: 'WMS', geojson: 'GeoJSON', image: 'Image' }; // Custom layers
+const MAP_MAX_ZOOM = 19;
+const LOCAL_OVERLAY_PANE = 'localOverlays'; // Between the tiles and the plan's links
+const LOCAL_OVERLAY_COLOR = '#dc2626'; // GeoJSON overlays, typically restricted zones
+const WEB_MERCATOR_EXTENT = 20037508.34; // m from the origin to the edge of EPSG:3857
+const OFFLINE_MAX_ZOOM = 17;
+const OFFLINE_MAX_TILES = 10000; // Per download, even from a server that allows bulk downloads
+const OFFLINE_TILE_BYTES_ESTIMATE = 15 * 1024; // Typical raster tile, used until real tiles have been measured
+const OFFLINE_DOWNLOAD_CONCURRENCY = 2; // Connections at once, to stay polite to the tile server
+const REPORT_PAGE_WIDTH = 1240; // px, A4 at 150 dpi
+const REPORT_PAGE_HEIGHT = 1754;
+const REPORT_PAGE_MARGIN = 80;
+const REPORT_MAX_ZOOM = 17;
+const REPORT_TILE_TIMEOUT = 8000; // ms before a basemap tile is left out of a snapshot
+const REPORT_SUMMARY_ROWS = 34; // Links per summary page
 
 // ============================================================================
 // Map Initialization
 // ============================================================================
 function initializeMap() {
     // Initialize Leaflet map centered on a default location
-    state.map = L.map('map').setView([40.7128, -74.0060], 10); // New York as default
+    // Shift-drag selects towers (setupBoxSelection) instead of zooming to a box
+    state.map = L.map('map', { boxZoom: false, maxZoom: MAP_MAX_ZOOM }).setView([40.7128, -74.0060], 10); // New York as default
 
-    // Add OpenStreetMap tile layer
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap contributors',
-        maxZoom: 19
-    }).addTo(state.map);
+    // GeoJSON and image overlays sit above the basemap but below the plan and never take clicks
+    const overlayPane = state.map.createPane(LOCAL_OVERLAY_PANE);
+    overlayPane.style.zIndex = 350;
+    overlayPane.style.pointerEvents = 'none';
+
+    // Basemap and overlays of the open project (see Map Layers), falling back to downloaded tiles offline
+    refreshBasemap();
 
     // Add click handler for map
     state.map.on('click', handleMapClick);
+    setupBoxSelection();
 }
 
 // ============================================================================
 // Event Handlers
 // ============================================================================
 function handleMapClick(e) {
+    if (e.originalEvent.shiftKey || state.offlineAreaDrawing) return; // The end of a box selection
+    if (state.review) return;
     if (state.mode === 'addTower') {
         // Store location and show modal for tower configuration
         state.pendingTowerLocation = e.latlng;
@@ -58,14 +354,18 @@ function showTowerModal() {
     
     nameInput.value = `Tower ${state.towerIdCounter}`;
     frequencyInput.value = DEFAULT_FREQUENCY;
+    [...Object.values(TOWER_PROPERTIES), ...Object.values(RADIO_PROPERTIES)].forEach(spec => {
+        document.getElementById(spec.inputId).value = spec.defaultValue !== null ? spec.defaultValue : '';
+    });
+    syncChannelSelect();
     
-    modal.classList.add('show');
+    openModal(modal);
     nameInput.focus();
 }
 
 function hideTowerModal() {
     const modal = document.getElementById('towerModal');
-    modal.classList.remove('show');
+    closeModal(modal);
     state.pendingTowerLocation = null;
 }
 
@@ -77,25 +377,92 @@ function saveTower() {
         showNotification('Please enter a valid tower name and frequency.', 'error');
         return;
     }
+
+    const properties = {};
+    const radio = { frequency };
+    const inputs = [[TOWER_PROPERTIES, properties], [RADIO_PROPERTIES, radio]];
+    for (const [specs, target] of inputs) {
+        for (const [field, spec] of Object.entries(specs)) {
+            const result = parseTowerProperty(field, document.getElementById(spec.inputId).value);
+            if (result.error) {
+                showNotification(result.error, 'error');
+                return;
+            }
+            target[field] = result.value;
+        }
+    }
     
     if (state.pendingTowerLocation) {
-        addTower(state.pendingTowerLocation, name, frequency);
+        addTower(state.pendingTowerLocation, name, [radio], null, properties);
         hideTowerModal();
     }
 }
 
-function addTower(latlng, name, frequency) {
+function parseTowerProperty(field, value) {
+    // Works for both site (TOWER_PROPERTIES) and radio (RADIO_PROPERTIES) fields
+    const spec = TOWER_PROPERTIES[field] || RADIO_PROPERTIES[field];
+    const trimmed = value === null || value === undefined ? '' : String(value).trim();
+    if (trimmed === '' && spec.optional) {
+        return { value: null };
+    }
+
+    const number = Number(trimmed);
+    if (trimmed === '' || !Number.isFinite(number)) {
+        return { error: `${spec.label} must be a number${spec.optional ? ', or left blank' : ''}.` };
+    }
+    if (spec.min !== undefined && number < spec.min) {
+        return { error: `${spec.label} must be at least ${spec.min} ${spec.unit}.` };
+    }
+    if (spec.max !== undefined && number > spec.max) {
+        return { error: `${spec.label} must be at most ${spec.max} ${spec.unit}.` };
+    }
+    return { value: number };
+}
+
+function createRadio(id, spec = {}) {
+    const radio = {
+        id,
+        name: spec.name || `Radio ${id}`,
+        frequency: spec.frequency !== undefined ? spec.frequency : DEFAULT_FREQUENCY
+    };
+    Object.entries(RADIO_PROPERTIES).forEach(([field, fieldSpec]) => {
+        radio[field] = spec[field] !== undefined ? spec[field] : fieldSpec.defaultValue;
+    });
+    return radio;
+}
+
+function getRadio(tower, radioId) {
+    return tower.radios.find(r => r.id === radioId) || null;
+}
+
+function getRadioLabel(tower, radio) {
+    // Single-radio towers are named by the tower alone
+    return tower.radios.length > 1 ? `${tower.name} (${radio.name})` : tower.name;
+}
+
+function getLinkLabel(link) {
+    return `${getRadioLabel(link.tower1, link.radio1)} ↔ ${getRadioLabel(link.tower2, link.radio2)}`;
+}
+
+function addTower(latlng, name, radios, id = null, properties = {}) {
     const tower = {
-        id: state.towerIdCounter++,
+        id: id !== null ? id : state.towerIdCounter++,
         name: name,
-        frequency: frequency,
         lat: latlng.lat,
         lng: latlng.lng,
+        // Each radio has its own channel, antenna and power settings; ids are unique within the tower
+        radios: radios.map((radio, index) => createRadio(radio.id !== undefined ? radio.id : index + 1, radio)),
         marker: null
     };
+    // Site settings (see TOWER_PROPERTIES); ground elevation null = look up from terrain
+    Object.entries(TOWER_PROPERTIES).forEach(([field, spec]) => {
+        tower[field] = properties[field] !== undefined ? properties[field] : spec.defaultValue;
+    });
     
     // Create marker
     const marker = L.marker([latlng.lat, latlng.lng], {
+        draggable: !state.review,
+        title: tower.name,
         icon: L.divIcon({
             className: 'tower-marker',
             iconSize: [20, 20],
@@ -104,7 +471,7 @@ function addTower(latlng, name, frequency) {
     }).addTo(state.map);
     
     // Add popup
-    marker.bindPopup(`<strong>${name}</strong><br>Frequency: ${frequency} GHz`);
+    marker.bindPopup(getTowerPopupContent(tower));
     
     // Add click handler for link mode
     marker.on('click', function(e) {
@@ -113,11 +480,61 @@ function addTower(latlng, name, frequency) {
             handleTowerClickForLink(tower);
         }
     });
+
+    // Markers are reachable with Tab; Enter picks one for a link like a click does.
+    // Leaflet's own Enter handler has opened the popup by now, which would cover the map while linking
+    marker.on('keypress', e => {
+        if (e.originalEvent.key !== 'Enter' || state.mode !== 'addLink') return;
+        marker.closePopup();
+        handleTowerClickForLink(tower);
+        // Selecting rebuilds the marker element, so focus the new one
+        const element = marker.getElement();
+        if (element && !getOpenModal()) element.focus();
+    });
+    
+    // Links follow the marker while dragging, at most once a frame; the drop is recorded as a single move
+    let dragStart = null;
+    let dragFrame = null;
+    marker.on('dragstart', () => {
+        dragStart = { lat: tower.lat, lng: tower.lng };
+    });
+    marker.on('drag', () => {
+        if (dragFrame !== null) return;
+        dragFrame = requestAnimationFrame(() => {
+            dragFrame = null;
+            setTowerPosition(tower.id, marker.getLatLng(), true);
+        });
+    });
+    marker.on('dragend', e => {
+        if (dragFrame !== null) {
+            cancelAnimationFrame(dragFrame);
+            dragFrame = null;
+        }
+        moveTower(tower.id, dragStart, e.target.getLatLng());
+    });
     
     tower.marker = marker;
+    labelTowerMarker(tower);
     state.towers.push(tower);
     
+    const snapshot = snapshotTower(tower);
+    recordCommand({
+        label: `add ${tower.name}`,
+        undo: () => performDeleteTower(snapshot.id),
+        redo: () => restoreTower(snapshot)
+    });
+    
     updateTowerList();
+    onPlanChanged();
+    return tower;
+}
+
+function getTowerPopupContent(tower) {
+    const ground = tower.groundElevation !== null ? `${tower.groundElevation} m ASL` : 'auto';
+    const radios = tower.radios.map(radio =>
+        `${escapeHtml(radio.name)}: ${escapeHtml(formatChannel(radio))}, ${radio.antennaHeight} m AGL, ${radio.txPower} dBm / ${radio.antennaGain} dBi`
+    ).join('<br>');
+    return `<strong>${escapeHtml(tower.name)}</strong><br>Ground: ${ground}<br>${radios}`;
 }
 
 function handleTowerClickForLink(tower) {
@@ -127,69 +544,121 @@ function handleTowerClickForLink(tower) {
     if (index !== -1) {
         // Deselect
         state.selectedTowers.splice(index, 1);
-        tower.marker.setIcon(L.divIcon({
-            className: 'tower-marker',
-            iconSize: [20, 20],
-            iconAnchor: [10, 10]
-        }));
     } else {
         // Select
         state.selectedTowers.push(tower);
-        tower.marker.setIcon(L.divIcon({
-            className: 'tower-marker selected',
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-        }));
     }
+    updateTowerMarker(tower);
     
     // If two towers selected, try to create link
     if (state.selectedTowers.length === 2) {
         const [tower1, tower2] = state.selectedTowers;
         
-        // Check if frequencies match
-        if (tower1.frequency !== tower2.frequency) {
-            showNotification(`Cannot connect towers with different frequencies! (${tower1.frequency} GHz vs ${tower2.frequency} GHz)`, 'error');
-            clearTowerSelection();
-            return;
-        }
-        
-        // Create link
-        createLink(tower1, tower2);
         clearTowerSelection();
+        linkTowers(tower1, tower2);
+        return;
     }
     
     updateTowerList();
 }
 
-function clearTowerSelection() {
-    state.selectedTowers.forEach(tower => {
-        tower.marker.setIcon(L.divIcon({
-            className: 'tower-marker',
-            iconSize: [20, 20],
-            iconAnchor: [10, 10]
-        }));
+async function linkTowers(tower1, tower2) {
+    // Radios on matching channels (within the tolerance) can be linked
+    const matching = findMatchingRadioPairs(tower1, tower2);
+    if (matching.length === 0) {
+        const channels = tower => tower.radios.map(r => `${r.frequency} GHz`).join(', ');
+        showNotification(`Cannot connect towers on different channels! (${channels(tower1)} vs ${channels(tower2)}, tolerance ${state.channelTolerance} MHz)`, 'error');
+        return;
+    }
+    const available = matching.filter(([radio1, radio2]) => !findLinkBetweenRadios(tower1, radio1, tower2, radio2));
+    if (available.length === 0) {
+        showNotification('A link already exists between these radios.', 'error');
+        return;
+    }
+
+    const pair = available.length === 1 ? available[0] : await showRadioPicker(tower1, tower2, available);
+    if (pair) {
+        createLink(tower1, tower2, null, pair[0], pair[1]);
+    }
+}
+
+function findMatchingRadioPairs(tower1, tower2) {
+    const pairs = [];
+    tower1.radios.forEach(radio1 => {
+        tower2.radios.forEach(radio2 => {
+            if (channelsMatch(radio1, radio2)) pairs.push([radio1, radio2]);
+        });
+    });
+    return pairs;
+}
+
+function findLinkBetweenRadios(tower1, radio1, tower2, radio2) {
+    const matches = (link, ta, ra, tb, rb) =>
+        link.tower1.id === ta.id && link.radio1.id === ra.id && link.tower2.id === tb.id && link.radio2.id === rb.id;
+    return state.links.find(link =>
+        matches(link, tower1, radio1, tower2, radio2) || matches(link, tower2, radio2, tower1, radio1)
+    ) || null;
+}
+
+function showRadioPicker(tower1, tower2, pairs) {
+    document.getElementById('radioPickerTitle').textContent = `Link ${tower1.name} ↔ ${tower2.name}`;
+    document.getElementById('radioPickerOptions').innerHTML = pairs.map(([radio1, radio2], index) => `
+        <button class="btn btn-secondary radio-option" data-index="${index}">
+            <strong>${escapeHtml(radio1.name)}</strong> ${escapeHtml(formatChannel(radio1))}
+            ↔
+            <strong>${escapeHtml(radio2.name)}</strong> ${escapeHtml(formatChannel(radio2))}
+        </button>
+    `).join('');
+
+    document.querySelectorAll('#radioPickerOptions .radio-option').forEach(button => {
+        button.addEventListener('click', () => hideRadioPicker(pairs[Number(button.dataset.index)]));
+    });
+    openModal(document.getElementById('radioPickerModal'));
+
+    return new Promise(resolve => {
+        state.radioPickerAction = { resolve };
     });
+}
+
+function hideRadioPicker(pair = null) {
+    closeModal(document.getElementById('radioPickerModal'));
+    if (state.radioPickerAction) {
+        state.radioPickerAction.resolve(pair);
+        state.radioPickerAction = null;
+    }
+}
+
+function clearTowerSelection() {
+    const deselected = state.selectedTowers;
     state.selectedTowers = [];
+    deselected.forEach(updateTowerMarker);
     updateTowerList();
 }
 
-function createLink(tower1, tower2) {
-    // Check if link already exists
-    const exists = state.links.some(link => 
-        (link.tower1.id === tower1.id && link.tower2.id === tower2.id) ||
-        (link.tower1.id === tower2.id && link.tower2.id === tower1.id)
-    );
+function createLink(tower1, tower2, id = null, radio1 = null, radio2 = null) {
+    // Without explicit radios, use the first pair on a matching channel
+    if (!radio1 || !radio2) {
+        [radio1, radio2] = findMatchingRadioPairs(tower1, tower2)[0] || [];
+        if (!radio1) {
+            showNotification(`${tower1.name} and ${tower2.name} have no radios on a matching channel.`, 'error');
+            return null;
+        }
+    }
     
-    if (exists) {
-        showNotification('A link already exists between these towers.', 'error');
-        return;
+    // Check if link already exists
+    if (findLinkBetweenRadios(tower1, radio1, tower2, radio2)) {
+        showNotification('A link already exists between these radios.', 'error');
+        return null;
     }
     
     const link = {
-        id: state.linkIdCounter++,
+        id: id !== null ? id : state.linkIdCounter++,
         tower1: tower1,
         tower2: tower2,
-        frequency: tower1.frequency,
+        radio1: radio1,
+        radio2: radio2,
+        frequency: radio1.frequency,
+        polarization: DEFAULT_POLARIZATION,
         polyline: null,
         fresnelZone: null
     };
@@ -200,9 +669,9 @@ function createLink(tower1, tower2) {
     
     // Create polyline
     const polyline = L.polyline(
-        [[tower1.lat, tower1.lng], [tower2.lat, tower2.lng]],
+        getLinkPath(tower1, tower2),
         {
-            color: '#3b82f6', // --primary-color
+            color: '#3b82f6', // --primary-color, replaced by the margin colour below
             weight: 3,
             opacity: 0.7
         }
@@ -214,10 +683,25 @@ function createLink(tower1, tower2) {
         showFresnelZone(link);
     });
     
+    // Live Fresnel radii under the mouse
+    polyline.bindTooltip('', { sticky: true, direction: 'top' });
+    polyline.on('mousemove', e => handleLinkHover(link, e));
+    
     link.polyline = polyline;
     state.links.push(link);
+    updateLinkStyle(link);
+    
+    const snapshot = snapshotLink(link);
+    recordCommand({
+        label: `link ${tower1.name} ↔ ${tower2.name}`,
+        undo: () => performDeleteLink(snapshot.id),
+        redo: () => restoreLink(snapshot)
+    });
     
     updateLinkList();
+    updateLinkTerrain(link);
+    onPlanChanged();
+    return link;
 }
 
 function requestDeleteTower(towerId) {
@@ -226,7 +710,7 @@ function requestDeleteTower(towerId) {
 
     showConfirmationModal(
         `Delete Tower: ${tower.name}?`,
-        'This will also remove all connected links. This action cannot be undone.',
+        'This will also remove all connected links. You can undo this with Ctrl+Z.',
         () => {
             const towerItem = document.querySelector(`.tower-item[data-id="${towerId}"]`);
             if (towerItem) {
@@ -246,11 +730,23 @@ function performDeleteTower(towerId) {
     if (towerIndex === -1) return;
     const tower = state.towers[towerIndex];
     const linksToRemove = state.links.filter(link => link.tower1.id === towerId || link.tower2.id === towerId);
-    linksToRemove.forEach(link => performDeleteLink(link.id));
-    state.map.removeLayer(tower.marker);
-    state.towers.splice(towerIndex, 1);
+
+    // The cascade of link deletions and the tower itself undo as one step
+    recordBatch(`delete ${tower.name}`, () => {
+        linksToRemove.forEach(link => performDeleteLink(link.id));
+        const snapshot = snapshotTower(tower);
+        state.map.removeLayer(tower.marker);
+        state.towers.splice(state.towers.indexOf(tower), 1);
+        state.selectedTowers = state.selectedTowers.filter(t => t.id !== towerId);
+        recordCommand({
+            label: `delete ${tower.name}`,
+            undo: () => restoreTower(snapshot),
+            redo: () => performDeleteTower(snapshot.id)
+        });
+    });
     updateTowerList();
     updateLinkList();
+    onPlanChanged();
 }
 
 function deleteLink(linkId, skipConfirm = false) {
@@ -269,7 +765,7 @@ function deleteLink(linkId, skipConfirm = false) {
 
     showConfirmationModal(
         `Delete Link ${link.id}?`,
-        `Are you sure you want to remove the link between ${link.tower1.name} and ${link.tower2.name}?`,
+        `Are you sure you want to remove the link ${getLinkLabel(link)}?`,
         () => {
             const linkItem = document.querySelector(`.link-item[data-id="${linkId}"]`);
             if (linkItem) {
@@ -288,221 +784,6647 @@ function performDeleteLink(linkId) {
     const linkIndex = state.links.findIndex(l => l.id === linkId);
     if (linkIndex === -1) return;
     const link = state.links[linkIndex];
+    const snapshot = snapshotLink(link);
     if (link.polyline) state.map.removeLayer(link.polyline);
     if (link.fresnelZone) state.map.removeLayer(link.fresnelZone);
     state.links.splice(linkIndex, 1);
     
+    recordCommand({
+        label: `delete link ${link.tower1.name} ↔ ${link.tower2.name}`,
+        undo: () => restoreLink(snapshot),
+        redo: () => performDeleteLink(snapshot.id)
+    });
+    
     // Clear active Fresnel if this was it
     if (state.activeLinkForFresnel === linkId) {
         state.activeLinkForFresnel = null;
     }
     
     updateLinkList();
+    onPlanChanged();
 }
 
-async function updateTowerFrequency(towerId, newFrequency) {
+async function updateRadioFrequency(towerId, radioId, newFrequency) {
     const tower = state.towers.find(t => t.id === towerId);
-    if (!tower) return;
+    const radio = tower && getRadio(tower, radioId);
+    if (!radio) return;
     
-    tower.frequency = parseFloat(newFrequency);
-    
-    // Update popup
-    tower.marker.setPopupContent(`<strong>${tower.name}</strong><br>Frequency: ${tower.frequency} GHz`);
+    const frequency = parseFloat(newFrequency);
+    if (!Number.isFinite(frequency) || frequency <= 0) {
+        showNotification('Frequency must be a positive number of GHz.', 'error');
+        updateTowerList(); // Restore the previous value in the input
+        return;
+    }
+    await changeRadioFrequencies([{ tower, radio }], frequency, `frequency change on ${getRadioLabel(tower, radio)}`);
+}
+
+async function changeRadioFrequencies(radios, frequency, label) {
+    // Moves every { tower, radio } to `frequency`. Links that fall off their channel are
+    // removed after a single confirmation, and everything undoes as one step.
+    const changes = radios
+        .filter(({ radio }) => radio.frequency !== frequency)
+        .map(({ tower, radio }) => ({ tower, radio, previousFrequency: radio.frequency }));
+    if (changes.length === 0) return false;
+    changes.forEach(({ radio }) => {
+        radio.frequency = frequency;
+    });
     
     // Check if any links need to be removed (frequency mismatch)
-    const invalidLinks = state.links.filter(link => 
-        (link.tower1.id === towerId || link.tower2.id === towerId) &&
-        link.tower1.frequency !== link.tower2.frequency
-    );
+    const affectedLinks = new Set(changes.flatMap(({ tower, radio }) => getRadioLinks(tower.id, radio.id)));
+    const invalidLinks = [...affectedLinks].filter(link => !channelsMatch(link.radio1, link.radio2));
     
     if (invalidLinks.length > 0) { 
         const confirmed = await showConfirmationModal(
             'Frequency Mismatch',
             `Changing frequency will remove ${invalidLinks.length} link(s). Do you want to continue?`,
-            () => invalidLinks.forEach(link => performDeleteLink(link.id)),
+            null,
             true // Return promise
         );
 
         if (!confirmed) {
             // Revert if cancelled
-            const originalFrequency = state.links.find(l => l.tower1.id === towerId || l.tower2.id === towerId)?.frequency || tower.frequency;
-            tower.frequency = originalFrequency;
+            changes.forEach(({ radio, previousFrequency }) => {
+                radio.frequency = previousFrequency;
+            });
+            updateTowerList();
+            return false;
         }
     }
     
-    updateTowerList(); // Update UI regardless
+    recordBatch(label, () => {
+        invalidLinks.forEach(link => performDeleteLink(link.id));
+        changes.forEach(({ tower, radio, previousFrequency }) => {
+            recordCommand({
+                label,
+                undo: () => setRadioFrequency(tower.id, radio.id, previousFrequency),
+                redo: () => setRadioFrequency(tower.id, radio.id, frequency)
+            });
+        });
+    });
+    changes.forEach(({ tower, radio }) => setRadioFrequency(tower.id, radio.id, frequency));
+    return true;
 }
 
-// ============================================================================
-// Fresnel Zone Calculation and Visualization
-// ============================================================================
-function showFresnelZone(link) {
-    // If the clicked link is already active, deactivate it (toggle off)
-    if (state.activeLinkForFresnel === link.id) {
-        deactivateActiveFresnelZone();
-        return;
-    }
-
-    // If another link is active, deactivate it first
-    if (state.activeLinkForFresnel !== null) {
-        deactivateActiveFresnelZone();
-    }
-
-    state.activeLinkForFresnel = link.id;
-    
-    // Calculate Fresnel zone
-    const wavelength = calculateWavelength(link.frequency);
-    const distance = link.distance;
-    
-    // Calculate maximum Fresnel radius at the midpoint
-    const d1 = distance / 2;
-    const d2 = distance / 2;
-    const maxRadius = calculateFresnelRadius(wavelength, d1, d2);
-    
-    // Create ellipse for Fresnel zone
-    const center = [
-        (link.tower1.lat + link.tower2.lat) / 2,
-        (link.tower1.lng + link.tower2.lng) / 2
-    ];
-    
-    // Calculate bearing for ellipse rotation
-    const bearing = calculateBearing(
-        link.tower1.lat, link.tower1.lng,
-        link.tower2.lat, link.tower2.lng
-    );
-    
-    // Create Fresnel zone polygon (approximating an ellipse)
-    const fresnelZone = createEllipsePolygon(center, distance * 1000 / 2, maxRadius, bearing).addTo(state.map);
-    
-    link.polyline.setStyle({ color: '#16a34a' }); // --success-color
-    link.fresnelZone = fresnelZone;
-    
-    // Show link info modal
-    showLinkInfoModal(link, maxRadius);
-    
+function setRadioFrequency(towerId, radioId, frequency) {
+    const tower = state.towers.find(t => t.id === towerId);
+    const radio = tower && getRadio(tower, radioId);
+    if (!radio) return;
+    radio.frequency = frequency;
+    tower.marker.setPopupContent(getTowerPopupContent(tower));
+    // Links still within tolerance follow the new channel
+    getRadioLinks(towerId, radioId).forEach(link => {
+        link.frequency = link.radio1.frequency;
+        updateLinkStyle(link);
+        if (state.linkModalLinkId === link.id) {
+            const wavelength = calculateWavelength(link.frequency);
+            showLinkInfoModal(link, calculateFresnelRadius(wavelength, link.distance / 2, link.distance / 2));
+        }
+    });
+    updateTowerList();
     updateLinkList();
+    onPlanChanged();
 }
 
-function showLinkInfoModal(link, fresnelRadius) {
-    const modal = document.getElementById('linkModal');
-    const infoDiv = document.getElementById('linkInfo');
-    
-    const wavelength = calculateWavelength(link.frequency);
-    
-    infoDiv.innerHTML = `
-        <div class="link-details">
-            <div><strong>Link:</strong> ${link.tower1.name} ↔ ${link.tower2.name}</div>
-            <div><strong>Distance:</strong> ${(link.distance).toFixed(2)} km</div>
-            <div><strong>Frequency:</strong> ${link.frequency} GHz</div>
-            <div class="info-highlight"><strong>Wavelength:</strong> ${(wavelength * 1000).toFixed(2)} mm</div>
-            <div class="info-highlight"><strong>Max Fresnel Radius:</strong> ${fresnelRadius.toFixed(2)} m</div>
-            <div class="formula-box">
-                <strong>Formula:</strong><br>
-                r = √((λ × d₁ × d₂) / (d₁ + d₂))<br>
-                <small>Where λ = c/f, c = 3×10⁸ m/s</small>
-            </div>
-        </div>
-    `;
-    
-    modal.classList.add('show');
+function getRadioLinks(towerId, radioId) {
+    return state.links.filter(link =>
+        (link.tower1.id === towerId && link.radio1.id === radioId) ||
+        (link.tower2.id === towerId && link.radio2.id === radioId)
+    );
 }
 
-function hideLinkModal() {
-    const modal = document.getElementById('linkModal');
-    modal.classList.remove('show');
+function addRadioToTower(towerId) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    // New radios start from the tower's first radio so only the channel usually needs changing
+    const id = tower.radios.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+    const { name, ...settings } = tower.radios[0] || {};
+    const snapshot = { towerId, radio: createRadio(id, settings), index: tower.radios.length };
+
+    recordCommand({
+        label: `add ${snapshot.radio.name} to ${tower.name}`,
+        undo: () => performRemoveRadio(towerId, id),
+        redo: () => restoreRadio(snapshot)
+    });
+    restoreRadio(snapshot);
 }
 
-function deactivateActiveFresnelZone() {
-    const prevLink = state.links.find(l => l.id === state.activeLinkForFresnel);
-    if (prevLink && prevLink.fresnelZone) {
-        state.map.removeLayer(prevLink.fresnelZone);
-        prevLink.polyline.setStyle({ color: '#3b82f6' }); // Revert color to primary
-        prevLink.fresnelZone = null;
-    }
-    state.activeLinkForFresnel = null;
+function restoreRadio(snapshot) {
+    const tower = state.towers.find(t => t.id === snapshot.towerId);
+    if (!tower) return;
+    const radio = { ...snapshot.radio };
+    tower.radios.splice(Math.min(snapshot.index, tower.radios.length), 0, radio);
+    tower.marker.setPopupContent(getTowerPopupContent(tower));
+    updateTowerList();
     updateLinkList();
+    onPlanChanged();
 }
 
-// ============================================================================
-// Calculation Functions
-// ============================================================================
-function calculateWavelength(frequencyGHz) {
-    // Convert GHz to Hz
-    const frequencyHz = frequencyGHz * 1e9;
-    // Calculate wavelength: λ = c / f
-    return SPEED_OF_LIGHT / frequencyHz;
-}
+function requestRemoveRadio(towerId, radioId) {
+    const tower = state.towers.find(t => t.id === towerId);
+    const radio = tower && getRadio(tower, radioId);
+    if (!radio) return;
+    if (tower.radios.length === 1) {
+        showNotification('A tower needs at least one radio.', 'error');
+        return;
+    }
 
-function calculateFresnelRadius(wavelength, d1, d2) {
-    // r = √((λ × d₁ × d₂) / (d₁ + d₂))
-    // d1 and d2 are in meters
-    const d1Meters = d1 * 1000;
-    const d2Meters = d2 * 1000;
-    const radius = Math.sqrt((wavelength * d1Meters * d2Meters) / (d1Meters + d2Meters));
-    return radius;
+    const links = getRadioLinks(towerId, radioId);
+    if (links.length === 0) {
+        performRemoveRadio(towerId, radioId);
+        return;
+    }
+    showConfirmationModal(
+        `Remove ${radio.name} from ${tower.name}?`,
+        `This will also remove ${links.length} link(s) using this radio. You can undo this with Ctrl+Z.`,
+        () => performRemoveRadio(towerId, radioId)
+    );
 }
 
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    // Haversine formula to calculate distance between two points
-    const R = 6371; // Earth's radius in km
-    const dLat = toRadians(lat2 - lat1);
-    const dLon = toRadians(lon2 - lon1);
-    
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-              Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+function performRemoveRadio(towerId, radioId) {
+    const tower = state.towers.find(t => t.id === towerId);
+    const radio = tower && getRadio(tower, radioId);
+    if (!radio) return;
+
+    recordBatch(`remove ${radio.name} from ${tower.name}`, () => {
+        getRadioLinks(towerId, radioId).forEach(link => performDeleteLink(link.id));
+        const snapshot = { towerId, radio: { ...radio }, index: tower.radios.indexOf(radio) };
+        tower.radios.splice(snapshot.index, 1);
+        recordCommand({
+            label: `remove ${radio.name} from ${tower.name}`,
+            undo: () => restoreRadio(snapshot),
+            redo: () => performRemoveRadio(towerId, radioId)
+        });
+    });
+    tower.marker.setPopupContent(getTowerPopupContent(tower));
+    updateTowerList();
+    updateLinkList();
+    onPlanChanged();
 }
 
-function calculateBearing(lat1, lon1, lat2, lon2) {
-    // Correctly calculate the initial bearing from point 1 to point 2
-    const lat1Rad = toRadians(lat1);
-    const lat2Rad = toRadians(lat2);
-    const lonDiffRad = toRadians(lon2 - lon1);
+function updateRadioProperty(towerId, radioId, field, value) {
+    const tower = state.towers.find(t => t.id === towerId);
+    const radio = tower && getRadio(tower, radioId);
+    if (!radio || !RADIO_PROPERTIES[field]) return;
 
-    const y = Math.sin(lonDiffRad) * Math.cos(lat2Rad);
-    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
-              Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(lonDiffRad);
-    
-    const bearing = Math.atan2(y, x);
+    const result = parseTowerProperty(field, value);
+    if (result.error) {
+        showNotification(result.error, 'error');
+        updateTowerList(); // Restore the previous value in the input
+        return;
+    }
+    const previousValue = radio[field];
+    if (result.value === previousValue) return;
 
-    // Convert bearing from -180 to +180 range to 0 to 360 range
-    // and return as degrees.
-    return (toDegrees(bearing) + 360) % 360;
+    recordCommand({
+        label: `${RADIO_PROPERTIES[field].label.toLowerCase()} on ${getRadioLabel(tower, radio)}`,
+        undo: () => setRadioProperty(towerId, radioId, field, previousValue),
+        redo: () => setRadioProperty(towerId, radioId, field, result.value)
+    });
+    setRadioProperty(towerId, radioId, field, result.value);
 }
 
-function toRadians(degrees) {
-    return degrees * Math.PI / 180;
+function setRadioProperty(towerId, radioId, field, value) {
+    const tower = state.towers.find(t => t.id === towerId);
+    const radio = tower && getRadio(tower, radioId);
+    if (!radio) return;
+    radio[field] = value;
+    refreshTowerLinks(tower, getRadioLinks(towerId, radioId), field === 'antennaHeight');
 }
 
-function toDegrees(radians) {
-    return radians * 180 / Math.PI;
+function refreshTowerLinks(tower, links, terrainChanged) {
+    tower.marker.setPopupContent(getTowerPopupContent(tower));
+    links.forEach(link => {
+        // Heights change the clearance; radio settings only change the budget
+        if (terrainChanged) {
+            updateLinkTerrain(link);
+        }
+        updateLinkStyle(link);
+        if (state.linkModalLinkId === link.id) {
+            renderLinkBudget(link);
+            renderLinkAvailability(link);
+        }
+    });
+    // Channel and azimuth changes can affect interference with links this tower isn't part of
+    const modalLink = state.links.find(l => l.id === state.linkModalLinkId);
+    if (modalLink) {
+        renderLinkChannel(modalLink);
+    }
+    updateTowerList();
+    updateLinkList();
+    onPlanChanged();
 }
 
-function createEllipsePolygon(center, semiMajor, semiMinor, bearing, points = 64) {
-    const latlngs = [];
-    const centerPt = state.map.latLngToLayerPoint(center);
-    const bearingRad = toRadians(-bearing); // Convert bearing to radians for trig functions
+function moveTower(towerId, from, to) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    const target = L.latLng(to.lat, to.lng).wrap();
+    const origin = { lat: from.lat, lng: from.lng };
 
-    for (let i = 0; i < points; i++) {
-        const angle = (i / points) * 2 * Math.PI;
-        const x = semiMinor * Math.cos(angle);
-        const y = semiMajor * Math.sin(angle);
+    if (origin.lat !== target.lat || origin.lng !== target.lng) {
+        recordCommand({
+            label: `move ${tower.name}`,
+            undo: () => setTowerPosition(towerId, origin),
+            redo: () => setTowerPosition(towerId, target)
+        });
+    }
+    setTowerPosition(towerId, target);
+}
+
+function updateTowerCoordinate(towerId, axis, value) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+
+    const limit = axis === 'lat' ? 90 : 180;
+    const number = Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number) || Math.abs(number) > limit) {
+        showNotification(`${axis === 'lat' ? 'Latitude' : 'Longitude'} must be between -${limit} and ${limit}.`, 'error');
+        updateTowerList(); // Restore the previous value in the input
+        return;
+    }
+
+    const to = { lat: tower.lat, lng: tower.lng, [axis]: number };
+    moveTower(towerId, { lat: tower.lat, lng: tower.lng }, to);
+}
+
+function setTowerPosition(towerId, latlng, live = false) {
+    // `live` is set while dragging: the link lines, footprints, colours and link modal figures
+    // follow the marker; the terrain profile, lists and the network view wait for the drop
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    tower.lat = latlng.lat;
+    tower.lng = latlng.lng;
+    if (!live) {
+        tower.marker.setLatLng([tower.lat, tower.lng]);
+    }
+
+    state.links
+        .filter(link => link.tower1.id === towerId || link.tower2.id === towerId)
+        .forEach(link => {
+            link.distance = calculateDistance(link.tower1.lat, link.tower1.lng, link.tower2.lat, link.tower2.lng);
+            link.polyline.setLatLngs(getLinkPath(link.tower1, link.tower2));
+            if (link.fresnelZone) {
+                state.map.removeLayer(link.fresnelZone);
+                link.fresnelZone = createFresnelZoneLayer(link).addTo(state.map);
+            }
+            updateLinkStyle(link);
+            if (state.linkModalLinkId === link.id) {
+                refreshLinkModalFigures(link);
+            }
+            if (!live) {
+                updateLinkTerrain(link);
+            }
+        });
+
+    if (!live) {
+        updateTowerList();
+        updateLinkList();
+        onPlanChanged();
+    }
+}
+
+async function requestRenameTower(towerId) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    const name = await showNameModal('Rename Tower', tower.name, 'Hilltop mast');
+    if (!name || name === tower.name) return;
+
+    const previousName = tower.name;
+    recordCommand({
+        label: `rename ${previousName} to ${name}`,
+        undo: () => setTowerName(towerId, previousName),
+        redo: () => setTowerName(towerId, name)
+    });
+    setTowerName(towerId, name);
+}
+
+function setTowerName(towerId, name) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    tower.name = name;
+    tower.marker.setPopupContent(getTowerPopupContent(tower));
+    labelTowerMarker(tower);
+    updateTowerList();
+    updateLinkList();
+    onPlanChanged();
+}
+
+function updateTowerProperty(towerId, field, value) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower || !TOWER_PROPERTIES[field]) return;
+
+    const result = parseTowerProperty(field, value);
+    if (result.error) {
+        showNotification(result.error, 'error');
+        updateTowerList(); // Restore the previous value in the input
+        return;
+    }
+    const previousValue = tower[field];
+    if (result.value === previousValue) return;
+
+    recordCommand({
+        label: `${TOWER_PROPERTIES[field].label.toLowerCase()} on ${tower.name}`,
+        undo: () => setTowerProperty(towerId, field, previousValue),
+        redo: () => setTowerProperty(towerId, field, result.value)
+    });
+    setTowerProperty(towerId, field, result.value);
+}
+
+function setTowerProperty(towerId, field, value) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    tower[field] = value;
+    const links = state.links.filter(link => link.tower1.id === towerId || link.tower2.id === towerId);
+    refreshTowerLinks(tower, links, field === 'groundElevation');
+}
+
+// ============================================================================
+// Multi-Select & Bulk Editing
+// ============================================================================
+// Towers and links are ticked in the sidebar lists or caught in a shift-drag
+// box on the map. Bulk edits go through the same functions as single edits and
+// undo as one step.
+function setupBoxSelection() {
+    // Shift-drag draws a selection box; Leaflet's own shift-drag box zoom is turned off in initializeMap.
+    // The same box picks the offline download area after "Draw area", without Shift
+    const map = state.map;
+    let start = null;
+    let box = null;
+    map.on('mousedown', e => {
+        if (!(e.originalEvent.shiftKey || state.offlineAreaDrawing) || e.originalEvent.button !== 0) return;
+        start = e.latlng;
+        map.dragging.disable();
+        box = L.rectangle(L.latLngBounds(start, start), {
+            color: NETWORK_PATH_COLOR,
+            weight: 1,
+            dashArray: '4 4',
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(map);
+    });
+    map.on('mousemove', e => {
+        if (box) box.setBounds(L.latLngBounds(start, e.latlng));
+    });
+    map.on('mouseup', () => {
+        if (!box) return;
+        const bounds = box.getBounds();
+        map.removeLayer(box);
+        box = null;
+        map.dragging.enable();
+        if (state.offlineAreaDrawing) {
+            finishOfflineAreaDrawing(bounds);
+        } else {
+            selectItemsInBounds(bounds);
+        }
+    });
+}
+
+function selectItemsInBounds(bounds) {
+    // Adds to the selection: towers inside the box and links with both ends inside
+    const towers = state.towers.filter(tower => bounds.contains([tower.lat, tower.lng]));
+    const links = state.links.filter(link =>
+        bounds.contains([link.tower1.lat, link.tower1.lng]) && bounds.contains([link.tower2.lat, link.tower2.lng]));
+    towers.forEach(tower => state.bulkSelection.towers.add(tower.id));
+    links.forEach(link => state.bulkSelection.links.add(link.id));
+    updateBulkSelectionView();
+    updateTowerList();
+    updateLinkList();
+}
+
+function setTowerChecked(towerId, checked) {
+    if (checked) {
+        state.bulkSelection.towers.add(towerId);
+    } else {
+        state.bulkSelection.towers.delete(towerId);
+    }
+    updateBulkSelectionView();
+}
+
+function setLinkChecked(linkId, checked) {
+    if (checked) {
+        state.bulkSelection.links.add(linkId);
+    } else {
+        state.bulkSelection.links.delete(linkId);
+    }
+    updateBulkSelectionView();
+}
+
+function clearBulkSelection() {
+    state.bulkSelection = { towers: new Set(), links: new Set() };
+    updateBulkSelectionView();
+    updateTowerList();
+    updateLinkList();
+}
+
+function getBulkSelection() {
+    return {
+        towers: state.towers.filter(tower => state.bulkSelection.towers.has(tower.id)),
+        links: state.links.filter(link => state.bulkSelection.links.has(link.id))
+    };
+}
+
+function getBulkRadios() {
+    // Bulk radio edits apply to every radio on a selected tower and to both ends of a selected link
+    const { towers, links } = getBulkSelection();
+    const radios = new Map();
+    const add = (tower, radio) => radios.set(`${tower.id}:${radio.id}`, { tower, radio });
+    towers.forEach(tower => tower.radios.forEach(radio => add(tower, radio)));
+    links.forEach(link => {
+        add(link.tower1, link.radio1);
+        add(link.tower2, link.radio2);
+    });
+    return [...radios.values()];
+}
+
+async function applyBulkFrequency() {
+    const input = document.getElementById('bulkFrequency');
+    const frequency = parseFloat(input.value);
+    if (!Number.isFinite(frequency) || frequency <= 0) {
+        showNotification('Frequency must be a positive number of GHz.', 'error');
+        return;
+    }
+    const radios = getBulkRadios();
+    if (await changeRadioFrequencies(radios, frequency, `frequency change on ${radios.length} radio(s)`)) {
+        showNotification(`Set ${radios.length} radio(s) to ${frequency} GHz.`);
+    }
+}
+
+function applyBulkAntennaHeight() {
+    const result = parseTowerProperty('antennaHeight', document.getElementById('bulkAntennaHeight').value);
+    if (result.error) {
+        showNotification(result.error, 'error');
+        return;
+    }
+    const radios = getBulkRadios();
+    recordBatch(`antenna height on ${radios.length} radio(s)`, () => {
+        radios.forEach(({ tower, radio }) => updateRadioProperty(tower.id, radio.id, 'antennaHeight', result.value));
+    });
+    showNotification(`Set ${radios.length} antenna height(s) to ${result.value} m.`);
+}
+
+function requestBulkDelete() {
+    const { towers, links } = getBulkSelection();
+    if (towers.length === 0 && links.length === 0) return;
+
+    // Links attached to a deleted tower go too, even if they weren't selected
+    const towerIds = new Set(towers.map(t => t.id));
+    const cascade = state.links.filter(link =>
+        !state.bulkSelection.links.has(link.id) && (towerIds.has(link.tower1.id) || towerIds.has(link.tower2.id)));
+    const list = items => items.length > 8
+        ? `${items.slice(0, 8).join(', ')} and ${items.length - 8} more`
+        : items.join(', ');
+    const parts = [];
+    if (towers.length > 0) parts.push(`${towers.length} tower(s): ${list(towers.map(t => t.name))}.`);
+    if (links.length > 0) parts.push(`${links.length} selected link(s).`);
+    if (cascade.length > 0) parts.push(`${cascade.length} more link(s) attached to these towers: ${list(cascade.map(getLinkLabel))}.`);
+    parts.push('You can undo this with Ctrl+Z.');
+
+    showConfirmationModal(
+        `Delete ${towers.length + links.length + cascade.length} item(s)?`,
+        `This will remove ${parts.join(' ')}`,
+        () => performBulkDelete(towers.map(t => t.id), links.map(l => l.id))
+    );
+}
+
+function performBulkDelete(towerIds, linkIds) {
+    recordBatch(`delete ${towerIds.length + linkIds.length} item(s)`, () => {
+        linkIds.forEach(performDeleteLink);
+        towerIds.forEach(performDeleteTower);
+    });
+    clearBulkSelection();
+}
+
+function exportSelection() {
+    const { towers, links } = getBulkSelection();
+    // A link can't be loaded without its towers, so its ends come along
+    const towerIds = new Set(towers.map(t => t.id));
+    links.forEach(link => {
+        towerIds.add(link.tower1.id);
+        towerIds.add(link.tower2.id);
+    });
+    const exportTowers = state.towers.filter(tower => towerIds.has(tower.id));
+    const json = JSON.stringify(serializeProject(exportTowers, links), null, 2);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(json, `rf-link-selection-${date}.json`, 'application/json');
+    showNotification(`Exported ${exportTowers.length} tower(s) and ${links.length} link(s).`);
+}
+
+function updateBulkSelectionView() {
+    state.towers.forEach(updateTowerMarker);
+    state.links.forEach(updateLinkStyle);
+    updateBulkControls();
+}
+
+function updateBulkControls() {
+    // Forget items that have been deleted, then update the actions bar
+    const selection = state.bulkSelection;
+    selection.towers.forEach(id => {
+        if (!state.towers.some(t => t.id === id)) selection.towers.delete(id);
+    });
+    selection.links.forEach(id => {
+        if (!state.links.some(l => l.id === id)) selection.links.delete(id);
+    });
+
+    const panel = document.getElementById('bulkPanel');
+    if (!panel) return;
+    const count = selection.towers.size + selection.links.size;
+    panel.classList.toggle('hidden', count === 0);
+    document.getElementById('bulkSummary').textContent =
+        `${selection.towers.size} tower(s) and ${selection.links.size} link(s) selected`;
+}
+
+// ============================================================================
+// Undo / Redo History
+// ============================================================================
+// Commands are { label, undo(), redo() } and replay through the same functions the UI uses,
+// so towers and links come back with their original ids and fresh map layers. They refer to
+// towers and links by id because every restore creates new objects.
+function recordCommand(command) {
+    if (state.historySuspended) return;
+    if (state.historyBatch) {
+        state.historyBatch.push(command);
+        return;
+    }
+    state.undoStack.push(command);
+    if (state.undoStack.length > MAX_HISTORY) {
+        state.undoStack.shift();
+    }
+    state.redoStack = [];
+    updateHistoryControls();
+}
+
+function recordBatch(label, action) {
+    // Everything `action` records becomes a single undo step; nested batches join the outer one
+    if (state.historyBatch || state.historySuspended) {
+        return action();
+    }
+
+    state.historyBatch = [];
+    try {
+        return action();
+    } finally {
+        const commands = state.historyBatch;
+        state.historyBatch = null;
+        if (commands.length > 0) {
+            recordCommand({
+                label,
+                undo: () => [...commands].reverse().forEach(command => command.undo()),
+                redo: () => commands.forEach(command => command.redo())
+            });
+        }
+    }
+}
+
+function withoutHistory(action) {
+    const previous = state.historySuspended;
+    state.historySuspended = true;
+    try {
+        return action();
+    } finally {
+        state.historySuspended = previous;
+    }
+}
+
+function undo() {
+    const command = state.undoStack.pop();
+    if (!command) return;
+    withoutHistory(() => command.undo());
+    state.redoStack.push(command);
+    updateHistoryControls();
+    showNotification(`Undone: ${command.label}`);
+}
+
+function redo() {
+    const command = state.redoStack.pop();
+    if (!command) return;
+    withoutHistory(() => command.redo());
+    state.undoStack.push(command);
+    updateHistoryControls();
+    showNotification(`Redone: ${command.label}`);
+}
+
+function clearHistory() {
+    state.undoStack = [];
+    state.redoStack = [];
+    updateHistoryControls();
+}
+
+function updateHistoryControls() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (!undoBtn || !redoBtn) return;
+
+    const nextUndo = state.undoStack[state.undoStack.length - 1];
+    const nextRedo = state.redoStack[state.redoStack.length - 1];
+    undoBtn.disabled = !nextUndo;
+    redoBtn.disabled = !nextRedo;
+    undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    // Text fields keep their native undo
+    if (isTextEntry(e.target)) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redo();
+    } else {
+        undo();
+    }
+}
+
+function snapshotTower(tower) {
+    return {
+        id: tower.id,
+        name: tower.name,
+        lat: tower.lat,
+        lng: tower.lng,
+        radios: tower.radios.map(radio => ({ ...radio })),
+        properties: Object.fromEntries(Object.keys(TOWER_PROPERTIES).map(field => [field, tower[field]])),
+        index: state.towers.indexOf(tower)
+    };
+}
+
+function restoreTower(snapshot) {
+    const tower = addTower({ lat: snapshot.lat, lng: snapshot.lng }, snapshot.name, snapshot.radios, snapshot.id, snapshot.properties);
+    moveToIndex(state.towers, tower, snapshot.index);
+    updateTowerList();
+    return tower;
+}
+
+function snapshotLink(link) {
+    return {
+        id: link.id,
+        tower1Id: link.tower1.id,
+        tower2Id: link.tower2.id,
+        radio1Id: link.radio1.id,
+        radio2Id: link.radio2.id,
+        polarization: link.polarization,
+        index: state.links.indexOf(link)
+    };
+}
+
+function restoreLink(snapshot) {
+    const tower1 = state.towers.find(t => t.id === snapshot.tower1Id);
+    const tower2 = state.towers.find(t => t.id === snapshot.tower2Id);
+    const radio1 = tower1 && getRadio(tower1, snapshot.radio1Id);
+    const radio2 = tower2 && getRadio(tower2, snapshot.radio2Id);
+    if (!radio1 || !radio2) return null;
+
+    const link = createLink(tower1, tower2, snapshot.id, radio1, radio2);
+    if (link) {
+        link.polarization = snapshot.polarization;
+        moveToIndex(state.links, link, snapshot.index);
+        updateLinkList();
+    }
+    return link;
+}
+
+function moveToIndex(list, item, index) {
+    // Put a restored item back where it was so the sidebar order doesn't shuffle
+    const current = list.indexOf(item);
+    if (current === -1 || index < 0 || index >= list.length) return;
+    list.splice(current, 1);
+    list.splice(index, 0, item);
+}
+
+// ============================================================================
+// Fresnel Zone Calculation and Visualization
+// ============================================================================
+function showFresnelZone(link) {
+    // If the clicked link is already active, deactivate it (toggle off)
+    if (state.activeLinkForFresnel === link.id) {
+        deactivateActiveFresnelZone();
+        return;
+    }
+
+    // If another link is active, deactivate it first
+    if (state.activeLinkForFresnel !== null) {
+        deactivateActiveFresnelZone();
+    }
+
+    const maxRadius = drawFresnelZone(link);
+    
+    // Show link info modal
+    showLinkInfoModal(link, maxRadius);
+}
+
+function drawFresnelZone(link) {
+    state.activeLinkForFresnel = link.id;
+    
+    // Calculate Fresnel zone
+    const wavelength = calculateWavelength(link.frequency);
+    const distance = link.distance;
+    
+    // Calculate maximum Fresnel radius at the midpoint
+    const maxRadius = calculateFresnelRadius(wavelength, distance / 2, distance / 2);
+    
+    link.fresnelZone = createFresnelZoneLayer(link).addTo(state.map);
+    updateLinkStyle(link);
+    
+    updateLinkList();
+    onPlanChanged();
+    return maxRadius;
+}
+
+function createFresnelZoneLayer(link) {
+    // Nested footprints, one per visible zone; the outermost is added first so inner zones stay on top
+    const fresnelZone = L.layerGroup();
+    [...state.visibleFresnelZones].sort((a, b) => b - a).forEach(zone => {
+        const color = FRESNEL_ZONE_COLORS[(zone - 1) % FRESNEL_ZONE_COLORS.length];
+        createFresnelFootprint(link, zone, {
+            color,
+            fillColor: color,
+            fillOpacity: zone === 1 ? 0.15 : 0.06,
+            weight: zone === 1 ? 2 : 1,
+            dashArray: zone === 1 ? null : '4 4'
+        }).addTo(fresnelZone);
+    });
+    fresnelZone.addLayer(createFresnelCursor(link));
+    return fresnelZone;
+}
+
+function redrawFresnelZone() {
+    // Rebuild the active link's shapes after a display setting changed
+    const link = state.links.find(l => l.id === state.activeLinkForFresnel);
+    if (!link) return;
+    if (link.fresnelZone) {
+        state.map.removeLayer(link.fresnelZone);
+    }
+    drawFresnelZone(link);
+}
+
+// ============================================================================
+// Fresnel Cross-Section Cursor
+// ============================================================================
+function getFresnelCrossSection(link, fraction) {
+    const wavelength = calculateWavelength(link.frequency);
+    const d1 = fraction * link.distance;
+    const d2 = link.distance - d1;
+    const zones = [];
+    for (let zone = 1; zone <= MAX_FRESNEL_ZONES; zone++) {
+        zones.push({ zone, radius: calculateFresnelRadius(wavelength, d1, d2, zone) });
+    }
+    return { fraction, d1, d2, zones };
+}
+
+function getAlongTrackFraction(link, latlng) {
+    // Position of the point projected onto the link's great circle, 0 at tower1 and 1 at tower2
+    const { tower1, tower2 } = link;
+    if (link.distance <= 0) return 0;
+    const d13 = calculateDistance(tower1.lat, tower1.lng, latlng.lat, latlng.lng) / EARTH_RADIUS_KM;
+    const θ13 = toRadians(calculateBearing(tower1.lat, tower1.lng, latlng.lat, latlng.lng));
+    const θ12 = toRadians(calculateBearing(tower1.lat, tower1.lng, tower2.lat, tower2.lng));
+    const crossTrack = Math.asin(Math.sin(d13) * Math.sin(θ13 - θ12));
+    const alongTrack = Math.acos(Math.max(-1, Math.min(1, Math.cos(d13) / Math.cos(crossTrack))));
+    // acos loses the sign: points "behind" tower1 have a bearing pointing away from tower2
+    const signed = Math.cos(θ13 - θ12) < 0 ? -alongTrack : alongTrack;
+    const fraction = (signed * EARTH_RADIUS_KM) / link.distance;
+    return Math.max(0, Math.min(1, fraction));
+}
+
+function formatCrossSectionTooltip(section) {
+    const zones = section.zones
+        .filter(z => state.visibleFresnelZones.includes(z.zone))
+        .map(z => `F${z.zone}: ${z.radius.toFixed(2)} m`)
+        .join('<br>');
+    return `d₁ ${section.d1.toFixed(2)} km · d₂ ${section.d2.toFixed(2)} km<br>${zones}`;
+}
+
+function createFresnelCursor(link) {
+    const position = getFresnelCursorPosition(link);
+    const cursor = L.marker([position.lat, position.lng], {
+        draggable: true,
+        icon: L.divIcon({
+            className: 'fresnel-cursor',
+            iconSize: [14, 14],
+            iconAnchor: [7, 7]
+        }),
+        title: 'Drag along the link to measure the Fresnel zones'
+    });
+
+    cursor.bindTooltip('', { direction: 'top', offset: [0, -8] });
+    cursor.on('drag', () => {
+        // Snap back onto the link while dragging
+        setFresnelCursor(link, getAlongTrackFraction(link, cursor.getLatLng()));
+    });
+    cursor.on('click', e => L.DomEvent.stopPropagation(e));
+
+    link.fresnelCursor = cursor;
+    updateFresnelCursor(link);
+    return cursor;
+}
+
+function getFresnelCursorPosition(link) {
+    const { tower1, tower2 } = link;
+    const position = interpolateGreatCircle(tower1.lat, tower1.lng, tower2.lat, tower2.lng, state.fresnelCursorFraction);
+    // Keep the cursor on the same world copy as the drawn link
+    return { lat: position.lat, lng: unwrapLongitude(position.lng, tower1.lng) };
+}
+
+function setFresnelCursor(link, fraction) {
+    state.fresnelCursorFraction = fraction;
+    updateFresnelCursor(link);
+    if (state.linkModalLinkId === link.id) {
+        renderFresnelCrossSection(link);
+        renderTerrainProfile(link);
+    }
+}
+
+function updateFresnelCursor(link) {
+    const cursor = link.fresnelCursor;
+    if (!cursor) return;
+    const position = getFresnelCursorPosition(link);
+    cursor.setLatLng([position.lat, position.lng]);
+    cursor.setTooltipContent(formatCrossSectionTooltip(getFresnelCrossSection(link, state.fresnelCursorFraction)));
+}
+
+function handleLinkHover(link, e) {
+    const section = getFresnelCrossSection(link, getAlongTrackFraction(link, e.latlng));
+    link.polyline.setTooltipContent(formatCrossSectionTooltip(section));
+}
+
+function renderFresnelCrossSection(link) {
+    const container = document.getElementById('linkCrossSection');
+    if (!container) return;
+
+    const section = getFresnelCrossSection(link, state.fresnelCursorFraction);
+    const midpoint = getFresnelCrossSection(link, 0.5);
+    const percent = Math.round(section.fraction * 1000) / 10;
+
+    container.innerHTML = `
+        <div class="cross-section-header">
+            <strong>Fresnel cross-section</strong>
+            <span>d₁ ${section.d1.toFixed(2)} km · d₂ ${section.d2.toFixed(2)} km</span>
+        </div>
+        <input type="range" id="crossSectionSlider" class="cross-section-slider" min="0" max="100" step="0.5" value="${percent}"
+               aria-label="Position along the link (% from ${escapeHtml(link.tower1.name)})">
+        <table class="budget-table">
+            <thead>
+                <tr><th>Zone</th><th>Radius here</th><th>At midpoint</th></tr>
+            </thead>
+            <tbody>
+                ${section.zones.map((z, i) => `
+                    <tr class="${state.visibleFresnelZones.includes(z.zone) ? '' : 'zone-hidden'}">
+                        <td><span class="zone-swatch" style="background: ${FRESNEL_ZONE_COLORS[i % FRESNEL_ZONE_COLORS.length]}"></span>F${z.zone}</td>
+                        <td>${z.radius.toFixed(2)} m</td>
+                        <td>${midpoint.zones[i].radius.toFixed(2)} m</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('crossSectionSlider').addEventListener('input', e => {
+        setFresnelCursor(link, Number(e.target.value) / 100);
+    });
+}
+
+function toggleFresnelZoneVisibility(zone, visible) {
+    const zones = new Set(state.visibleFresnelZones);
+    if (visible) {
+        zones.add(zone);
+    } else {
+        zones.delete(zone);
+    }
+    if (zones.size === 0) {
+        showNotification('At least one Fresnel zone must stay visible.', 'error');
+        updateFresnelZoneControls();
+        return;
+    }
+
+    state.visibleFresnelZones = [...zones].sort((a, b) => a - b);
+    redrawFresnelZone();
+    const link = state.links.find(l => l.id === state.linkModalLinkId);
+    if (link) {
+        renderFresnelCrossSection(link);
+    }
+    onPlanChanged();
+}
+
+function updateFresnelZoneControls() {
+    document.querySelectorAll('#fresnelZoneToggles input[type="checkbox"]').forEach(input => {
+        input.checked = state.visibleFresnelZones.includes(Number(input.value));
+    });
+}
+
+function showLinkInfoModal(link, fresnelRadius) {
+    const modal = document.getElementById('linkModal');
+    const infoDiv = document.getElementById('linkInfo');
+    
+    const wavelength = calculateWavelength(link.frequency);
+    
+    infoDiv.innerHTML = `
+        <div class="link-details">
+            <div><strong>Link:</strong> ${escapeHtml(getLinkLabel(link))}</div>
+            <div><strong>Distance:</strong> <span id="linkDistance">${(link.distance).toFixed(2)}</span> km</div>
+            <div><strong>Frequency:</strong> ${link.frequency} GHz</div>
+            <div id="linkChannel" class="link-channel"></div>
+            <div class="info-highlight"><strong>Wavelength:</strong> ${(wavelength * 1000).toFixed(2)} mm</div>
+            <div class="info-highlight"><strong>Max Fresnel Radius:</strong> <span id="linkMaxFresnel">${fresnelRadius.toFixed(2)}</span> m</div>
+            <div class="formula-box">
+                <strong>Formula:</strong><br>
+                r = √((λ × d₁ × d₂) / (d₁ + d₂))<br>
+                <small>Where λ = c/f, c = 3×10⁸ m/s</small>
+            </div>
+            <div id="linkCrossSection" class="cross-section"></div>
+            <div id="linkBudget" class="link-budget"></div>
+            <div id="linkAvailability" class="link-budget"></div>
+            <div id="linkAlignment" class="link-budget"></div>
+            <div id="linkTerrain" class="terrain-profile"></div>
+        </div>
+    `;
+    
+    state.linkModalLinkId = link.id;
+    renderLinkChannel(link);
+    renderFresnelCrossSection(link);
+    renderLinkBudget(link);
+    renderLinkAvailability(link);
+    renderLinkAlignment(link);
+    renderTerrainProfile(link);
+    openModal(modal);
+}
+
+function refreshLinkModalFigures(link) {
+    // Updates the open modal in place for a new link length, without rebuilding it or the terrain profile
+    const wavelength = calculateWavelength(link.frequency);
+    document.getElementById('linkDistance').textContent = link.distance.toFixed(2);
+    document.getElementById('linkMaxFresnel').textContent = calculateFresnelRadius(wavelength, link.distance / 2, link.distance / 2).toFixed(2);
+    renderFresnelCrossSection(link);
+    renderLinkBudget(link);
+    renderLinkAvailability(link);
+    renderLinkAlignment(link);
+}
+
+function hideLinkModal() {
+    const modal = document.getElementById('linkModal');
+    closeModal(modal);
+    state.linkModalLinkId = null;
+}
+
+function deactivateActiveFresnelZone() {
+    const prevLink = state.links.find(l => l.id === state.activeLinkForFresnel);
+    state.activeLinkForFresnel = null;
+    if (prevLink && prevLink.fresnelZone) {
+        state.map.removeLayer(prevLink.fresnelZone);
+        prevLink.fresnelZone = null;
+        prevLink.fresnelCursor = null;
+        updateLinkStyle(prevLink); // Back to the normal weight
+    }
+    updateLinkList();
+    onPlanChanged();
+}
+
+// ============================================================================
+// Calculation Functions
+// ============================================================================
+function calculateWavelength(frequencyGHz) {
+    // Convert GHz to Hz
+    const frequencyHz = frequencyGHz * 1e9;
+    // Calculate wavelength: λ = c / f
+    return SPEED_OF_LIGHT / frequencyHz;
+}
+
+function calculateFresnelRadius(wavelength, d1, d2, zone = 1) {
+    // rₙ = √((n × λ × d₁ × d₂) / (d₁ + d₂))
+    // d1 and d2 are in km, converted to meters
+    const d1Meters = d1 * 1000;
+    const d2Meters = d2 * 1000;
+    if (d1Meters + d2Meters <= 0) return 0;
+    const radius = Math.sqrt((zone * wavelength * d1Meters * d2Meters) / (d1Meters + d2Meters));
+    return radius;
+}
+
+function calculateFreeSpacePathLoss(distanceKm, frequencyGHz) {
+    // FSPL (dB) = 20·log₁₀(d km) + 20·log₁₀(f GHz) + 92.45
+    // Clamp the distance so towers placed on top of each other stay finite
+    const distance = Math.max(distanceKm, 0.001);
+    return 20 * Math.log10(distance) + 20 * Math.log10(frequencyGHz) + 92.45;
+}
+
+function calculateEarthBulge(d1, d2, kFactor) {
+    // h = (d₁ × d₂) / (2 × k × R), d1/d2 in km, returned in meters
+    return (d1 * d2) / (2 * kFactor * EARTH_RADIUS_KM) * 1000;
+}
+
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    // Haversine formula to calculate distance between two points
+    const R = EARTH_RADIUS_KM;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    // Correctly calculate the initial bearing from point 1 to point 2
+    const lat1Rad = toRadians(lat1);
+    const lat2Rad = toRadians(lat2);
+    const lonDiffRad = toRadians(lon2 - lon1);
+
+    const y = Math.sin(lonDiffRad) * Math.cos(lat2Rad);
+    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+              Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(lonDiffRad);
+    
+    const bearing = Math.atan2(y, x);
+
+    // Convert bearing from -180 to +180 range to 0 to 360 range
+    // and return as degrees.
+    return (toDegrees(bearing) + 360) % 360;
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+function escapeHtml(value) {
+    // Names can come from imported files, so never trust them as markup
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function calculateDestinationPoint(lat, lng, bearing, distanceMeters) {
+    // Point reached by travelling `distanceMeters` from (lat, lng) on the initial bearing
+    const δ = distanceMeters / (EARTH_RADIUS_KM * 1000);
+    const θ = toRadians(bearing);
+    const φ1 = toRadians(lat);
+    const λ1 = toRadians(lng);
+
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(
+        Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+        Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+    );
+
+    return { lat: toDegrees(φ2), lng: toDegrees(λ2) };
+}
+
+function unwrapLongitude(lng, reference) {
+    // Shift by whole turns so the line from `reference` takes the short way, even across the antimeridian
+    return lng + Math.round((reference - lng) / 360) * 360;
+}
+
+function getLinkPath(tower1, tower2) {
+    // Great-circle path between the towers, densified so long links curve like the footprint
+    const distance = calculateDistance(tower1.lat, tower1.lng, tower2.lat, tower2.lng);
+    const segments = Math.max(1, Math.min(LINK_PATH_MAX_SEGMENTS, Math.ceil(distance / LINK_PATH_SEGMENT_KM)));
+    const latlngs = [[tower1.lat, tower1.lng]];
+    for (let i = 1; i <= segments; i++) {
+        const point = interpolateGreatCircle(tower1.lat, tower1.lng, tower2.lat, tower2.lng, i / segments);
+        latlngs.push([point.lat, unwrapLongitude(point.lng, latlngs[i - 1][1])]);
+    }
+    return latlngs;
+}
+
+function calculateFresnelFootprint(link, zone = 1, spacing = FRESNEL_FOOTPRINT_SPACING) {
+    // Outline of the nth Fresnel zone projected on the ground. Cross-sections are taken every
+    // `spacing` metres along the great circle and offset perpendicular to the local path bearing.
+    const { tower1, tower2 } = link;
+    const wavelength = calculateWavelength(link.frequency);
+    const distance = calculateDistance(tower1.lat, tower1.lng, tower2.lat, tower2.lng);
+    const steps = Math.max(FRESNEL_FOOTPRINT_MIN_SAMPLES,
+        Math.min(FRESNEL_FOOTPRINT_MAX_SAMPLES, Math.ceil(distance * 1000 / spacing)));
+
+    const left = [];
+    const right = [];
+    for (let i = 0; i <= steps; i++) {
+        const fraction = i / steps;
+        const point = interpolateGreatCircle(tower1.lat, tower1.lng, tower2.lat, tower2.lng, fraction);
+        // The path bearing changes along a great circle, so take it at each point
+        const bearing = i < steps
+            ? calculateBearing(point.lat, point.lng, tower2.lat, tower2.lng)
+            : (calculateBearing(tower2.lat, tower2.lng, tower1.lat, tower1.lng) + 180) % 360;
+        const radius = calculateFresnelRadius(wavelength, fraction * distance, (1 - fraction) * distance, zone);
+
+        left.push(calculateDestinationPoint(point.lat, point.lng, bearing - 90, radius));
+        right.push(calculateDestinationPoint(point.lat, point.lng, bearing + 90, radius));
+    }
+
+    // The radius is zero at both towers, so the two sides meet there
+    const ring = [...left, ...right.reverse().slice(1, -1)];
+    let previous = tower1.lng;
+    return ring.map(point => {
+        previous = unwrapLongitude(point.lng, previous);
+        return [point.lat, previous];
+    });
+}
+
+function createFresnelFootprint(link, zone = 1, style = {}) {
+    return L.polygon(calculateFresnelFootprint(link, zone), {
+        color: '#16a34a', // --success-color
+        fillColor: '#16a34a',
+        fillOpacity: 0.15,
+        weight: 2,
+        ...style });
+}
+
+// ============================================================================
+// Link Budget
+// ============================================================================
+function calculateLinkBudget(link) {
+    const fspl = calculateFreeSpacePathLoss(link.distance, link.frequency);
+    // Negligible below 10 GHz, but around 15 dB/km at the 60 GHz oxygen peak
+    const gaseousLoss = calculateGaseousAttenuation(link.frequency) * link.distance;
+
+    // Received level at `rx` for a signal sent by `tx`
+    const direction = (tx, rx) => {
+        const eirp = tx.txPower + tx.antennaGain - tx.cableLoss;
+        const rssi = eirp - fspl - gaseousLoss + rx.antennaGain - rx.cableLoss;
+        return { from: tx, to: rx, eirp, rssi, fadeMargin: rssi - rx.rxSensitivity };
+    };
+    const forward = direction(link.radio1, link.radio2);
+    const reverse = direction(link.radio2, link.radio1);
+
+    return {
+        fspl,
+        gaseousLoss,
+        forward,
+        reverse,
+        worstMargin: Math.min(forward.fadeMargin, reverse.fadeMargin)
+    };
+}
+
+function getMarginQuality(fadeMargin) {
+    if (fadeMargin >= FADE_MARGIN_GOOD) return 'good';
+    if (fadeMargin >= FADE_MARGIN_FAIR) return 'fair';
+    return 'poor';
+}
+
+function updateLinkStyle(link) {
+    const isActive = state.activeLinkForFresnel === link.id;
+    const onPath = state.networkPath !== null && state.networkPath.links.includes(link);
+    const checked = state.bulkSelection.links.has(link.id);
+    const topology = state.showTopology ? state.networkTopology : null;
+    let color = LINK_MARGIN_COLORS[getMarginQuality(calculateLinkBudget(link).worstMargin)];
+    if (onPath) {
+        color = NETWORK_PATH_COLOR;
+    } else if (topology) {
+        color = getComponentColor(topology.componentOf.get(link.tower1.id));
+    }
+    link.polyline.setStyle({
+        color,
+        weight: checked ? 7 : (isActive || onPath ? 5 : 3),
+        opacity: isActive || onPath || checked ? 1 : 0.7,
+        dashArray: topology && topology.bridges.has(link.id) ? '8 6' : null // Bridges: losing the link splits the network
+    });
+}
+
+function renderLinkBudget(link) {
+    const container = document.getElementById('linkBudget');
+    if (!container) return;
+
+    const budget = calculateLinkBudget(link);
+    const { forward, reverse } = budget;
+    const dB = value => `${value.toFixed(1)}`;
+    const marginCell = direction => `<td class="margin-${getMarginQuality(direction.fadeMargin)}">${dB(direction.fadeMargin)} dB</td>`;
+    const end1 = getRadioLabel(link.tower1, link.radio1);
+    const end2 = getRadioLabel(link.tower2, link.radio2);
+
+    container.innerHTML = `
+        <table class="budget-table">
+            <caption>Link Budget</caption>
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>${escapeHtml(end1)} → ${escapeHtml(end2)}</th>
+                    <th>${escapeHtml(end2)} → ${escapeHtml(end1)}</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr><td>EIRP</td><td>${dB(forward.eirp)} dBm</td><td>${dB(reverse.eirp)} dBm</td></tr>
+                <tr><td>Free-space path loss</td><td>${dB(budget.fspl)} dB</td><td>${dB(budget.fspl)} dB</td></tr>
+                <tr><td>Gaseous absorption</td><td>${dB(budget.gaseousLoss)} dB</td><td>${dB(budget.gaseousLoss)} dB</td></tr>
+                <tr><td>RX gain − cable loss</td><td>${dB(forward.to.antennaGain - forward.to.cableLoss)} dB</td><td>${dB(reverse.to.antennaGain - reverse.to.cableLoss)} dB</td></tr>
+                <tr><td>Expected RSSI</td><td>${dB(forward.rssi)} dBm</td><td>${dB(reverse.rssi)} dBm</td></tr>
+                <tr><td>RX sensitivity</td><td>${dB(forward.to.rxSensitivity)} dBm</td><td>${dB(reverse.to.rxSensitivity)} dBm</td></tr>
+                <tr class="budget-margin"><td>Fade margin</td>${marginCell(forward)}${marginCell(reverse)}</tr>
+            </tbody>
+        </table>
+        <div class="formula-box">
+            <strong>FSPL:</strong> 20·log₁₀(d km) + 20·log₁₀(f GHz) + 92.45<br>
+            <small>RSSI = EIRP − FSPL − A<sub>gas</sub> + G<sub>rx</sub> − L<sub>rx</sub>; fade margin = RSSI − sensitivity (≥ ${FADE_MARGIN_GOOD} dB recommended)</small>
+        </div>
+    `;
+}
+
+// ============================================================================
+// Rain Fade & Availability
+// ============================================================================
+// Rain attenuation follows ITU-R P.530-17 §2.4.1: the specific attenuation
+// k·Rᵅ (P.838-3) at the rain rate exceeded for 0.01% of an average year, over
+// an effective path length, then scaled to other time percentages. The
+// annual availability is the time the worst direction's fade margin covers
+// the rain fade.
+function calculateGaseousAttenuation(frequencyGHz) {
+    // ITU-R P.676 Annex 2 approximation in dB/km at sea level (1013 hPa, 15 °C):
+    // oxygen, with its absorption peak around 60 GHz, plus water vapour. Above its range the
+    // approximation keeps climbing, so the frequency is held to the top of it
+    const oxygenBelow57 = f => (7.19e-3 + 6.09 / (f * f + 0.227) + 4.81 / ((f - 57) ** 2 + 1.50)) * f * f * 1e-3;
+    const oxygenAbove63 = f => (3.79e-7 * f + 0.265 / ((f - 63) ** 2 + 1.59) + 0.028 / ((f - 118) ** 2 + 1.47)) * (f + 198) ** 2 * 1e-3;
+    const f = Math.min(frequencyGHz, GASEOUS_MODEL_MAX_FREQUENCY);
+    let oxygen;
+    if (f <= 57) {
+        oxygen = oxygenBelow57(f);
+    } else if (f <= 63) {
+        // The individual lines of the 60 GHz complex merge at sea level; interpolate across them
+        oxygen = (f - 60) * (f - 63) / 18 * oxygenBelow57(57) - 1.66 * (f - 57) * (f - 63) + (f - 57) * (f - 60) / 18 * oxygenAbove63(63);
+    } else {
+        oxygen = oxygenAbove63(f);
+    }
+
+    const rho = WATER_VAPOUR_DENSITY;
+    const vapour = (0.050 + 0.0021 * rho + 3.6 / ((f - 22.2) ** 2 + 8.5) + 10.6 / ((f - 183.3) ** 2 + 9.0) + 8.9 / ((f - 325.4) ** 2 + 26.3)) * f * f * rho * 1e-4;
+    return oxygen + vapour;
+}
+
+function calculateRainCoefficients(frequencyGHz, polarization) {
+    // log₁₀k and α are sums of Gaussians in log₁₀f plus a linear term. Outside the fitted
+    // range the sums diverge, so the frequency is held to its ends
+    const logF = Math.log10(Math.min(Math.max(frequencyGHz, RAIN_MODEL_MIN_FREQUENCY), RAIN_MODEL_MAX_FREQUENCY));
+    const fit = ({ terms, m, c }) => terms.reduce((sum, [a, b, width]) => sum + a * Math.exp(-(((logF - b) / width) ** 2)), 0) + m * logF + c;
+    const coefficients = RAIN_COEFFICIENTS[polarization];
+    return { k: 10 ** fit(coefficients.k), alpha: fit(coefficients.alpha) };
+}
+
+function getRainRate() {
+    return state.rainRegion === 'custom' ? state.rainRate : RAIN_REGIONS[state.rainRegion];
+}
+
+function calculateRainAttenuation(frequencyGHz, distanceKm, polarization, rainRate) {
+    // Attenuation exceeded for 0.01% of the time; rain cells are smaller than long paths,
+    // so the distance factor r shortens them (and lengthens short ones, up to 2.5×)
+    const { k, alpha } = calculateRainCoefficients(frequencyGHz, polarization);
+    const specific = k * rainRate ** alpha;
+    const d = Math.max(distanceKm, 0.001);
+    const denominator = 0.477 * d ** 0.633 * rainRate ** (0.073 * alpha) * frequencyGHz ** 0.123 - 10.579 * (1 - Math.exp(-0.024 * d));
+    const factor = denominator > 0 ? Math.min(1 / denominator, 2.5) : 2.5;
+    return { specific, effectiveLength: d * factor, attenuation: specific * d * factor };
+}
+
+function scaleRainAttenuation(attenuation, frequencyGHz, percentage) {
+    // Rain fade exceeded for `percentage` % of the time, from the 0.01% value
+    const c0 = frequencyGHz >= 10 ? 0.12 + 0.4 * Math.log10((frequencyGHz / 10) ** 0.8) : 0.12;
+    const c1 = 0.07 ** c0 * 0.12 ** (1 - c0);
+    const c2 = 0.855 * c0 + 0.546 * (1 - c0);
+    const c3 = 0.139 * c0 + 0.043 * (1 - c0);
+    return attenuation * c1 * percentage ** -(c2 + c3 * Math.log10(percentage));
+}
+
+function calculateAvailability(link) {
+    const rainRate = getRainRate();
+    const budget = calculateLinkBudget(link);
+    const rain = calculateRainAttenuation(link.frequency, link.distance, link.polarization, rainRate);
+    const margin = budget.worstMargin;
+    const fadeAt = percentage => scaleRainAttenuation(rain.attenuation, link.frequency, percentage);
+    const result = { rainRate, rain, gaseousLoss: budget.gaseousLoss, margin, percentage: null, bound: null };
+
+    // The scaling only holds between AVAILABILITY_MIN_PERCENTAGE and AVAILABILITY_MAX_PERCENTAGE,
+    // so outside it the availability is given as a bound
+    if (margin <= 0) {
+        return { ...result, bound: 'none' };
+    }
+    if (fadeAt(AVAILABILITY_MIN_PERCENTAGE) <= margin) {
+        return { ...result, percentage: AVAILABILITY_MIN_PERCENTAGE, bound: 'above' };
+    }
+    if (fadeAt(AVAILABILITY_MAX_PERCENTAGE) >= margin) {
+        return { ...result, percentage: AVAILABILITY_MAX_PERCENTAGE, bound: 'below' };
+    }
+
+    // The fade falls steadily with the percentage, so bisect on its logarithm
+    let low = Math.log10(AVAILABILITY_MIN_PERCENTAGE);
+    let high = Math.log10(AVAILABILITY_MAX_PERCENTAGE);
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (fadeAt(10 ** mid) > margin) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return { ...result, percentage: 10 ** high };
+}
+
+function formatAvailability(availability) {
+    if (availability.bound === 'none') return '0%';
+    const percent = `${(100 - availability.percentage).toFixed(3)}%`;
+    if (availability.bound === 'above') return `≥ ${percent}`;
+    if (availability.bound === 'below') return `< ${percent}`;
+    return percent;
+}
+
+function formatOutage(availability) {
+    if (availability.bound === 'none') return 'whole year';
+    const minutes = availability.percentage / 100 * MINUTES_PER_YEAR;
+    const text = minutes < 100 ? `${minutes.toFixed(1)} min/year` : `${Math.round(minutes).toLocaleString()} min/year (${(minutes / 60).toFixed(1)} h)`;
+    if (availability.bound === 'above') return `≤ ${text}`;
+    if (availability.bound === 'below') return `> ${text}`;
+    return text;
+}
+
+function getRainRateLabel() {
+    return state.rainRegion === 'custom' ? `${state.rainRate} mm/h (custom)` : `${RAIN_REGIONS[state.rainRegion]} mm/h (region ${state.rainRegion})`;
+}
+
+function renderLinkAvailability(link) {
+    const container = document.getElementById('linkAvailability');
+    if (!container) return;
+
+    const availability = calculateAvailability(link);
+    const { rain } = availability;
+    const polarizationOptions = Object.entries(POLARIZATIONS)
+        .map(([value, label]) => `<option value="${value}" ${link.polarization === value ? 'selected' : ''}>${label}</option>`).join('');
+    const quality = availability.bound === 'none' ? 'poor' : getAvailabilityQuality(availability.percentage);
+
+    container.innerHTML = `
+        <table class="budget-table">
+            <caption>Rain Fade & Availability</caption>
+            <tbody>
+                <tr><td><label for="linkPolarization">Polarization</label></td><td>
+                    <select id="linkPolarization" class="sidebar-select" onchange="updateLinkPolarization(${link.id}, this.value)" ${getEditLockAttribute()}>${polarizationOptions}</select>
+                </td></tr>
+                <tr><td>Rain rate (0.01% of the year)</td><td>${getRainRateLabel()}</td></tr>
+                <tr><td>Specific rain attenuation</td><td>${rain.specific.toFixed(3)} dB/km</td></tr>
+                <tr><td>Effective path length</td><td>${rain.effectiveLength.toFixed(2)} km</td></tr>
+                <tr><td>Rain fade exceeded 0.01%</td><td>${rain.attenuation.toFixed(1)} dB</td></tr>
+                <tr><td>Gaseous absorption</td><td>${availability.gaseousLoss.toFixed(2)} dB (${calculateGaseousAttenuation(link.frequency).toFixed(3)} dB/km)</td></tr>
+                <tr><td>Fade margin (weaker direction)</td><td class="margin-${getMarginQuality(availability.margin)}">${availability.margin.toFixed(1)} dB</td></tr>
+                <tr class="budget-margin"><td>Annual availability</td><td class="margin-${quality}">${formatAvailability(availability)}</td></tr>
+                <tr><td>Rain outage</td><td>${formatOutage(availability)}</td></tr>
+            </tbody>
+        </table>
+        <div class="formula-box">
+            <strong>Rain:</strong> A<sub>0.01</sub> = k·R<sup>α</sup> × d × r (ITU-R P.838-3, P.530-17)<br>
+            <small>${availability.bound === 'none'
+                ? 'The link has no fade margin even in clear air.'
+                : 'Other time percentages are scaled from A<sub>0.01</sub>; the model holds from 0.001% to 1% of the year. Gaseous absorption is for a standard sea-level atmosphere (ITU-R P.676).'}
+            ${link.frequency < RAIN_MODEL_MIN_FREQUENCY ? ` P.838-3 covers ${RAIN_MODEL_MIN_FREQUENCY}–${RAIN_MODEL_MAX_FREQUENCY} GHz, so rain is taken at ${RAIN_MODEL_MIN_FREQUENCY} GHz; below that it is negligible.` : ''}
+            ${link.frequency > GASEOUS_MODEL_MAX_FREQUENCY ? ` The P.676 approximation holds up to ${GASEOUS_MODEL_MAX_FREQUENCY} GHz, so gaseous absorption is taken at ${GASEOUS_MODEL_MAX_FREQUENCY} GHz and is likely underestimated.` : ''}</small>
+        </div>
+    `;
+}
+
+function getAvailabilityQuality(percentage) {
+    if (percentage <= AVAILABILITY_GOOD) return 'good';
+    if (percentage <= AVAILABILITY_FAIR) return 'fair';
+    return 'poor';
+}
+
+function updateLinkPolarization(linkId, polarization) {
+    const link = state.links.find(l => l.id === linkId);
+    if (!link || !POLARIZATIONS[polarization] || link.polarization === polarization) return;
+
+    const previous = link.polarization;
+    recordCommand({
+        label: `polarization on ${getLinkLabel(link)}`,
+        undo: () => setLinkPolarization(linkId, previous),
+        redo: () => setLinkPolarization(linkId, polarization)
+    });
+    setLinkPolarization(linkId, polarization);
+}
+
+function setLinkPolarization(linkId, polarization) {
+    const link = state.links.find(l => l.id === linkId);
+    if (!link) return;
+    link.polarization = polarization;
+    if (state.linkModalLinkId === link.id) {
+        renderLinkAvailability(link);
+    }
+    onPlanChanged();
+}
+
+function setRainRegion(region) {
+    if (region !== 'custom' && !RAIN_REGIONS[region]) return;
+    state.rainRegion = region;
+    refreshAvailabilityViews();
+}
+
+function setCustomRainRate(value) {
+    const rainRate = parseFloat(value);
+    if (!Number.isFinite(rainRate) || rainRate < 0 || rainRate > MAX_RAIN_RATE) {
+        showNotification(`The rain rate must be between 0 and ${MAX_RAIN_RATE} mm/h.`, 'error');
+        updateRainControls();
+        return;
+    }
+    state.rainRegion = 'custom';
+    state.rainRate = rainRate;
+    refreshAvailabilityViews();
+}
+
+function refreshAvailabilityViews() {
+    updateRainControls();
+    const modalLink = state.links.find(l => l.id === state.linkModalLinkId);
+    if (modalLink) {
+        renderLinkAvailability(modalLink);
+    }
+    onPlanChanged();
+}
+
+function populateRainRegionSelect() {
+    const select = document.getElementById('rainRegion');
+    select.innerHTML = Object.entries(RAIN_REGIONS)
+        .map(([region, rate]) => `<option value="${region}">${region} (${rate} mm/h)</option>`).join('') +
+        '<option value="custom">Custom…</option>';
+}
+
+function updateRainControls() {
+    const select = document.getElementById('rainRegion');
+    const input = document.getElementById('rainRateCustom');
+    if (!select || !input) return;
+    select.value = state.rainRegion;
+    input.value = state.rainRate;
+    input.classList.toggle('hidden', state.rainRegion !== 'custom');
+}
+
+// ============================================================================
+// Antenna Alignment
+// ============================================================================
+// Installers aim each end by compass and inclinometer: true and magnetic
+// azimuth to the far end, the reciprocal bearing for back-sighting, and the
+// tilt from the two antenna heights over the (refracted) curved earth.
+function calculateSchmidtLegendre(n, m, theta) {
+    // Schmidt semi-normalised associated Legendre function P_n^m(cos θ), as used by IGRF
+    const x = Math.cos(theta);
+    const s = Math.sin(theta);
+    let pmm = 1;
+    for (let i = 1; i <= m; i++) pmm *= (2 * i - 1) * s;
+
+    let value = pmm;
+    if (n > m) {
+        let previous = pmm;
+        value = x * (2 * m + 1) * pmm;
+        for (let k = m + 2; k <= n; k++) {
+            const next = ((2 * k - 1) * x * value - (k + m - 1) * previous) / (k - m);
+            previous = value;
+            value = next;
+        }
+    }
+    if (m === 0) return value;
+    let ratio = 1; // (n - m)! / (n + m)!
+    for (let i = n - m + 1; i <= n + m; i++) ratio /= i;
+    return value * Math.sqrt(2 * ratio);
+}
+
+function calculateGeomagneticPotential(theta, lambda, years) {
+    // Surface potential (nT × earth radius) at colatitude θ and longitude λ, `years` after the model epoch
+    return GEOMAGNETIC_MODEL.coefficients.reduce((sum, [n, m, g, h, gRate, hRate]) => {
+        const gt = g + gRate * years;
+        const ht = h + hRate * years;
+        return sum + (gt * Math.cos(m * lambda) + ht * Math.sin(m * lambda)) * calculateSchmidtLegendre(n, m, theta);
+    }, 0);
+}
+
+function calculateMagneticDeclination(lat, lng, date = new Date()) {
+    // Degrees east of true north. The horizontal field is the gradient of the potential:
+    // north X = ∂V/∂θ, east Y = −∂V/∂λ / sin θ, taken numerically.
+    const theta = toRadians(90 - Math.max(-89.9, Math.min(89.9, lat)));
+    const lambda = toRadians(lng);
+    const years = date.getUTCFullYear() + date.getUTCMonth() / 12 - GEOMAGNETIC_MODEL.epoch;
+    const step = 1e-5;
+    const north = (calculateGeomagneticPotential(theta + step, lambda, years) - calculateGeomagneticPotential(theta - step, lambda, years)) / (2 * step);
+    const east = -(calculateGeomagneticPotential(theta, lambda + step, years) - calculateGeomagneticPotential(theta, lambda - step, years)) / (2 * step) / Math.sin(theta);
+    return Math.atan2(east, north) * 180 / Math.PI;
+}
+
+function getDeclination(lat, lng) {
+    return state.declinationMode === 'manual' ? state.declination : calculateMagneticDeclination(lat, lng);
+}
+
+function normalizeBearing(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function getAntennaElevation(link, end) {
+    // Antenna height above sea level; null ground (no data) is taken as sea level
+    const tower = end === 1 ? link.tower1 : link.tower2;
+    const radio = end === 1 ? link.radio1 : link.radio2;
+    const terrainGround = link.terrain && link.terrain[`ground${end}`];
+    const ground = tower.groundElevation !== null
+        ? tower.groundElevation
+        : (Number.isFinite(terrainGround) ? terrainGround : null);
+    return { ground, elevation: (ground !== null ? ground : 0) + radio.antennaHeight };
+}
+
+function calculateAlignment(link) {
+    const distanceMeters = link.distance * 1000;
+    const effectiveRadius = state.kFactor * EARTH_RADIUS_KM * 1000;
+    const ends = [
+        { tower: link.tower1, radio: link.radio1, peer: link.tower2, peerRadio: link.radio2, ...getAntennaElevation(link, 1) },
+        { tower: link.tower2, radio: link.radio2, peer: link.tower1, peerRadio: link.radio1, ...getAntennaElevation(link, 2) }
+    ];
+
+    return ends.map((end, i) => {
+        const far = ends[1 - i];
+        const trueAzimuth = calculateBearing(end.tower.lat, end.tower.lng, end.peer.lat, end.peer.lng);
+        const declination = getDeclination(end.tower.lat, end.tower.lng);
+        // The far antenna drops below the local horizontal by d / 2kR radians over the curved earth
+        const tilt = (Math.atan2(far.elevation - end.elevation, distanceMeters) - distanceMeters / (2 * effectiveRadius)) * 180 / Math.PI;
+        return {
+            ...end,
+            trueAzimuth,
+            declination,
+            magneticAzimuth: normalizeBearing(trueAzimuth - declination),
+            reciprocal: normalizeBearing(trueAzimuth + 180),
+            tilt
+        };
+    });
+}
+
+function formatTilt(tilt) {
+    return `${tilt >= 0 ? '+' : '−'}${Math.abs(tilt).toFixed(2)}° ${tilt >= 0 ? 'up' : 'down'}`;
+}
+
+function renderLinkAlignment(link) {
+    const container = document.getElementById('linkAlignment');
+    if (!container) return;
+
+    const ends = calculateAlignment(link);
+    const source = state.declinationMode === 'manual' ? 'manual declination' : `${GEOMAGNETIC_MODEL.name} declination`;
+    container.innerHTML = `
+        <table class="budget-table">
+            <caption>Antenna Alignment</caption>
+            <thead>
+                <tr><th></th>${ends.map(end => `<th>${escapeHtml(getRadioLabel(end.tower, end.radio))}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                <tr><td>True azimuth</td>${ends.map(end => `<td>${end.trueAzimuth.toFixed(1)}°</td>`).join('')}</tr>
+                <tr><td>Declination</td>${ends.map(end => `<td>${Math.abs(end.declination).toFixed(1)}° ${end.declination >= 0 ? 'E' : 'W'}</td>`).join('')}</tr>
+                <tr class="budget-margin"><td>Magnetic azimuth</td>${ends.map(end => `<td>${end.magneticAzimuth.toFixed(1)}°</td>`).join('')}</tr>
+                <tr><td>Reciprocal bearing</td>${ends.map(end => `<td>${end.reciprocal.toFixed(1)}°</td>`).join('')}</tr>
+                <tr class="budget-margin"><td>Tilt</td>${ends.map(end => `<td>${formatTilt(end.tilt)}</td>`).join('')}</tr>
+            </tbody>
+        </table>
+        <div class="terrain-note">
+            Magnetic azimuth uses the ${source}. Tilt includes earth curvature at k = ${state.kFactor.toFixed(2)}${ends.some(end => end.ground === null) ? '; unknown ground elevation is taken as sea level' : ''}.
+        </div>
+    `;
+}
+
+function getAlignmentRows() {
+    return state.links.flatMap(link => calculateAlignment(link).map(end => ({ link, ...end })));
+}
+
+function showAlignmentSheet() {
+    if (state.links.length === 0) {
+        showNotification('There are no links to align yet.', 'error');
+        return;
+    }
+    const rows = getAlignmentRows();
+    document.getElementById('alignmentSheet').innerHTML = `
+        <div class="terrain-note">
+            Declination: ${state.declinationMode === 'manual' ? `${state.declination}° (manual)` : `${GEOMAGNETIC_MODEL.name}, approximate to about 2°`}.
+            Tilt: positive is up, includes earth curvature at k = ${state.kFactor.toFixed(2)}.
+        </div>
+        <div class="import-preview-scroll">
+            <table class="import-preview-table">
+                <thead>
+                    <tr><th>Link</th><th>At</th><th>Aim at</th><th>True</th><th>Magnetic</th><th>Reciprocal</th><th>Tilt</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.link.id}</td>
+                            <td>${escapeHtml(getRadioLabel(row.tower, row.radio))}</td>
+                            <td>${escapeHtml(getRadioLabel(row.peer, row.peerRadio))}</td>
+                            <td>${row.trueAzimuth.toFixed(1)}°</td>
+                            <td>${row.magneticAzimuth.toFixed(1)}°</td>
+                            <td>${row.reciprocal.toFixed(1)}°</td>
+                            <td>${formatTilt(row.tilt)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    openModal(document.getElementById('alignmentModal'));
+}
+
+function hideAlignmentModal() {
+    closeModal(document.getElementById('alignmentModal'));
+}
+
+function exportAlignmentCsv() {
+    const quote = value => {
+        const text = String(value === null || value === undefined ? '' : value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['Link', 'Tower', 'Radio', 'Latitude', 'Longitude', 'Aim at', 'Distance (km)', 'True azimuth (°)',
+        'Declination (° east)', 'Magnetic azimuth (°)', 'Reciprocal bearing (°)', 'Tilt (°, + up)', 'Antenna height (m AGL)', 'Ground elevation (m ASL)'];
+    const rows = getAlignmentRows().map(row => [
+        row.link.id,
+        row.tower.name,
+        row.radio.name,
+        row.tower.lat.toFixed(6),
+        row.tower.lng.toFixed(6),
+        getRadioLabel(row.peer, row.peerRadio),
+        row.link.distance.toFixed(3),
+        row.trueAzimuth.toFixed(1),
+        row.declination.toFixed(1),
+        row.magneticAzimuth.toFixed(1),
+        row.reciprocal.toFixed(1),
+        row.tilt.toFixed(2),
+        row.radio.antennaHeight,
+        row.ground !== null ? row.ground.toFixed(0) : ''
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(quote).join(',')).join('\n');
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(csv, `rf-link-alignment-${date}.csv`, 'text/csv');
+    showNotification(`Exported alignment for ${state.links.length} link(s).`);
+}
+
+function setDeclinationMode(mode) {
+    state.declinationMode = mode === 'manual' ? 'manual' : 'model';
+    refreshAlignmentViews();
+}
+
+function setManualDeclination(value) {
+    const declination = parseFloat(value);
+    if (!Number.isFinite(declination) || declination < -180 || declination > 180) {
+        showNotification('Declination must be a number of degrees between -180 and 180 (east positive).', 'error');
+        updateAlignmentControls();
+        return;
+    }
+    state.declination = declination;
+    refreshAlignmentViews();
+}
+
+function refreshAlignmentViews() {
+    updateAlignmentControls();
+    const modalLink = state.links.find(l => l.id === state.linkModalLinkId);
+    if (modalLink) {
+        renderLinkAlignment(modalLink);
+    }
+    onPlanChanged();
+}
+
+function updateAlignmentControls() {
+    const mode = document.getElementById('declinationMode');
+    const input = document.getElementById('declinationInput');
+    if (!mode || !input) return;
+    mode.value = state.declinationMode;
+    input.value = state.declination;
+    input.classList.toggle('hidden', state.declinationMode !== 'manual');
+}
+
+// ============================================================================
+// Channel Plan & Interference
+// ============================================================================
+function getBandChannels(band) {
+    // Channel centres (GHz) that fit entirely inside the band at its usual width
+    const channels = [];
+    const halfWidth = band.channelWidth / 2000;
+    for (let i = 0; ; i++) {
+        const centre = Math.round((band.firstChannel + i * band.channelStep) * 1e4) / 1e4;
+        if (centre + halfWidth > band.max + 1e-9) break;
+        channels.push(centre);
+    }
+    return channels;
+}
+
+function findChannelBand(frequency, channelWidth = 0) {
+    const { low, high } = getChannelRange(frequency, channelWidth);
+    return CHANNEL_BANDS.find(band => low >= band.min * 1000 - 1e-6 && high <= band.max * 1000 + 1e-6) || null;
+}
+
+function getChannelRange(frequency, channelWidth) {
+    // Occupied spectrum in MHz
+    return {
+        low: frequency * 1000 - channelWidth / 2,
+        high: frequency * 1000 + channelWidth / 2
+    };
+}
+
+function channelsMatch(radio1, radio2, tolerance = state.channelTolerance) {
+    // Same channel when the centres are within the tolerance (MHz); avoids exact float comparison
+    return Math.abs(radio1.frequency - radio2.frequency) * 1000 <= tolerance + 1e-9;
+}
+
+function calculateChannelOverlap(radio1, radio2) {
+    // MHz of spectrum both channels occupy
+    const a = getChannelRange(radio1.frequency, radio1.channelWidth);
+    const b = getChannelRange(radio2.frequency, radio2.channelWidth);
+    return Math.max(0, Math.min(a.high, b.high) - Math.max(a.low, b.low));
+}
+
+function formatChannel(radio) {
+    const band = findChannelBand(radio.frequency, radio.channelWidth);
+    return `${radio.frequency} GHz / ${radio.channelWidth} MHz${band ? ` (${band.name})` : ''}`;
+}
+
+function getOffAxisAngle(from, boresight, target) {
+    // Angle between the bearing an antenna at `from` points along and the direction to `target`
+    const direction = calculateBearing(from.lat, from.lng, target.lat, target.lng);
+    const difference = Math.abs(boresight - direction) % 360;
+    return difference > 180 ? 360 - difference : difference;
+}
+
+function getRadioBoresight(end) {
+    // A radio without a set azimuth is assumed to be aimed at the far end of its link
+    return end.radio.azimuth !== null
+        ? end.radio.azimuth
+        : calculateBearing(end.tower.lat, end.tower.lng, end.peer.lat, end.peer.lng);
+}
+
+function compareLinksForInterference(linkA, linkB) {
+    // Checks every end of one link against every end of the other. An end is one radio of
+    // the link and the tower it is mounted on.
+    const ends = link => [
+        { tower: link.tower1, radio: link.radio1, peer: link.tower2, peerRadio: link.radio2, link },
+        { tower: link.tower2, radio: link.radio2, peer: link.tower1, peerRadio: link.radio1, link }
+    ];
+
+    const findings = [];
+    let overlap = 0;
+    let coChannel = false;
+
+    ends(linkA).forEach(a => {
+        ends(linkB).forEach(b => {
+            // One radio serving several links (point-to-multipoint) shares its channel by design
+            if (a.tower.id === b.tower.id && a.radio.id === b.radio.id) return;
+            const shared = calculateChannelOverlap(a.radio, b.radio);
+            if (shared <= 0) return;
+
+            const label = end => getRadioLabel(end.tower, end.radio);
+            const reasons = [];
+            if (a.tower.id === b.tower.id) {
+                reasons.push(`${a.tower.name} has ${a.radio.name} and ${b.radio.name} on overlapping channels`);
+            } else {
+                const distance = calculateDistance(a.tower.lat, a.tower.lng, b.tower.lat, b.tower.lng);
+                if (distance < INTERFERENCE_DISTANCE_KM) {
+                    reasons.push(`${a.tower.name} and ${b.tower.name} are ${(distance * 1000).toFixed(0)} m apart`);
+                }
+                // An antenna also illuminates sites near its boresight
+                [[a, b], [b, a]].forEach(([from, to]) => {
+                    if (to.tower.id === from.peer.id && to.radio.id === from.peerRadio.id) return;
+                    const angle = getOffAxisAngle(from.tower, getRadioBoresight(from), to.tower);
+                    if (angle <= INTERFERENCE_BEAM_ANGLE && distance <= from.link.distance * INTERFERENCE_RANGE_FACTOR) {
+                        const aim = from.radio.azimuth !== null ? `aimed at ${from.radio.azimuth}°` : `towards ${from.peer.name}`;
+                        reasons.push(`${label(from)}'s antenna ${aim} points at ${label(to)} (${angle.toFixed(1)}° off axis, ${distance.toFixed(2)} km)`);
+                    }
+                });
+            }
+            if (reasons.length === 0) return;
+
+            overlap = Math.max(overlap, shared);
+            coChannel = coChannel || channelsMatch(a.radio, b.radio);
+            reasons.forEach(reason => {
+                if (!findings.includes(reason)) findings.push(reason);
+            });
+        });
+    });
+
+    if (findings.length === 0) return null;
+    return { linkA, linkB, overlap, coChannel, findings };
+}
+
+function findInterference(links = state.links) {
+    const conflicts = [];
+    for (let i = 0; i < links.length; i++) {
+        for (let j = i + 1; j < links.length; j++) {
+            const conflict = compareLinksForInterference(links[i], links[j]);
+            if (conflict) conflicts.push(conflict);
+        }
+    }
+    // Co-channel first, then by how much spectrum is shared
+    return conflicts.sort((a, b) => (b.coChannel - a.coChannel) || (b.overlap - a.overlap));
+}
+
+function findLinkInterference(link) {
+    return state.links
+        .filter(other => other.id !== link.id)
+        .map(other => compareLinksForInterference(link, other))
+        .filter(Boolean);
+}
+
+function createInterferenceList(conflicts, link = null) {
+    return `
+        <ul class="interference-list">
+            ${conflicts.map(conflict => {
+                const other = link && conflict.linkA.id === link.id ? [conflict.linkB] : [conflict.linkA, conflict.linkB];
+                const title = other.map(l => escapeHtml(getLinkLabel(l))).join(' and ');
+                return `
+                    <li class="interference-item ${conflict.coChannel ? 'co-channel' : 'overlap'}">
+                        <strong>${title}</strong>
+                        <span class="interference-kind">${conflict.coChannel ? 'Co-channel' : 'Overlapping channel'}, ${conflict.overlap.toFixed(0)} MHz shared</span>
+                        <ul>${conflict.findings.map(finding => `<li>${escapeHtml(finding)}</li>`).join('')}</ul>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+function renderLinkChannel(link) {
+    const container = document.getElementById('linkChannel');
+    if (!container) return;
+
+    const { radio1, radio2 } = link;
+    const conflicts = findLinkInterference(link);
+    container.innerHTML = `
+        <div><strong>Channel:</strong> ${escapeHtml(formatChannel(radio1))}</div>
+        ${radio1.channelWidth !== radio2.channelWidth || radio1.frequency !== radio2.frequency
+            ? `<div class="channel-warning">⚠️ ${escapeHtml(getRadioLabel(link.tower2, radio2))} uses ${escapeHtml(formatChannel(radio2))}</div>`
+            : ''}
+        ${conflicts.length === 0
+            ? '<div class="terrain-note">No overlapping channels nearby.</div>'
+            : `<div class="channel-warning"><strong>Possible interference with ${conflicts.length} link(s):</strong></div>${createInterferenceList(conflicts, link)}`}
+    `;
+}
+
+function showInterferenceReport() {
+    const conflicts = findInterference();
+    document.getElementById('interferenceReport').innerHTML = `
+        <div class="link-details">
+            <div class="terrain-note">
+                Links sharing or overlapping a channel are flagged when their antennas are closer than
+                ${INTERFERENCE_DISTANCE_KM * 1000} m or one points within ${INTERFERENCE_BEAM_ANGLE}° of the other's site.
+            </div>
+            ${conflicts.length === 0
+                ? `<div>No interference found between ${state.links.length} link(s).</div>`
+                : `<div class="info-highlight"><strong>${conflicts.length} potential conflict(s)</strong></div>${createInterferenceList(conflicts)}`}
+        </div>
+    `;
+    openModal(document.getElementById('interferenceModal'));
+}
+
+function hideInterferenceModal() {
+    closeModal(document.getElementById('interferenceModal'));
+}
+
+function setChannelTolerance(tolerance) {
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+        showNotification('The channel tolerance must be zero or a positive number of MHz.', 'error');
+        updateChannelControls();
+        return;
+    }
+    state.channelTolerance = tolerance;
+    updateChannelControls();
+
+    const mismatched = state.links.filter(link => !channelsMatch(link.radio1, link.radio2));
+    if (mismatched.length > 0) {
+        showNotification(`${mismatched.length} existing link(s) are outside the new tolerance.`, 'error');
+    }
+    onPlanChanged();
+}
+
+function updateChannelControls() {
+    const input = document.getElementById('channelTolerance');
+    if (input) {
+        input.value = state.channelTolerance;
+    }
+}
+
+function populateChannelSelect() {
+    const select = document.getElementById('towerChannel');
+    select.innerHTML = `
+        <option value="">Custom</option>
+        ${CHANNEL_BANDS.map(band => `
+            <optgroup label="${escapeHtml(band.name)}">
+                ${getBandChannels(band).map(centre => `<option value="${band.id}:${centre}">${centre} GHz (${band.channelWidth} MHz)</option>`).join('')}
+            </optgroup>
+        `).join('')}
+    `;
+}
+
+function applyChannelSelection(value) {
+    // Picking a channel fills in the centre frequency and width; "Custom" leaves them to the user
+    if (!value) return;
+    const [bandId, centre] = value.split(':');
+    const band = CHANNEL_BANDS.find(b => b.id === bandId);
+    if (!band) return;
+    document.getElementById('towerFrequency').value = centre;
+    document.getElementById('towerChannelWidth').value = band.channelWidth;
+}
+
+function syncChannelSelect() {
+    // Show the matching preset, or Custom once the frequency or width is edited by hand
+    const frequency = parseFloat(document.getElementById('towerFrequency').value);
+    const width = parseFloat(document.getElementById('towerChannelWidth').value);
+    const band = CHANNEL_BANDS.find(b => b.channelWidth === width && getBandChannels(b).includes(frequency));
+    document.getElementById('towerChannel').value = band ? `${band.id}:${frequency}` : '';
+}
+
+// ============================================================================
+// Terrain Elevation & Line of Sight
+// ============================================================================
+// An elevation provider is any object with a `name` and an async
+// `sampleElevations(points)` that resolves to one elevation (meters above sea
+// level) per { lat, lng } point, or null where it has no data.
+function createMockElevationProvider(options = {}) {
+    const baseElevation = options.baseElevation !== undefined ? options.baseElevation : 120;
+    const amplitude = options.amplitude !== undefined ? options.amplitude : 80;
+    const ridges = options.ridges || [];
+
+    // Deterministic rolling terrain, so the same plan always yields the same profile
+    function getElevation(lat, lng) {
+        let elevation = baseElevation +
+            amplitude * 0.6 * Math.sin(lat * 37.1) * Math.cos(lng * 29.3) +
+            amplitude * 0.3 * Math.sin(lat * 113.7 + lng * 91.9) +
+            amplitude * 0.1 * Math.cos(lng * 271.3);
+        ridges.forEach(ridge => {
+            const distanceKm = calculateDistance(lat, lng, ridge.lat, ridge.lng);
+            elevation += ridge.height * Math.exp(-Math.pow(distanceKm / ridge.radiusKm, 2));
+        });
+        return elevation;
+    }
+
+    return {
+        name: options.name || 'Synthetic terrain (mock)',
+        getElevation,
+        sampleElevations: async points => points.map(p => getElevation(p.lat, p.lng))
+    };
+}
+
+function createDemElevationProvider() {
+    const tiles = [];
+
+    function getElevation(lat, lng) {
+        for (const tile of tiles) {
+            const elevation = sampleDemTile(tile, lat, lng);
+            if (elevation !== null) return elevation;
+        }
+        return null;
+    }
+
+    return {
+        name: 'DEM tiles',
+        tiles,
+        addTile: tile => tiles.push(tile),
+        getElevation,
+        sampleElevations: async points => points.map(p => getElevation(p.lat, p.lng))
+    };
+}
+
+function parseHgtTile(fileName, buffer) {
+    // SRTM .hgt: square grid of big-endian int16 heights, row 0 is the northern edge,
+    // named after the south-west corner, e.g. N40W075.hgt
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+    if (!match) {
+        throw new Error('file name must contain the tile corner, e.g. N40W075.hgt');
+    }
+    const size = Math.sqrt(buffer.byteLength / 2);
+    if (!Number.isInteger(size) || size < 2) {
+        throw new Error(`unexpected file size ${buffer.byteLength} bytes for an SRTM tile`);
+    }
+
+    const south = Number(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const west = Number(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+    const view = new DataView(buffer);
+    const values = new Float32Array(size * size);
+    for (let i = 0; i < values.length; i++) {
+        const value = view.getInt16(i * 2, false);
+        values[i] = value === -32768 ? NaN : value;
+    }
+
+    return {
+        name: fileName,
+        originLat: south + 1,
+        originLng: west,
+        stepLat: 1 / (size - 1),
+        stepLng: 1 / (size - 1),
+        rows: size,
+        cols: size,
+        values
+    };
+}
+
+function parseAsciiGridTile(fileName, text) {
+    // ESRI ASCII grid: a short key/value header followed by rows from north to south
+    const lines = text.split(/\r?\n/);
+    const header = {};
+    let lineIndex = 0;
+    while (lineIndex < lines.length) {
+        const match = /^\s*([a-zA-Z_]+)\s+(\S+)\s*$/.exec(lines[lineIndex]);
+        if (!match) break;
+        header[match[1].toLowerCase()] = Number(match[2]);
+        lineIndex++;
+    }
+
+    const cols = header.ncols;
+    const rows = header.nrows;
+    const cellSize = header.cellsize;
+    if (!(cols > 0) || !(rows > 0) || !(cellSize > 0)) {
+        throw new Error('missing ncols, nrows or cellsize in the grid header');
+    }
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 2 || rows < 2) {
+        // Interpolation needs a post on each side of every sample
+        throw new Error(`a ${header.nrows} × ${header.ncols} grid is too small; at least 2 rows and 2 columns are needed`);
+    }
+    const isCorner = header.xllcorner !== undefined;
+    const west = isCorner ? header.xllcorner + cellSize / 2 : header.xllcenter;
+    const south = isCorner ? header.yllcorner + cellSize / 2 : header.yllcenter;
+    if (!Number.isFinite(west) || !Number.isFinite(south)) {
+        throw new Error('missing xllcorner/yllcorner in the grid header');
+    }
+
+    const tokens = lines.slice(lineIndex).join(' ').trim().split(/\s+/);
+    if (tokens.length < rows * cols) {
+        throw new Error(`expected ${rows * cols} values but found ${tokens.length}`);
+    }
+    const noData = header.nodata_value;
+    const values = new Float32Array(rows * cols);
+    for (let i = 0; i < values.length; i++) {
+        const value = Number(tokens[i]);
+        values[i] = (value === noData || !Number.isFinite(value)) ? NaN : value;
+    }
+
+    return {
+        name: fileName,
+        originLat: south + (rows - 1) * cellSize,
+        originLng: west,
+        stepLat: cellSize,
+        stepLng: cellSize,
+        rows,
+        cols,
+        values
+    };
+}
+
+function sampleDemTile(tile, lat, lng) {
+    // Bilinear interpolation between the four surrounding grid posts
+    const row = (tile.originLat - lat) / tile.stepLat;
+    const col = (lng - tile.originLng) / tile.stepLng;
+    if (row < 0 || col < 0 || row > tile.rows - 1 || col > tile.cols - 1) {
+        return null;
+    }
+
+    const r0 = Math.min(Math.floor(row), tile.rows - 2);
+    const c0 = Math.min(Math.floor(col), tile.cols - 2);
+    const fr = row - r0;
+    const fc = col - c0;
+    const corners = [
+        [r0, c0, (1 - fr) * (1 - fc)],
+        [r0, c0 + 1, (1 - fr) * fc],
+        [r0 + 1, c0, fr * (1 - fc)],
+        [r0 + 1, c0 + 1, fr * fc]
+    ];
+
+    let elevation = 0;
+    for (const [r, c, weight] of corners) {
+        if (weight === 0) continue; // A void post with no weight must not poison the result
+        const value = tile.values[r * tile.cols + c];
+        if (Number.isNaN(value)) return null;
+        elevation += value * weight;
+    }
+    return elevation;
+}
+
+async function loadDemFiles(files) {
+    if (!state.demProvider) {
+        state.demProvider = createDemElevationProvider();
+    }
+
+    let loaded = 0;
+    for (const file of files) {
+        try {
+            const tile = /\.hgt$/i.test(file.name)
+                ? parseHgtTile(file.name, await file.arrayBuffer())
+                : parseAsciiGridTile(file.name, await file.text());
+            state.demProvider.addTile(tile);
+            loaded++;
+        } catch (error) {
+            showNotification(`Could not load ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    if (loaded > 0) {
+        showNotification(`Loaded ${loaded} elevation tile(s).`);
+        setElevationSource('dem');
+    }
+}
+
+function setElevationSource(source) {
+    if (source === 'mock') {
+        state.elevationProvider = createMockElevationProvider();
+    } else if (source === 'dem' && state.demProvider && state.demProvider.tiles.length > 0) {
+        state.elevationProvider = state.demProvider;
+    } else {
+        source = 'none';
+        state.elevationProvider = null;
+    }
+    state.elevationSource = source;
+    updateTerrainControls();
+    state.links.forEach(link => updateLinkTerrain(link));
+}
+
+function updateTerrainControls() {
+    const select = document.getElementById('elevationSource');
+    const demOption = select.querySelector('option[value="dem"]');
+    const tileCount = state.demProvider ? state.demProvider.tiles.length : 0;
+
+    demOption.disabled = tileCount === 0;
+    demOption.textContent = tileCount === 0 ? 'DEM tiles (none loaded)' : `DEM tiles (${tileCount} loaded)`;
+    select.value = state.elevationSource;
+
+    const kSelect = document.getElementById('kFactorSelect');
+    const kCustom = document.getElementById('kFactorCustom');
+    const preset = [...kSelect.options].find(option => option.value !== 'custom' && Math.abs(Number(option.value) - state.kFactor) < 1e-4);
+    kSelect.value = preset ? preset.value : 'custom';
+    kCustom.classList.toggle('hidden', Boolean(preset));
+    kCustom.value = Number(state.kFactor.toFixed(4));
+}
+
+function interpolateGreatCircle(lat1, lon1, lat2, lon2, fraction) {
+    // Intermediate point at `fraction` of the way along the great circle
+    const φ1 = toRadians(lat1);
+    const λ1 = toRadians(lon1);
+    const φ2 = toRadians(lat2);
+    const λ2 = toRadians(lon2);
+    const δ = calculateDistance(lat1, lon1, lat2, lon2) / EARTH_RADIUS_KM;
+    if (δ < 1e-12) {
+        return { lat: lat1, lng: lon1 };
+    }
+
+    const a = Math.sin((1 - fraction) * δ) / Math.sin(δ);
+    const b = Math.sin(fraction * δ) / Math.sin(δ);
+    const x = a * Math.cos(φ1) * Math.cos(λ1) + b * Math.cos(φ2) * Math.cos(λ2);
+    const y = a * Math.cos(φ1) * Math.sin(λ1) + b * Math.cos(φ2) * Math.sin(λ2);
+    const z = a * Math.sin(φ1) + b * Math.sin(φ2);
+
+    return {
+        lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+        lng: toDegrees(Math.atan2(y, x))
+    };
+}
+
+async function analyzeLinkTerrain(link, provider, sampleCount = TERRAIN_PROFILE_SAMPLES) {
+    const { tower1, tower2 } = link;
+    const wavelength = calculateWavelength(link.frequency);
+    const kFactor = state.kFactor;
+
+    const points = [];
+    for (let i = 0; i <= sampleCount; i++) {
+        const fraction = i / sampleCount;
+        points.push({
+            fraction,
+            ...interpolateGreatCircle(tower1.lat, tower1.lng, tower2.lat, tower2.lng, fraction)
+        });
+    }
+
+    // Without a provider, assume smooth earth between the towers' ground elevations
+    const elevations = provider ? await provider.sampleElevations(points) : null;
+    const ground1 = tower1.groundElevation !== null ? tower1.groundElevation : (elevations ? elevations[0] : 0);
+    const ground2 = tower2.groundElevation !== null ? tower2.groundElevation : (elevations ? elevations[elevations.length - 1] : 0);
+    if (ground1 === null || ground2 === null) {
+        return { status: 'unknown', reason: 'No elevation data at one or both towers. Enter their ground elevation to continue.', samples: [] };
+    }
+
+    const start = ground1 + link.radio1.antennaHeight;
+    const end = ground2 + link.radio2.antennaHeight;
+
+    let worst = null;
+    let missing = 0;
+    const samples = points.map((point, i) => {
+        const d1 = point.fraction * link.distance;
+        const d2 = link.distance - d1;
+        const los = start + (end - start) * point.fraction;
+        const fresnelRadius = calculateFresnelRadius(wavelength, d1, d2);
+        const elevation = elevations ? elevations[i] : ground1 + (ground2 - ground1) * point.fraction;
+        // Earth bulge raises the terrain relative to the straight line of sight
+        const bulge = calculateEarthBulge(d1, d2, kFactor);
+        const sample = {
+            fraction: point.fraction,
+            distance: d1,
+            lat: point.lat,
+            lng: point.lng,
+            elevation,
+            bulge,
+            effectiveElevation: elevation === null ? null : elevation + bulge,
+            los,
+            fresnelRadius,
+            clearance: null,
+            clearanceRatio: null
+        };
+
+        if (elevation === null) {
+            missing++;
+        } else if (i > 0 && i < points.length - 1) {
+            sample.clearance = los - sample.effectiveElevation;
+            sample.clearanceRatio = sample.clearance / fresnelRadius;
+            if (!worst || sample.clearanceRatio < worst.clearanceRatio) {
+                worst = sample;
+            }
+        }
+        return sample;
+    });
+
+    let status = 'clear';
+    if (worst && worst.clearance <= 0) {
+        status = 'obstructed';
+    } else if (worst && worst.clearanceRatio < FRESNEL_CLEARANCE_TARGET) {
+        status = 'marginal';
+    }
+
+    return {
+        status,
+        samples,
+        worst,
+        missing,
+        kFactor,
+        providerName: provider ? provider.name : 'Smooth earth',
+        ground1,
+        ground2,
+        mastHeights: {
+            partial: calculateRequiredMastHeights(samples, link.radio1.antennaHeight, link.radio2.antennaHeight, FRESNEL_CLEARANCE_TARGET),
+            full: calculateRequiredMastHeights(samples, link.radio1.antennaHeight, link.radio2.antennaHeight, 1)
+        }
+    };
+}
+
+function calculateRequiredMastHeights(samples, height1, height2, clearanceRatio) {
+    // Smallest antenna heights (m AGL) that keep `clearanceRatio` of the first
+    // Fresnel zone clear: raising one end lifts the line of sight linearly along the path
+    let raise1 = -Infinity;
+    let raise2 = -Infinity;
+    let raiseBoth = -Infinity;
+    samples.forEach(s => {
+        if (s.clearance === null) return;
+        const shortfall = clearanceRatio * s.fresnelRadius - s.clearance;
+        raise1 = Math.max(raise1, shortfall / (1 - s.fraction));
+        raise2 = Math.max(raise2, shortfall / s.fraction);
+        raiseBoth = Math.max(raiseBoth, shortfall);
+    });
+    if (raiseBoth === -Infinity) {
+        return null;
+    }
+
+    return {
+        tower1Only: Math.max(0, height1 + raise1),
+        tower2Only: Math.max(0, height2 + raise2),
+        both: {
+            tower1: Math.max(0, height1 + raiseBoth),
+            tower2: Math.max(0, height2 + raiseBoth)
+        }
+    };
+}
+
+async function updateLinkTerrain(link) {
+    const provider = state.elevationProvider;
+    // Tag each request so a slow result never overwrites a newer one
+    const requestId = (link.terrainRequestId || 0) + 1;
+    link.terrainRequestId = requestId;
+
+    if (provider) {
+        link.terrain = { status: 'pending', samples: [] };
+        refreshTerrainViews(link);
+    }
+    try {
+        const result = await analyzeLinkTerrain(link, provider);
+        if (link.terrainRequestId !== requestId) return;
+        link.terrain = result;
+    } catch (error) {
+        if (link.terrainRequestId !== requestId) return;
+        console.error(`Terrain analysis failed for link ${link.id}:`, error);
+        link.terrain = { status: 'unknown', reason: error.message, samples: [] };
+    }
+    refreshTerrainViews(link);
+}
+
+function refreshTerrainViews(link) {
+    updateLinkList();
+    if (state.networkPathRequest && state.networkPathRequest.metric === 'reliability') {
+        refreshNetworkView(); // An obstruction can reroute the most reliable path
+    }
+    if (state.linkModalLinkId === link.id) {
+        renderLinkAlignment(link); // Tilt depends on the ground elevations
+        renderTerrainProfile(link);
+    }
+}
+
+function getTerrainStatusLabel(terrain) {
+    const labels = {
+        clear: 'Clear',
+        marginal: 'Marginal',
+        obstructed: 'Obstructed',
+        pending: 'Analysing…',
+        unknown: 'No data'
+    };
+    let label = labels[terrain.status];
+    if (terrain.worst && terrain.status !== 'pending') {
+        label += ` (${Math.round(terrain.worst.clearanceRatio * 100)}% F1)`;
+    }
+    return label;
+}
+
+function renderTerrainProfile(link) {
+    const container = document.getElementById('linkTerrain');
+    if (!container) return;
+    const terrain = link.terrain;
+    const cursorFraction = state.activeLinkForFresnel === link.id ? state.fresnelCursorFraction : null;
+
+    if (!terrain || terrain.status === 'pending') {
+        container.innerHTML = `<div class="terrain-note">Analysing terrain…</div>`;
+        return;
+    }
+    if (terrain.status === 'unknown') {
+        container.innerHTML = `<div class="terrain-status unknown">⛰️ Terrain: ${escapeHtml(terrain.reason || 'No data')}</div>`;
+        return;
+    }
+
+    const worst = terrain.worst;
+    container.innerHTML = `
+        <div class="terrain-status ${terrain.status}">⛰️ Terrain: ${getTerrainStatusLabel(terrain)}</div>
+        ${worst ? `<div><strong>Worst clearance:</strong> ${worst.clearance.toFixed(1)} m at ${worst.distance.toFixed(2)} km (${Math.round(worst.clearanceRatio * 100)}% of first Fresnel zone)</div>` : ''}
+        ${terrain.missing > 0 ? `<div class="terrain-note">${terrain.missing} sample(s) had no elevation data.</div>` : ''}
+        ${createElevationProfileSvg(terrain, link.distance, cursorFraction)}
+        <div class="terrain-note">${escapeHtml(terrain.providerName)}, earth bulge with k = ${formatKFactor(terrain.kFactor)} (max ${calculateEarthBulge(link.distance / 2, link.distance / 2, terrain.kFactor).toFixed(1)} m at midpoint)</div>
+        ${createMastHeightTable(link, terrain)}
+    `;
+}
+
+function createMastHeightTable(link, terrain) {
+    const { partial, full } = terrain.mastHeights;
+    if (!partial || !full) return '';
+    const cell = height => `${height.toFixed(1)} m`;
+
+    return `
+        <table class="mast-table">
+            <caption>Required antenna height (m AGL)</caption>
+            <thead>
+                <tr><th></th><th>60% F1</th><th>100% F1</th></tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td>Raise ${escapeHtml(getRadioLabel(link.tower1, link.radio1))} only <small>(now ${cell(link.radio1.antennaHeight)})</small></td>
+                    <td>${cell(partial.tower1Only)}</td>
+                    <td>${cell(full.tower1Only)}</td>
+                </tr>
+                <tr>
+                    <td>Raise ${escapeHtml(getRadioLabel(link.tower2, link.radio2))} only <small>(now ${cell(link.radio2.antennaHeight)})</small></td>
+                    <td>${cell(partial.tower2Only)}</td>
+                    <td>${cell(full.tower2Only)}</td>
+                </tr>
+                <tr>
+                    <td>Raise both equally</td>
+                    <td>${cell(partial.both.tower1)} / ${cell(partial.both.tower2)}</td>
+                    <td>${cell(full.both.tower1)} / ${cell(full.both.tower2)}</td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+}
+
+function formatKFactor(kFactor) {
+    const fractions = { '1.3333': '4/3', '0.6667': '2/3', '1.0000': '1' };
+    return fractions[kFactor.toFixed(4)] || kFactor.toFixed(2);
+}
+
+function setKFactor(kFactor) {
+    if (!Number.isFinite(kFactor) || kFactor <= 0) {
+        showNotification('The k-factor must be a positive number.', 'error');
+        updateTerrainControls();
+        return;
+    }
+    state.kFactor = kFactor;
+    updateTerrainControls();
+    state.links.forEach(link => updateLinkTerrain(link));
+    onPlanChanged();
+}
+
+function createElevationProfileSvg(terrain, distanceKm, cursorFraction = null) {
+    const width = 440;
+    const height = 200;
+    const pad = { top: 10, right: 10, bottom: 24, left: 44 };
+    const samples = terrain.samples;
+
+    // Fit terrain, line of sight and the Fresnel envelope in view
+    let minY = Infinity;
+    let maxY = -Infinity;
+    samples.forEach(s => {
+        if (s.effectiveElevation !== null) {
+            minY = Math.min(minY, s.effectiveElevation);
+            maxY = Math.max(maxY, s.effectiveElevation);
+        }
+        minY = Math.min(minY, s.los - s.fresnelRadius);
+        maxY = Math.max(maxY, s.los + s.fresnelRadius);
+    });
+    minY = Math.min(minY, terrain.ground1, terrain.ground2);
+    const span = Math.max(maxY - minY, 1);
+    minY -= span * 0.1;
+    maxY += span * 0.1;
+
+    const x = d => pad.left + (d / distanceKm) * (width - pad.left - pad.right);
+    const y = h => pad.top + (1 - (h - minY) / (maxY - minY)) * (height - pad.top - pad.bottom);
+    const line = (points) => points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0].toFixed(1)},${p[1].toFixed(1)}`).join(' ');
+
+    const ground = samples.filter(s => s.effectiveElevation !== null);
+    const groundPath = ground.length > 1
+        ? `${line(ground.map(s => [x(s.distance), y(s.effectiveElevation)]))} L${x(ground[ground.length - 1].distance).toFixed(1)},${y(minY).toFixed(1)} L${x(ground[0].distance).toFixed(1)},${y(minY).toFixed(1)} Z`
+        : '';
+    const upper = samples.map(s => [x(s.distance), y(s.los + s.fresnelRadius)]);
+    const lower = samples.map(s => [x(s.distance), y(s.los - s.fresnelRadius)]);
+    const fresnelPath = `${line(upper)} ${line(lower.reverse()).replace(/^M/, 'L')} Z`;
+    const targetPath = line(samples.map(s => [x(s.distance), y(s.los - s.fresnelRadius * FRESNEL_CLEARANCE_TARGET)]));
+    const losPath = line(samples.map(s => [x(s.distance), y(s.los)]));
+    const worst = terrain.worst;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    return `
+        <svg class="elevation-profile" viewBox="0 0 ${width} ${height}" role="img" aria-label="Elevation profile with first Fresnel zone">
+            <path class="profile-fresnel" d="${fresnelPath}"/>
+            <path class="profile-ground" d="${groundPath}"/>
+            <path class="profile-target" d="${targetPath}"/>
+            <path class="profile-los" d="${losPath}"/>
+            <line class="profile-mast" x1="${x(first.distance).toFixed(1)}" y1="${y(terrain.ground1).toFixed(1)}" x2="${x(first.distance).toFixed(1)}" y2="${y(first.los).toFixed(1)}"/>
+            <line class="profile-mast" x1="${x(last.distance).toFixed(1)}" y1="${y(terrain.ground2).toFixed(1)}" x2="${x(last.distance).toFixed(1)}" y2="${y(last.los).toFixed(1)}"/>
+            ${worst ? `<circle class="profile-worst ${terrain.status}" cx="${x(worst.distance).toFixed(1)}" cy="${y(worst.effectiveElevation).toFixed(1)}" r="4"/>` : ''}
+            ${cursorFraction !== null ? `<line class="profile-cursor" x1="${x(cursorFraction * distanceKm).toFixed(1)}" y1="${pad.top}" x2="${x(cursorFraction * distanceKm).toFixed(1)}" y2="${height - pad.bottom}"/>` : ''}
+            <line class="profile-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"/>
+            <line class="profile-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"/>
+            <text class="profile-label" x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${Math.round(maxY)} m</text>
+            <text class="profile-label" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">${Math.round(minY)} m</text>
+            <text class="profile-label" x="${pad.left}" y="${height - 6}">0 km</text>
+            <text class="profile-label" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${distanceKm.toFixed(2)} km</text>
+        </svg>
+        <div class="profile-legend">
+            <span class="legend-ground">Terrain</span>
+            <span class="legend-los">Line of sight</span>
+            <span class="legend-fresnel">1st Fresnel zone</span>
+            <span class="legend-target">60% clearance</span>
+        </div>
+    `;
+}
+
+// ============================================================================
+// Network Topology
+// ============================================================================
+// Towers are the nodes and links the edges of an undirected multigraph (two
+// towers may be joined by several radio pairs). The analysis is rebuilt from
+// state on every plan change; plans are small enough that this is instant.
+function buildNetworkGraph() {
+    const adjacency = new Map(state.towers.map(tower => [tower.id, []]));
+    state.links.forEach(link => {
+        adjacency.get(link.tower1.id).push({ link, peer: link.tower2 });
+        adjacency.get(link.tower2.id).push({ link, peer: link.tower1 });
+    });
+    return adjacency;
+}
+
+function getLinkReliability(link) {
+    // The weaker direction's fade margin; an obstructed path is counted as having none
+    const margin = calculateLinkBudget(link).worstMargin;
+    return link.terrain && link.terrain.status === 'obstructed' ? Math.min(margin, 0) : margin;
+}
+
+function compareCosts(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+function findNetworkPath(fromId, toId, metric = 'distance') {
+    const spec = NETWORK_PATH_METRICS[metric];
+    let route = searchNetworkPath(fromId, toId, spec);
+    if (route && spec.tieBreak) {
+        // A bottleneck cost stays level over strong links, so the first search may settle a tower
+        // by a longer route of equal margin. Search again over the links at least as strong as
+        // the weakest one found, which keeps the best margin and finds the fewest hops exactly.
+        const weakest = Math.min(...route.links.map(getLinkReliability));
+        route = searchNetworkPath(fromId, toId, NETWORK_PATH_METRICS[spec.tieBreak], link => getLinkReliability(link) >= weakest);
+    }
+    if (!route) return null;
+
+    const { towerIds, links } = route;
+    return {
+        towerIds,
+        links,
+        hops: links.length,
+        distance: links.reduce((sum, link) => sum + link.distance, 0),
+        weakestMargin: links.length > 0 ? Math.min(...links.map(getLinkReliability)) : null
+    };
+}
+
+function searchNetworkPath(fromId, toId, { start, extend }, usable = () => true) {
+    // Dijkstra over tuple costs; every cost only grows along a path, so the greedy order holds
+    const adjacency = buildNetworkGraph();
+    const best = new Map([[fromId, { cost: start(), via: null, previous: null }]]);
+    const done = new Set();
+
+    while (true) {
+        let current = null;
+        best.forEach((entry, id) => {
+            if (!done.has(id) && (current === null || compareCosts(entry.cost, best.get(current).cost) < 0)) {
+                current = id;
+            }
+        });
+        if (current === null) return null;
+        if (current === toId) break;
+        done.add(current);
+
+        adjacency.get(current).forEach(({ link, peer }) => {
+            if (done.has(peer.id) || !usable(link)) return;
+            const cost = extend(best.get(current).cost, link);
+            const known = best.get(peer.id);
+            if (!known || compareCosts(cost, known.cost) < 0) {
+                best.set(peer.id, { cost, via: link, previous: current });
+            }
+        });
+    }
+
+    const links = [];
+    const towerIds = [toId];
+    for (let id = toId; id !== fromId; id = best.get(id).previous) {
+        links.unshift(best.get(id).via);
+        towerIds.unshift(best.get(id).previous);
+    }
+    return { towerIds, links };
+}
+
+function calculateHopCounts(fromId) {
+    const hops = new Map([[fromId, 0]]);
+    const adjacency = buildNetworkGraph();
+    const queue = [fromId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        adjacency.get(current).forEach(({ peer }) => {
+            if (!hops.has(peer.id)) {
+                hops.set(peer.id, hops.get(current) + 1);
+                queue.push(peer.id);
+            }
+        });
+    }
+    return hops;
+}
+
+function analyzeNetworkTopology() {
+    // Connected components, articulation points and bridges in one DFS pass (Tarjan).
+    // The parent edge is skipped by link id, so parallel links are never bridges.
+    const adjacency = buildNetworkGraph();
+    const discovery = new Map();
+    const low = new Map();
+    const componentOf = new Map();
+    const articulationPoints = new Set();
+    const bridges = new Set();
+    const components = [];
+    let time = 0;
+
+    const visit = (towerId, parentLinkId, component) => {
+        discovery.set(towerId, time);
+        low.set(towerId, time);
+        time++;
+        componentOf.set(towerId, components.length);
+        component.push(towerId);
+        let children = 0;
+
+        adjacency.get(towerId).forEach(({ link, peer }) => {
+            if (link.id === parentLinkId) return;
+            if (discovery.has(peer.id)) {
+                low.set(towerId, Math.min(low.get(towerId), discovery.get(peer.id)));
+                return;
+            }
+            children++;
+            visit(peer.id, link.id, component);
+            low.set(towerId, Math.min(low.get(towerId), low.get(peer.id)));
+            if (low.get(peer.id) > discovery.get(towerId)) {
+                bridges.add(link.id);
+            }
+            if (parentLinkId !== null && low.get(peer.id) >= discovery.get(towerId)) {
+                articulationPoints.add(towerId);
+            }
+        });
+
+        if (parentLinkId === null && children > 1) {
+            articulationPoints.add(towerId);
+        }
+    };
+
+    state.towers.forEach(tower => {
+        if (discovery.has(tower.id)) return;
+        const component = [];
+        visit(tower.id, null, component);
+        components.push(component);
+    });
+
+    return { components, componentOf, articulationPoints, bridges };
+}
+
+function getComponentColor(index) {
+    return NETWORK_COMPONENT_COLORS[index % NETWORK_COMPONENT_COLORS.length];
+}
+
+function updateTowerMarker(tower) {
+    const selected = state.selectedTowers.some(t => t.id === tower.id);
+    const topology = state.showTopology ? state.networkTopology : null;
+    const classes = ['tower-marker'];
+    if (selected) classes.push('selected');
+    if (state.networkPath && state.networkPath.towerIds.includes(tower.id)) classes.push('on-path');
+    if (topology && topology.articulationPoints.has(tower.id)) classes.push('articulation');
+    if (state.bulkSelection.towers.has(tower.id)) classes.push('checked');
+
+    const color = topology && !selected ? getComponentColor(topology.componentOf.get(tower.id)) : '';
+
+    // Replacing the icon rebuilds the marker element, so only do it when the look changes
+    const style = `${classes.join(' ')}|${color}`;
+    if (tower.markerStyle === style) return;
+    tower.markerStyle = style;
+
+    const size = selected ? 24 : 20;
+    tower.marker.setIcon(L.divIcon({
+        className: classes.join(' '),
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    }));
+    const element = tower.marker.getElement();
+    if (element) {
+        element.style.backgroundColor = color;
+    }
+    labelTowerMarker(tower);
+}
+
+function labelTowerMarker(tower) {
+    // Names the marker for screen readers; the new icon from setIcon starts unlabelled
+    const selected = state.selectedTowers.some(t => t.id === tower.id);
+    tower.marker.options.title = tower.name;
+    const element = tower.marker.getElement();
+    if (element) {
+        element.title = tower.name;
+        element.setAttribute('aria-label', selected ? `${tower.name}, selected for linking` : tower.name);
+    }
+}
+
+function findPath() {
+    const fromId = parseInt(document.getElementById('pathFrom').value);
+    const toId = parseInt(document.getElementById('pathTo').value);
+    const metric = document.getElementById('pathMetric').value;
+    if (!Number.isFinite(fromId) || !Number.isFinite(toId)) {
+        showNotification('Choose the two towers to connect.', 'error');
+        return;
+    }
+    if (fromId === toId) {
+        showNotification('Choose two different towers.', 'error');
+        return;
+    }
+
+    state.networkPathRequest = { fromId, toId, metric };
+    refreshNetworkView();
+    if (!state.networkPath) {
+        const name = id => state.towers.find(t => t.id === id).name;
+        showNotification(`${name(fromId)} and ${name(toId)} are not connected by any chain of links.`, 'error');
+        return;
+    }
+    state.map.fitBounds(L.latLngBounds(state.networkPath.towerIds.map(id => {
+        const tower = state.towers.find(t => t.id === id);
+        return [tower.lat, tower.lng];
+    })), { padding: [40, 40], maxZoom: 14 });
+}
+
+function clearPath() {
+    state.networkPathRequest = null;
+    refreshNetworkView();
+}
+
+function setShowTopology(visible) {
+    state.showTopology = visible;
+    refreshNetworkView();
+}
+
+function refreshNetworkView() {
+    // Re-run the requested path and the topology against the current plan, then restyle the map
+    const request = state.networkPathRequest;
+    if (request && !(state.towers.some(t => t.id === request.fromId) && state.towers.some(t => t.id === request.toId))) {
+        state.networkPathRequest = null;
+    }
+    state.networkPath = state.networkPathRequest
+        ? findNetworkPath(state.networkPathRequest.fromId, state.networkPathRequest.toId, state.networkPathRequest.metric)
+        : null;
+    state.networkTopology = state.showTopology ? analyzeNetworkTopology() : null;
+
+    state.towers.forEach(updateTowerMarker);
+    state.links.forEach(updateLinkStyle);
+    updateNetworkControls();
+}
+
+function updateNetworkControls() {
+    const from = document.getElementById('pathFrom');
+    const to = document.getElementById('pathTo');
+    const result = document.getElementById('pathResult');
+    if (!from || !to || !result) return;
+
+    const request = state.networkPathRequest;
+    const options = state.towers.map(tower => `<option value="${tower.id}">${escapeHtml(tower.name)}</option>`).join('');
+    [[from, request && request.fromId], [to, request && request.toId]].forEach(([select, requestedId]) => {
+        const current = requestedId || parseInt(select.value);
+        select.innerHTML = `<option value="">Tower…</option>${options}`;
+        select.value = state.towers.some(t => t.id === current) ? String(current) : '';
+    });
+    if (request) {
+        document.getElementById('pathMetric').value = request.metric;
+    }
+    document.getElementById('showTopology').checked = state.showTopology;
+
+    const path = state.networkPath;
+    if (path) {
+        const names = path.towerIds.map(id => escapeHtml(state.towers.find(t => t.id === id).name));
+        result.innerHTML = `
+            <div><strong>${path.hops} hop${path.hops === 1 ? '' : 's'}</strong>, ${path.distance.toFixed(2)} km,
+                weakest margin <span class="margin-${getMarginQuality(path.weakestMargin)}">${path.weakestMargin.toFixed(1)} dB</span></div>
+            <div>${names.join(' → ')}</div>
+        `;
+    } else {
+        result.innerHTML = request ? '<div class="margin-poor">No path between these towers.</div>' : '';
+    }
+}
+
+function showNetworkReport() {
+    if (state.towers.length === 0) {
+        showNotification('There are no towers in the plan yet.', 'error');
+        return;
+    }
+    const topology = analyzeNetworkTopology();
+    const fromId = parseInt(document.getElementById('pathFrom').value);
+    const from = state.towers.find(t => t.id === fromId);
+    const hops = from ? calculateHopCounts(from.id) : null;
+    const towerName = id => escapeHtml(state.towers.find(t => t.id === id).name);
+
+    const components = topology.components.map((component, index) => `
+        <li>
+            <span class="component-swatch" style="background-color: ${getComponentColor(index)}"></span>
+            <strong>Network ${index + 1}</strong> (${component.length} tower${component.length === 1 ? '' : 's'}):
+            ${component.map(id => hops && hops.has(id) ? `${towerName(id)} <small>(${hops.get(id)} hop${hops.get(id) === 1 ? '' : 's'})</small>` : towerName(id)).join(', ')}
+        </li>
+    `).join('');
+    const articulation = [...topology.articulationPoints].map(towerName);
+    const bridges = state.links.filter(link => topology.bridges.has(link.id))
+        .map(link => `Link ${link.id}: ${escapeHtml(getLinkLabel(link))}`);
+
+    document.getElementById('networkReport').innerHTML = `
+        <p>${topology.components.length === 1 ? 'All towers are connected.' : `The plan forms ${topology.components.length} separate networks.`}
+            ${from ? `Hop counts are from ${escapeHtml(from.name)}.` : 'Choose a "From" tower to see hop counts.'}</p>
+        <h4>Networks</h4>
+        <ul class="network-report-list">${components}</ul>
+        <h4>Single points of failure</h4>
+        <p>Towers whose loss splits a network:</p>
+        <ul class="network-report-list">${articulation.length ? articulation.map(name => `<li>🗼 ${name}</li>`).join('') : '<li>None</li>'}</ul>
+        <p>Links whose loss splits a network:</p>
+        <ul class="network-report-list">${bridges.length ? bridges.map(label => `<li>🔗 ${label}</li>`).join('') : '<li>None</li>'}</ul>
+    `;
+    openModal(document.getElementById('networkModal'));
+}
+
+function hideNetworkModal() {
+    closeModal(document.getElementById('networkModal'));
+}
+
+// ============================================================================
+// Link Suggestions
+// ============================================================================
+// Every pair of towers is screened for a channel match, distance, fade margin
+// and, where heights are known, Fresnel clearance. The pair count grows with
+// the square of the tower count, so the screening runs in a Web Worker built
+// from the same calculation functions the rest of the planner uses.
+function createInlineWorker(functions, constants, handler) {
+    // A worker script file can't be loaded from a page opened from disk, but a Blob URL can
+    const source = [
+        ...Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`),
+        ...functions.map(fn => fn.toString()),
+        `self.onmessage = ${handler.toString()};`
+    ].join('\n');
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+}
+
+function getTowerPairKey(towerId1, towerId2) {
+    return `${Math.min(towerId1, towerId2)}-${Math.max(towerId1, towerId2)}`;
+}
+
+async function evaluateLinkCandidate(tower1, tower2, linkedPairs, options, provider) {
+    const distance = calculateDistance(tower1.lat, tower1.lng, tower2.lat, tower2.lng);
+    const candidate = {
+        tower1Id: tower1.id,
+        tower2Id: tower2.id,
+        radio1Id: null,
+        radio2Id: null,
+        distance,
+        fadeMargin: null,
+        clearance: null, // { status, worst } as in a terrain analysis, when clearance was checked
+        rejection: null,
+        warning: null
+    };
+
+    if (linkedPairs.has(getTowerPairKey(tower1.id, tower2.id))) {
+        return { ...candidate, rejection: 'Already linked' };
+    }
+
+    // Of the radio pairs on a matching channel, take the one with the best fade margin
+    let best = null;
+    tower1.radios.forEach(radio1 => {
+        tower2.radios.forEach(radio2 => {
+            if (!channelsMatch(radio1, radio2)) return;
+            const link = { distance, frequency: radio1.frequency, radio1, radio2 };
+            const margin = calculateLinkBudget(link).worstMargin;
+            if (!best || margin > best.margin) best = { link, margin };
+        });
+    });
+    if (!best) {
+        return { ...candidate, rejection: 'No radios on a matching channel' };
+    }
+    candidate.radio1Id = best.link.radio1.id;
+    candidate.radio2Id = best.link.radio2.id;
+    candidate.fadeMargin = best.margin;
+
+    if (distance > options.maxDistance) {
+        return { ...candidate, rejection: `${distance.toFixed(1)} km is beyond the ${options.maxDistance} km limit` };
+    }
+    if (best.margin < options.minMargin) {
+        return { ...candidate, rejection: `Fade margin ${best.margin.toFixed(1)} dB is below ${options.minMargin} dB` };
+    }
+
+    // Clearance needs terrain data or, for a smooth-earth check, both ground elevations
+    if (!provider && (tower1.groundElevation === null || tower2.groundElevation === null)) {
+        return { ...candidate, warning: 'Clearance not checked (no height data)' };
+    }
+    const terrain = await analyzeLinkTerrain({ ...best.link, tower1, tower2 }, provider, SUGGESTION_PROFILE_SAMPLES);
+    if (terrain.status === 'unknown') {
+        return { ...candidate, warning: 'Clearance not checked (no elevation at a tower)' };
+    }
+    candidate.clearance = { status: terrain.status, worst: terrain.worst && { clearance: terrain.worst.clearance, clearanceRatio: terrain.worst.clearanceRatio } };
+    if (terrain.status === 'obstructed') {
+        return { ...candidate, rejection: `Terrain blocks the path by ${(-terrain.worst.clearance).toFixed(0)} m` };
+    }
+    if (terrain.status === 'marginal') {
+        candidate.warning = `Only ${Math.max(0, terrain.worst.clearanceRatio * 100).toFixed(0)}% of the first Fresnel zone clear`;
+    }
+    return candidate;
+}
+
+async function evaluateLinkCandidates(towers, linkedPairs, options, provider, onProgress) {
+    const linked = new Set(linkedPairs);
+    const total = towers.length * (towers.length - 1) / 2;
+    const candidates = [];
+    for (let i = 0; i < towers.length; i++) {
+        for (let j = i + 1; j < towers.length; j++) {
+            candidates.push(await evaluateLinkCandidate(towers[i], towers[j], linked, options, provider));
+            if (candidates.length % SUGGESTION_PROGRESS_INTERVAL === 0) {
+                onProgress(candidates.length, total);
+            }
+        }
+    }
+    return candidates;
+}
+
+function getWorkerElevationSource() {
+    // Providers hold functions, so a worker is sent the source and DEM tiles to rebuild one from
+    return {
+        source: state.elevationSource,
+        tiles: state.elevationSource === 'dem' ? state.demProvider.tiles : []
+    };
+}
+
+function restoreElevationProvider(elevation) {
+    if (elevation.source === 'mock') {
+        return createMockElevationProvider();
+    }
+    if (elevation.source === 'dem') {
+        const provider = createDemElevationProvider();
+        elevation.tiles.forEach(tile => provider.addTile(tile));
+        return provider;
+    }
+    return null;
+}
+
+async function handleSuggestionRequest(event) {
+    // Runs inside the worker: rebuild the elevation provider, screen every pair, report progress
+    const { towers, linkedPairs, options, elevation } = event.data;
+    const provider = restoreElevationProvider(elevation);
+    const candidates = await evaluateLinkCandidates(towers, linkedPairs, options, provider,
+        (done, total) => self.postMessage({ type: 'progress', done, total }));
+    self.postMessage({ type: 'done', candidates });
+}
+
+function createSuggestionWorker() {
+    return createInlineWorker([
+        toRadians, toDegrees, calculateDistance, interpolateGreatCircle,
+        calculateWavelength, calculateFresnelRadius, calculateFreeSpacePathLoss, calculateEarthBulge,
+        calculateGaseousAttenuation, calculateLinkBudget, channelsMatch, analyzeLinkTerrain, calculateRequiredMastHeights,
+        createMockElevationProvider, createDemElevationProvider, sampleDemTile, restoreElevationProvider,
+        getTowerPairKey, evaluateLinkCandidate, evaluateLinkCandidates
+    ], {
+        SPEED_OF_LIGHT,
+        EARTH_RADIUS_KM,
+        FRESNEL_CLEARANCE_TARGET,
+        WATER_VAPOUR_DENSITY,
+        GASEOUS_MODEL_MAX_FREQUENCY,
+        SUGGESTION_PROFILE_SAMPLES,
+        SUGGESTION_PROGRESS_INTERVAL,
+        state: { kFactor: state.kFactor, channelTolerance: state.channelTolerance }
+    }, handleSuggestionRequest);
+}
+
+function getSuggestionRank(candidate) {
+    // Clear paths first, then unchecked, then marginal; stronger margins first within each
+    const order = { clear: 0, marginal: 2 };
+    return candidate.clearance ? order[candidate.clearance.status] : 1;
+}
+
+function runLinkSuggestions() {
+    const maxDistance = parseFloat(document.getElementById('suggestMaxDistance').value);
+    const minMargin = parseFloat(document.getElementById('suggestMinMargin').value);
+    if (!Number.isFinite(maxDistance) || maxDistance <= 0 || !Number.isFinite(minMargin)) {
+        showNotification('Enter a positive maximum distance and a minimum fade margin.', 'error');
+        return;
+    }
+    if (state.towers.length < 2) {
+        showNotification('Add at least two towers to suggest links between them.', 'error');
+        return;
+    }
+
+    cancelLinkSuggestions();
+    const options = { maxDistance, minMargin };
+    const towers = state.towers.map(tower => ({
+        id: tower.id,
+        name: tower.name,
+        lat: tower.lat,
+        lng: tower.lng,
+        groundElevation: tower.groundElevation,
+        radios: tower.radios.map(radio => ({ ...radio }))
+    }));
+    const linkedPairs = state.links.map(link => getTowerPairKey(link.tower1.id, link.tower2.id));
+    const job = {
+        candidates: null, // Feasible pairs, best first
+        rejected: null,
+        selected: new Set(), // Indexes into candidates
+        done: 0,
+        total: towers.length * (towers.length - 1) / 2,
+        worker: null
+    };
+    state.suggestions = job;
+    renderLinkSuggestions();
+
+    const finish = candidates => {
+        if (state.suggestions !== job) return; // Cancelled or superseded
+        job.worker = null;
+        job.candidates = candidates.filter(c => !c.rejection)
+            .sort((a, b) => getSuggestionRank(a) - getSuggestionRank(b) || b.fadeMargin - a.fadeMargin);
+        job.rejected = candidates.filter(c => c.rejection).sort((a, b) => a.distance - b.distance);
+        renderLinkSuggestions();
+    };
+    const fail = error => {
+        if (state.suggestions !== job) return;
+        console.error('Link suggestion failed:', error);
+        cancelLinkSuggestions();
+        showNotification(`Could not evaluate link candidates: ${error.message || error}`, 'error');
+    };
+    const progress = (done, total) => {
+        if (state.suggestions !== job) return;
+        job.done = done;
+        job.total = total;
+        renderLinkSuggestions();
+    };
+
+    if (typeof Worker === 'undefined') {
+        // No worker support: screen on the main thread instead
+        evaluateLinkCandidates(towers, linkedPairs, options, state.elevationProvider, progress).then(finish, fail);
+        return;
+    }
+    job.worker = createSuggestionWorker();
+    job.worker.onmessage = e => {
+        if (e.data.type === 'progress') {
+            progress(e.data.done, e.data.total);
+        } else {
+            job.worker.terminate();
+            finish(e.data.candidates);
+        }
+    };
+    job.worker.onerror = e => fail(e.message);
+    job.worker.postMessage({
+        towers,
+        linkedPairs,
+        options,
+        elevation: getWorkerElevationSource()
+    });
+}
+
+function cancelLinkSuggestions() {
+    if (state.suggestions && state.suggestions.worker) {
+        state.suggestions.worker.terminate();
+    }
+    state.suggestions = null;
+    renderLinkSuggestions();
+}
+
+function toggleSuggestion(index, selected) {
+    const job = state.suggestions;
+    if (selected) {
+        job.selected.add(index);
+    } else {
+        job.selected.delete(index);
+    }
+    renderLinkSuggestions();
+}
+
+function selectAllSuggestions(selected) {
+    const job = state.suggestions;
+    job.selected = selected ? new Set(job.candidates.slice(0, SUGGESTION_LIST_LIMIT).map((c, i) => i)) : new Set();
+    renderLinkSuggestions();
+}
+
+function acceptLinkSuggestions() {
+    const job = state.suggestions;
+    if (!job || !job.candidates || job.selected.size === 0) return;
+
+    const accepted = [...job.selected].map(index => job.candidates[index]);
+    let created = 0;
+    recordBatch(`add ${accepted.length} suggested link(s)`, () => {
+        accepted.forEach(candidate => {
+            // The plan may have changed since the candidates were computed
+            const tower1 = state.towers.find(t => t.id === candidate.tower1Id);
+            const tower2 = state.towers.find(t => t.id === candidate.tower2Id);
+            const radio1 = tower1 && getRadio(tower1, candidate.radio1Id);
+            const radio2 = tower2 && getRadio(tower2, candidate.radio2Id);
+            if (radio1 && radio2 && channelsMatch(radio1, radio2) && createLink(tower1, tower2, null, radio1, radio2)) {
+                created++;
+            }
+        });
+    });
+    showNotification(`Created ${created} of ${accepted.length} suggested link(s).`, created === accepted.length ? 'info' : 'error');
+    runLinkSuggestions(); // The new links now show as already linked
+}
+
+function updateSuggestionPreview() {
+    if (state.suggestionLayer) {
+        state.map.removeLayer(state.suggestionLayer);
+        state.suggestionLayer = null;
+    }
+    const job = state.suggestions;
+    if (!job || !job.candidates) return;
+
+    state.suggestionLayer = L.layerGroup(job.candidates.slice(0, SUGGESTION_LIST_LIMIT).map((candidate, index) => {
+        const tower1 = state.towers.find(t => t.id === candidate.tower1Id);
+        const tower2 = state.towers.find(t => t.id === candidate.tower2Id);
+        if (!tower1 || !tower2) return null;
+        const selected = job.selected.has(index);
+        const line = L.polyline(getLinkPath(tower1, tower2), {
+            color: selected ? NETWORK_PATH_COLOR : '#64748b',
+            weight: selected ? 4 : 2,
+            opacity: selected ? 0.9 : 0.6,
+            dashArray: '6 6'
+        });
+        line.bindTooltip(`${escapeHtml(tower1.name)} ↔ ${escapeHtml(tower2.name)}: ${candidate.distance.toFixed(1)} km, ${candidate.fadeMargin.toFixed(1)} dB`, { sticky: true });
+        line.on('click', e => {
+            L.DomEvent.stopPropagation(e);
+            toggleSuggestion(index, !selected);
+        });
+        return line;
+    }).filter(Boolean)).addTo(state.map);
+}
+
+function renderLinkSuggestions() {
+    const status = document.getElementById('suggestStatus');
+    const list = document.getElementById('suggestList');
+    const acceptBtn = document.getElementById('acceptSuggestBtn');
+    if (!status || !list || !acceptBtn) return;
+    updateSuggestionPreview();
+
+    const job = state.suggestions;
+    acceptBtn.disabled = !job || !job.candidates || job.selected.size === 0;
+    acceptBtn.textContent = job && job.selected.size > 0 ? `Create ${job.selected.size} link(s)` : 'Create links';
+    if (!job) {
+        status.textContent = '';
+        list.innerHTML = '';
+        return;
+    }
+    if (!job.candidates) {
+        status.textContent = `Checking ${job.done.toLocaleString()} of ${job.total.toLocaleString()} tower pairs…`;
+        list.innerHTML = '';
+        return;
+    }
+
+    const towerName = id => {
+        const tower = state.towers.find(t => t.id === id);
+        return tower ? escapeHtml(tower.name) : `Tower ${id}`;
+    };
+    const shown = job.candidates.slice(0, SUGGESTION_LIST_LIMIT);
+    status.textContent = `${job.candidates.length} feasible and ${job.rejected.length} rejected of ${job.total.toLocaleString()} pairs.`;
+    const feasible = shown.map((candidate, index) => `
+        <label class="suggest-item">
+            <input type="checkbox" ${job.selected.has(index) ? 'checked' : ''} onchange="toggleSuggestion(${index}, this.checked)">
+            <span>
+                ${towerName(candidate.tower1Id)} ↔ ${towerName(candidate.tower2Id)}
+                <small>${candidate.distance.toFixed(1)} km · <span class="margin-${getMarginQuality(candidate.fadeMargin)}">${candidate.fadeMargin.toFixed(1)} dB</span>${candidate.clearance ? ` · ${getTerrainStatusLabel(candidate.clearance)}` : ''}</small>
+                ${candidate.warning ? `<small class="suggest-warning">${escapeHtml(candidate.warning)}</small>` : ''}
+            </span>
+        </label>
+    `).join('');
+    const showRejected = document.getElementById('showRejected').checked;
+    const rejected = showRejected ? job.rejected.slice(0, SUGGESTION_LIST_LIMIT).map(candidate => `
+        <div class="suggest-item rejected">
+            <span>
+                ${towerName(candidate.tower1Id)} ↔ ${towerName(candidate.tower2Id)}
+                <small>${escapeHtml(candidate.rejection)}</small>
+            </span>
+        </div>
+    `).join('') : '';
+    const more = (count, limit) => count > limit ? `<p class="empty-state">…and ${count - limit} more</p>` : '';
+
+    list.innerHTML = `
+        ${shown.length > 0 ? `
+            <div class="project-actions">
+                <button class="btn btn-secondary btn-small" onclick="selectAllSuggestions(true)">Select all</button>
+                <button class="btn btn-secondary btn-small" onclick="selectAllSuggestions(false)">Select none</button>
+            </div>
+        ` : '<p class="empty-state">No feasible links with these limits.</p>'}
+        ${feasible}${more(job.candidates.length, SUGGESTION_LIST_LIMIT)}
+        ${rejected}${showRejected ? more(job.rejected.length, SUGGESTION_LIST_LIMIT) : ''}
+    `;
+}
+
+// ============================================================================
+// Coverage Analysis
+// ============================================================================
+// Received signal level from one radio over a square grid of cells around its
+// tower, for a receiver like the radio itself at a chosen height. Each cell is
+// a short link: free-space loss, the antenna pattern for sector antennas and
+// knife-edge diffraction over the worst obstruction on its terrain profile.
+function calculateKnifeEdgeLoss(v) {
+    // ITU-R P.526 single knife edge, J(v) in dB; v is the diffraction parameter
+    if (v <= -0.78) return 0;
+    return 6.9 + 20 * Math.log10(Math.sqrt((v - 0.1) ** 2 + 1) + v - 0.1);
+}
+
+function calculateSectorLoss(site, target, beamwidth) {
+    // Parabolic main lobe with a 3 dB point at half the beamwidth, floored at the front-to-back ratio
+    if (beamwidth >= 360 || site.radio.azimuth === null) return 0;
+    const offAxis = getOffAxisAngle(site, site.radio.azimuth, target);
+    return Math.min(12 * (offAxis / beamwidth) ** 2, COVERAGE_FRONT_TO_BACK);
+}
+
+function getCoverageGridSize(radius, cellSize) {
+    // An odd number of cells across, so the tower sits in the middle of the centre cell
+    return 2 * Math.ceil(radius * 1000 / cellSize) + 1;
+}
+
+async function calculateCoverageGrid(site, options, provider, onProgress) {
+    const { radius, cellSize, receiverHeight, beamwidth } = options;
+    const size = getCoverageGridSize(radius, cellSize);
+    const half = (size - 1) / 2;
+    const stepLat = toDegrees(cellSize / 1000 / EARTH_RADIUS_KM);
+    const stepLng = stepLat / Math.cos(toRadians(site.lat));
+    const tower1 = { lat: site.lat, lng: site.lng, groundElevation: site.groundElevation };
+    const receiver = { ...site.radio, antennaHeight: receiverHeight };
+
+    // Row 0 is the northern edge, as in an image; NaN marks cells outside the radius or without elevation data
+    const values = new Float32Array(size * size).fill(NaN);
+    const total = size * size;
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const index = row * size + col;
+            if (index > 0 && index % COVERAGE_PROGRESS_INTERVAL === 0) {
+                onProgress(index, total);
+            }
+            // Without terrain data the ground is flat at the tower's elevation
+            const tower2 = { lat: site.lat + (half - row) * stepLat, lng: site.lng + (col - half) * stepLng, groundElevation: provider ? null : site.groundElevation };
+            const distance = calculateDistance(site.lat, site.lng, tower2.lat, tower2.lng);
+            if (distance > radius) continue;
+
+            // The centre cell is measured half a cell out, where a receiver in it would be at the nearest
+            const link = { tower1, tower2, radio1: site.radio, radio2: receiver, distance: Math.max(distance, cellSize / 2000), frequency: site.radio.frequency };
+            const terrain = await analyzeLinkTerrain(link, provider, COVERAGE_PROFILE_SAMPLES);
+            if (terrain.status === 'unknown') continue;
+            const diffraction = terrain.worst ? calculateKnifeEdgeLoss(-Math.SQRT2 * terrain.worst.clearanceRatio) : 0;
+            values[index] = calculateLinkBudget(link).forward.rssi - diffraction - calculateSectorLoss(site, tower2, beamwidth);
+        }
+    }
+
+    return {
+        size,
+        cellSize,
+        values,
+        north: site.lat + (half + 0.5) * stepLat,
+        south: site.lat - (half + 0.5) * stepLat,
+        west: site.lng - (half + 0.5) * stepLng,
+        east: site.lng + (half + 0.5) * stepLng
+    };
+}
+
+async function handleCoverageRequest(event) {
+    // Runs inside the worker: rebuild the elevation provider, fill the grid, report progress
+    const { site, options, elevation } = event.data;
+    const grid = await calculateCoverageGrid(site, options, restoreElevationProvider(elevation),
+        (done, total) => self.postMessage({ type: 'progress', done, total }));
+    self.postMessage({ type: 'done', grid }, [grid.values.buffer]);
+}
+
+function createCoverageWorker() {
+    return createInlineWorker([
+        toRadians, toDegrees, calculateDistance, calculateBearing, interpolateGreatCircle,
+        calculateWavelength, calculateFresnelRadius, calculateFreeSpacePathLoss, calculateEarthBulge,
+        calculateGaseousAttenuation, calculateLinkBudget, analyzeLinkTerrain, calculateRequiredMastHeights, getOffAxisAngle,
+        createMockElevationProvider, createDemElevationProvider, sampleDemTile, restoreElevationProvider,
+        calculateKnifeEdgeLoss, calculateSectorLoss, getCoverageGridSize, calculateCoverageGrid
+    ], {
+        SPEED_OF_LIGHT,
+        EARTH_RADIUS_KM,
+        FRESNEL_CLEARANCE_TARGET,
+        WATER_VAPOUR_DENSITY,
+        GASEOUS_MODEL_MAX_FREQUENCY,
+        COVERAGE_PROFILE_SAMPLES,
+        COVERAGE_PROGRESS_INTERVAL,
+        COVERAGE_FRONT_TO_BACK,
+        state: { kFactor: state.kFactor }
+    }, handleCoverageRequest);
+}
+
+function runCoverage() {
+    const [towerId, radioId] = document.getElementById('coverageRadio').value.split(':').map(Number);
+    const tower = state.towers.find(t => t.id === towerId);
+    const radio = tower && getRadio(tower, radioId);
+    const radius = parseFloat(document.getElementById('coverageRadius').value);
+    const cellSize = parseFloat(document.getElementById('coverageCellSize').value);
+    const receiverHeight = parseFloat(document.getElementById('coverageRxHeight').value);
+    const beamwidth = parseFloat(document.getElementById('coverageBeamwidth').value);
+    if (!radio) {
+        showNotification('Pick a tower to calculate its coverage.', 'error');
+        return;
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > COVERAGE_MAX_RADIUS) {
+        showNotification(`Enter a radius between 0 and ${COVERAGE_MAX_RADIUS} km.`, 'error');
+        return;
+    }
+    if (!Number.isFinite(receiverHeight) || receiverHeight < 0) {
+        showNotification('Enter a receiver height of 0 m or more.', 'error');
+        return;
+    }
+    const size = getCoverageGridSize(radius, cellSize);
+    if (size > COVERAGE_MAX_CELLS) {
+        showNotification(`A ${radius} km radius at ${cellSize} m needs ${size}×${size} cells, more than ${COVERAGE_MAX_CELLS}×${COVERAGE_MAX_CELLS}. Pick a coarser resolution or a smaller radius.`, 'error');
+        return;
+    }
+    if (beamwidth < 360 && radio.azimuth === null) {
+        showNotification(`Set an azimuth on ${getRadioLabel(tower, radio)} to model a sector antenna, or choose Omni.`, 'error');
+        return;
+    }
+
+    cancelCoverage();
+    const site = { lat: tower.lat, lng: tower.lng, groundElevation: tower.groundElevation, radio: { ...radio } };
+    const options = { radius, cellSize, receiverHeight, beamwidth };
+    const job = {
+        towerId,
+        radioId,
+        site,
+        options,
+        grid: null,
+        done: 0,
+        total: size * size,
+        worker: null
+    };
+    state.coverage = job;
+    updateCoverageControls();
+
+    const finish = grid => {
+        if (state.coverage !== job) return; // Cancelled or superseded
+        job.worker = null;
+        job.grid = grid;
+        renderCoverageOverlay();
+    };
+    const fail = error => {
+        if (state.coverage !== job) return;
+        console.error('Coverage analysis failed:', error);
+        cancelCoverage();
+        showNotification(`Could not calculate coverage: ${error.message || error}`, 'error');
+    };
+    const progress = (done, total) => {
+        if (state.coverage !== job) return;
+        job.done = done;
+        job.total = total;
+        updateCoverageControls();
+    };
+
+    if (typeof Worker === 'undefined') {
+        // No worker support: calculate on the main thread instead
+        calculateCoverageGrid(site, options, state.elevationProvider, progress).then(finish, fail);
+        return;
+    }
+    job.worker = createCoverageWorker();
+    job.worker.onmessage = e => {
+        if (e.data.type === 'progress') {
+            progress(e.data.done, e.data.total);
+        } else {
+            job.worker.terminate();
+            finish(e.data.grid);
+        }
+    };
+    job.worker.onerror = e => fail(e.message);
+    job.worker.postMessage({ site, options, elevation: getWorkerElevationSource() });
+}
+
+function cancelCoverage() {
+    if (state.coverage && state.coverage.worker) {
+        state.coverage.worker.terminate();
+    }
+    state.coverage = null;
+    renderCoverageOverlay();
+}
+
+function getCoverageThreshold() {
+    return parseFloat(document.getElementById('coverageThreshold').value);
+}
+
+function getCoverageColor(level, threshold) {
+    // Linear blend between the two COVERAGE_COLORS stops either side of the level
+    const position = Math.min(Math.max((level - threshold) / COVERAGE_SCALE_RANGE, 0), 1) * (COVERAGE_COLORS.length - 1);
+    const index = Math.min(Math.floor(position), COVERAGE_COLORS.length - 2);
+    const fraction = position - index;
+    const [from, to] = [COVERAGE_COLORS[index], COVERAGE_COLORS[index + 1]]
+        .map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    return from.map((channel, i) => Math.round(channel + (to[i] - channel) * fraction));
+}
+
+function renderCoverageOverlay() {
+    if (state.coverageLayer) {
+        state.map.removeLayer(state.coverageLayer);
+        state.coverageLayer = null;
+    }
+    const job = state.coverage;
+    if (job && job.grid) {
+        const { size, values } = job.grid;
+        const threshold = getCoverageThreshold();
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(size, size);
+        let covered = 0;
+        let analysed = 0;
+        values.forEach((level, i) => {
+            if (Number.isNaN(level)) return;
+            analysed++;
+            if (level < threshold) return;
+            covered++;
+            image.data.set([...getCoverageColor(level, threshold), 255], i * 4);
+        });
+        ctx.putImageData(image, 0, 0);
+        job.coveredArea = covered * (job.grid.cellSize / 1000) ** 2; // km²
+        job.coveredShare = analysed > 0 ? covered / analysed : 0;
+
+        const bounds = [[job.grid.south, job.grid.west], [job.grid.north, job.grid.east]];
+        state.coverageLayer = L.imageOverlay(canvas.toDataURL('image/png'), bounds, {
+            pane: LOCAL_OVERLAY_PANE,
+            opacity: COVERAGE_OPACITY,
+            interactive: false,
+            className: 'coverage-overlay'
+        }).addTo(state.map);
+    }
+    updateCoverageControls();
+}
+
+function updateCoverageControls() {
+    const select = document.getElementById('coverageRadio');
+    const status = document.getElementById('coverageStatus');
+    if (!select || !status) return;
+
+    const job = state.coverage;
+    const tower = job && state.towers.find(t => t.id === job.towerId);
+    const radio = tower && getRadio(tower, job.radioId);
+    if (job && !radio) {
+        cancelCoverage(); // The tower or radio was deleted
+        return;
+    }
+
+    const current = job ? `${job.towerId}:${job.radioId}` : select.value;
+    select.innerHTML = '<option value="">Tower…</option>' + state.towers.flatMap(t => t.radios.map(r =>
+        `<option value="${t.id}:${r.id}">${escapeHtml(getRadioLabel(t, r))}</option>`)).join('');
+    select.value = select.querySelector(`option[value="${current}"]`) ? current : '';
+    document.getElementById('clearCoverageBtn').disabled = !job;
+
+    const threshold = getCoverageThreshold();
+    document.getElementById('coverageThresholdValue').textContent = `${threshold} dBm`;
+    document.getElementById('coverageScale').style.background = `linear-gradient(to right, ${COVERAGE_COLORS.join(', ')})`;
+    document.getElementById('coverageScaleLabels').innerHTML = [0, 0.5, 1]
+        .map(f => `<span>${f === 1 ? '≥ ' : ''}${threshold + f * COVERAGE_SCALE_RANGE} dBm</span>`).join('');
+    document.getElementById('coverageLegend').classList.toggle('hidden', !job || !job.grid);
+
+    if (!job) {
+        status.textContent = '';
+    } else if (!job.grid) {
+        status.textContent = `Calculating ${job.done.toLocaleString()} of ${job.total.toLocaleString()} cells…`;
+    } else {
+        // Moving the tower or editing the radio leaves the grid as it was calculated
+        const stale = tower.lat !== job.site.lat || tower.lng !== job.site.lng || tower.groundElevation !== job.site.groundElevation ||
+            Object.keys(job.site.radio).some(field => radio[field] !== job.site.radio[field]);
+        status.textContent = `${getRadioLabel(tower, radio)}: ${job.coveredArea.toFixed(1)} km² (${Math.round(job.coveredShare * 100)}% of the area within ${job.options.radius} km) above ${threshold} dBm.${stale ? ' The tower has changed since; calculate again to update.' : ''}`;
+    }
+}
+
+// ============================================================================
+// Project Import/Export
+// ============================================================================
+// Migrations upgrade a parsed project document by one schema version.
+// PROJECT_MIGRATIONS[n] takes a version n document and returns version n + 1.
+const PROJECT_MIGRATIONS = {
+    // Version 0: unversioned dumps of the plan, where links reference their
+    // towers as `tower1`/`tower2` (either an id or a tower object).
+    0: data => {
+        const towerRef = ref => (ref !== null && typeof ref === 'object') ? ref.id : ref;
+        return {
+            format: PROJECT_FILE_FORMAT,
+            schemaVersion: 1,
+            counters: data.counters || {
+                towerIdCounter: data.towerIdCounter,
+                linkIdCounter: data.linkIdCounter
+            },
+            towers: Array.isArray(data.towers) ? data.towers : [],
+            links: (Array.isArray(data.links) ? data.links : []).map(link => ({
+                id: link.id,
+                tower1Id: link.tower1Id !== undefined ? link.tower1Id : towerRef(link.tower1),
+                tower2Id: link.tower2Id !== undefined ? link.tower2Id : towerRef(link.tower2),
+                frequency: link.frequency,
+                settings: link.settings || {}
+            }))
+        };
+    },
+    // Version 1 towers sat at ground level on a flat earth: keep that meaning
+    // with zero-height antennas and ground elevation looked up from terrain.
+    1: data => ({
+        ...data,
+        schemaVersion: 2,
+        settings: { kFactor: DEFAULT_K_FACTOR, ...(data.settings || {}) },
+        towers: (Array.isArray(data.towers) ? data.towers : []).map(tower => (
+            tower && typeof tower === 'object'
+                ? { groundElevation: null, antennaHeight: 0, ...tower }
+                : tower
+        ))
+    }),
+    // Version 3 adds per-tower radio settings for the link budget
+    2: data => ({
+        ...data,
+        schemaVersion: 3,
+        towers: (Array.isArray(data.towers) ? data.towers : []).map(tower => {
+            if (!tower || typeof tower !== 'object') return tower;
+            const defaults = {};
+            ['txPower', 'antennaGain', 'cableLoss', 'rxSensitivity'].forEach(field => {
+                defaults[field] = RADIO_PROPERTIES[field].defaultValue;
+            });
+            return { ...defaults, ...tower };
+        })
+    }),
+    // Version 4 gives every radio a channel width; older plans assumed one 20 MHz channel
+    3: data => ({
+        ...data,
+        schemaVersion: 4,
+        settings: { channelTolerance: DEFAULT_CHANNEL_TOLERANCE, ...(data.settings || {}) },
+        towers: (Array.isArray(data.towers) ? data.towers : []).map(tower => (
+            tower && typeof tower === 'object'
+                ? { channelWidth: DEFAULT_CHANNEL_WIDTH, ...tower }
+                : tower
+        ))
+    }),
+    // Version 5 moves each tower's channel and antenna settings onto a list of
+    // radios; existing towers become single-radio towers and links use radio 1
+    4: data => ({
+        ...data,
+        schemaVersion: 5,
+        towers: (Array.isArray(data.towers) ? data.towers : []).map(tower => {
+            if (!tower || typeof tower !== 'object' || Array.isArray(tower.radios)) return tower;
+            const { frequency, ...site } = tower;
+            const radio = { id: 1, name: 'Radio 1', frequency, azimuth: null };
+            Object.keys(RADIO_PROPERTIES).forEach(field => {
+                if (field in site) {
+                    radio[field] = site[field];
+                    delete site[field];
+                }
+            });
+            return { ...site, radios: [radio] };
+        }),
+        links: (Array.isArray(data.links) ? data.links : []).map(link => (
+            link && typeof link === 'object'
+                ? { radio1Id: 1, radio2Id: 1, ...link }
+                : link
+        ))
+    })
+};
+
+function serializeProject(towers = state.towers, links = state.links) {
+    return {
+        format: PROJECT_FILE_FORMAT,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        counters: {
+            towerIdCounter: state.towerIdCounter,
+            linkIdCounter: state.linkIdCounter
+        },
+        settings: {
+            kFactor: state.kFactor,
+            visibleFresnelZones: state.visibleFresnelZones,
+            channelTolerance: state.channelTolerance,
+            declinationMode: state.declinationMode,
+            declination: state.declination,
+            rainRegion: state.rainRegion,
+            rainRate: state.rainRate,
+            basemap: state.basemap,
+            basemapOpacity: state.basemapOpacity,
+            mapLayers: state.mapLayers.map(layer => ({ ...layer }))
+        },
+        towers: towers.map(tower => ({
+            id: tower.id,
+            name: tower.name,
+            lat: tower.lat,
+            lng: tower.lng,
+            ...Object.fromEntries(Object.keys(TOWER_PROPERTIES).map(field => [field, tower[field]])),
+            radios: tower.radios.map(radio => ({ ...radio }))
+        })),
+        links: links.map(link => ({
+            id: link.id,
+            tower1Id: link.tower1.id,
+            tower2Id: link.tower2.id,
+            radio1Id: link.radio1.id,
+            radio2Id: link.radio2.id,
+            frequency: link.frequency,
+            settings: {
+                showFresnel: state.activeLinkForFresnel === link.id,
+                polarization: link.polarization
+            }
+        }))
+    };
+}
+
+function migrateProject(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The file does not contain a project object.');
+    }
+    if (data.format !== undefined && data.format !== PROJECT_FILE_FORMAT) {
+        throw new Error(`Unknown file format "${data.format}".`);
+    }
+
+    let version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Invalid schema version "${data.schemaVersion}".`);
+    }
+    if (version > PROJECT_SCHEMA_VERSION) {
+        throw new Error(`The file was written by a newer version of the planner (schema ${version}, supported up to ${PROJECT_SCHEMA_VERSION}).`);
+    }
+
+    let migrated = data;
+    while (version < PROJECT_SCHEMA_VERSION) {
+        migrated = PROJECT_MIGRATIONS[version](migrated);
+        version++;
+    }
+    return migrated;
+}
+
+function validateProject(data) {
+    // Returns only the entries that can be rebuilt, plus a report of everything skipped
+    const issues = [];
+    const towers = [];
+    const links = [];
+    const towersById = new Map();
+
+    (Array.isArray(data.towers) ? data.towers : []).forEach((raw, index) => {
+        const label = `Tower #${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            issues.push({ level: 'error', message: `${label}: entry is not an object, skipped.` });
+            return;
+        }
+        const id = Number(raw.id);
+        if (!Number.isInteger(id) || id < 1) {
+            issues.push({ level: 'error', message: `${label}: missing or invalid id, skipped.` });
+            return;
+        }
+        if (towersById.has(id)) {
+            issues.push({ level: 'error', message: `${label}: duplicate tower id ${id}, skipped.` });
+            return;
+        }
+        const lat = Number(raw.lat);
+        const lng = Number(raw.lng);
+        if (raw.lat === undefined || raw.lat === null || raw.lng === undefined || raw.lng === null ||
+            !Number.isFinite(lat) || !Number.isFinite(lng)) {
+            issues.push({ level: 'error', message: `${label} (id ${id}): missing coordinates, skipped.` });
+            return;
+        }
+        if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            issues.push({ level: 'error', message: `${label} (id ${id}): coordinates ${lat}, ${lng} are out of range, skipped.` });
+            return;
+        }
+        let name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name) {
+            name = `Tower ${id}`;
+            issues.push({ level: 'warning', message: `${label} (id ${id}): missing name, using "${name}".` });
+        }
+        const readProperties = (specs, source, target, prefix) => {
+            Object.entries(specs).forEach(([field, spec]) => {
+                const result = parseTowerProperty(field, source[field]);
+                if (result.error) {
+                    const fallback = spec.defaultValue !== null ? `${spec.defaultValue} ${spec.unit}` : 'blank';
+                    issues.push({ level: 'warning', message: `${prefix}: ${spec.label} "${source[field]}" is invalid, using ${fallback}.` });
+                    target[field] = spec.defaultValue;
+                } else {
+                    target[field] = result.value;
+                }
+            });
+        };
+        const tower = { id, name, lat, lng, radios: [] };
+        readProperties(TOWER_PROPERTIES, raw, tower, `${label} (id ${id})`);
+
+        (Array.isArray(raw.radios) ? raw.radios : []).forEach((rawRadio, radioIndex) => {
+            const radioLabel = `${label} (id ${id}), radio #${radioIndex + 1}`;
+            if (!rawRadio || typeof rawRadio !== 'object') {
+                issues.push({ level: 'error', message: `${radioLabel}: entry is not an object, skipped.` });
+                return;
+            }
+            const radioId = Number(rawRadio.id);
+            if (!Number.isInteger(radioId) || radioId < 1) {
+                issues.push({ level: 'error', message: `${radioLabel}: missing or invalid id, skipped.` });
+                return;
+            }
+            if (tower.radios.some(r => r.id === radioId)) {
+                issues.push({ level: 'error', message: `${radioLabel}: duplicate radio id ${radioId}, skipped.` });
+                return;
+            }
+            const frequency = Number(rawRadio.frequency);
+            if (!Number.isFinite(frequency) || frequency <= 0) {
+                issues.push({ level: 'error', message: `${radioLabel}: invalid frequency "${rawRadio.frequency}", skipped.` });
+                return;
+            }
+            const radioName = typeof rawRadio.name === 'string' && rawRadio.name.trim() ? rawRadio.name.trim() : `Radio ${radioId}`;
+            const radio = { id: radioId, name: radioName, frequency };
+            readProperties(RADIO_PROPERTIES, rawRadio, radio, radioLabel);
+            tower.radios.push(radio);
+        });
+        if (tower.radios.length === 0) {
+            issues.push({ level: 'error', message: `${label} (id ${id}): no valid radios, skipped.` });
+            return;
+        }
+        towersById.set(id, tower);
+        towers.push(tower);
+    });
+
+    // Needed before the links are checked against each other
+    let channelTolerance = DEFAULT_CHANNEL_TOLERANCE;
+    if (data.settings && data.settings.channelTolerance !== undefined) {
+        channelTolerance = Number(data.settings.channelTolerance);
+        if (!Number.isFinite(channelTolerance) || channelTolerance < 0) {
+            issues.push({ level: 'warning', message: `Invalid channel tolerance "${data.settings.channelTolerance}", using ${DEFAULT_CHANNEL_TOLERANCE} MHz.` });
+            channelTolerance = DEFAULT_CHANNEL_TOLERANCE;
+        }
+    }
+
+    const linkIds = new Set();
+    const radioPairs = new Set();
+    (Array.isArray(data.links) ? data.links : []).forEach((raw, index) => {
+        const label = `Link #${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            issues.push({ level: 'error', message: `${label}: entry is not an object, skipped.` });
+            return;
+        }
+        const id = Number(raw.id);
+        if (!Number.isInteger(id) || id < 1) {
+            issues.push({ level: 'error', message: `${label}: missing or invalid id, skipped.` });
+            return;
+        }
+        if (linkIds.has(id)) {
+            issues.push({ level: 'error', message: `${label}: duplicate link id ${id}, skipped.` });
+            return;
+        }
+        const tower1 = towersById.get(Number(raw.tower1Id));
+        const tower2 = towersById.get(Number(raw.tower2Id));
+        if (!tower1 || !tower2) {
+            const missing = !tower1 ? raw.tower1Id : raw.tower2Id;
+            issues.push({ level: 'error', message: `Link ${id}: references unknown tower id ${missing}, skipped.` });
+            return;
+        }
+        if (tower1.id === tower2.id) {
+            issues.push({ level: 'error', message: `Link ${id}: connects tower ${tower1.id} to itself, skipped.` });
+            return;
+        }
+        const radio1 = tower1.radios.find(r => r.id === Number(raw.radio1Id));
+        const radio2 = tower2.radios.find(r => r.id === Number(raw.radio2Id));
+        if (!radio1 || !radio2) {
+            const [tower, radioId] = !radio1 ? [tower1, raw.radio1Id] : [tower2, raw.radio2Id];
+            issues.push({ level: 'error', message: `Link ${id}: references unknown radio id ${radioId} on ${tower.name}, skipped.` });
+            return;
+        }
+        if (!channelsMatch(radio1, radio2, channelTolerance)) {
+            issues.push({ level: 'error', message: `Link ${id}: frequency mismatch between ${tower1.name} ${radio1.name} (${radio1.frequency} GHz) and ${tower2.name} ${radio2.name} (${radio2.frequency} GHz), skipped.` });
+            return;
+        }
+        const pairKey = [`${tower1.id}:${radio1.id}`, `${tower2.id}:${radio2.id}`].sort().join('-');
+        if (radioPairs.has(pairKey)) {
+            issues.push({ level: 'error', message: `Link ${id}: a link between ${tower1.name} ${radio1.name} and ${tower2.name} ${radio2.name} already exists, skipped.` });
+            return;
+        }
+        if (raw.frequency !== undefined && Number(raw.frequency) !== radio1.frequency) {
+            issues.push({ level: 'warning', message: `Link ${id}: stored frequency ${raw.frequency} GHz differs from its radios, using ${radio1.frequency} GHz.` });
+        }
+
+        const settings = raw.settings && typeof raw.settings === 'object' ? { ...raw.settings } : {};
+        if (settings.polarization !== undefined && !POLARIZATIONS[settings.polarization]) {
+            issues.push({ level: 'warning', message: `Link ${id}: unknown polarization "${settings.polarization}", using ${DEFAULT_POLARIZATION}.` });
+            delete settings.polarization;
+        }
+
+        linkIds.add(id);
+        radioPairs.add(pairKey);
+        links.push({
+            id,
+            tower1Id: tower1.id,
+            tower2Id: tower2.id,
+            radio1Id: radio1.id,
+            radio2Id: radio2.id,
+            settings
+        });
+    });
+
+    let kFactor = DEFAULT_K_FACTOR;
+    if (data.settings && data.settings.kFactor !== undefined) {
+        kFactor = Number(data.settings.kFactor);
+        if (!Number.isFinite(kFactor) || kFactor <= 0) {
+            issues.push({ level: 'warning', message: `Invalid k-factor "${data.settings.kFactor}", using 4/3.` });
+            kFactor = DEFAULT_K_FACTOR;
+        }
+    }
+
+    let visibleFresnelZones = [1];
+    if (data.settings && data.settings.visibleFresnelZones !== undefined) {
+        const zones = Array.isArray(data.settings.visibleFresnelZones)
+            ? data.settings.visibleFresnelZones.map(Number).filter(z => Number.isInteger(z) && z >= 1 && z <= MAX_FRESNEL_ZONES)
+            : [];
+        if (zones.length === 0) {
+            issues.push({ level: 'warning', message: 'Invalid visible Fresnel zones setting, showing the first zone only.' });
+        } else {
+            visibleFresnelZones = [...new Set(zones)].sort((a, b) => a - b);
+        }
+    }
+
+    let declinationMode = 'model';
+    let declination = 0;
+    if (data.settings && data.settings.declinationMode !== undefined) {
+        if (data.settings.declinationMode === 'manual' || data.settings.declinationMode === 'model') {
+            declinationMode = data.settings.declinationMode;
+        } else {
+            issues.push({ level: 'warning', message: `Unknown declination mode "${data.settings.declinationMode}", using the ${GEOMAGNETIC_MODEL.name} model.` });
+        }
+    }
+    if (data.settings && data.settings.declination !== undefined) {
+        declination = Number(data.settings.declination);
+        if (!Number.isFinite(declination) || declination < -180 || declination > 180) {
+            issues.push({ level: 'warning', message: `Invalid magnetic declination "${data.settings.declination}", using 0°.` });
+            declination = 0;
+        }
+    }
+
+    let rainRegion = DEFAULT_RAIN_REGION;
+    let rainRate = RAIN_REGIONS[DEFAULT_RAIN_REGION];
+    if (data.settings && data.settings.rainRegion !== undefined) {
+        if (data.settings.rainRegion === 'custom' || RAIN_REGIONS[data.settings.rainRegion]) {
+            rainRegion = data.settings.rainRegion;
+        } else {
+            issues.push({ level: 'warning', message: `Unknown rain region "${data.settings.rainRegion}", using region ${DEFAULT_RAIN_REGION}.` });
+        }
+    }
+    if (data.settings && data.settings.rainRate !== undefined) {
+        rainRate = Number(data.settings.rainRate);
+        if (!Number.isFinite(rainRate) || rainRate < 0 || rainRate > MAX_RAIN_RATE) {
+            issues.push({ level: 'warning', message: `Invalid rain rate "${data.settings.rainRate}", using ${RAIN_REGIONS[DEFAULT_RAIN_REGION]} mm/h.` });
+            rainRate = RAIN_REGIONS[DEFAULT_RAIN_REGION];
+        }
+    }
+
+    const mapLayers = [];
+    if (data.settings && data.settings.mapLayers !== undefined) {
+        if (Array.isArray(data.settings.mapLayers)) {
+            data.settings.mapLayers.forEach((raw, index) => {
+                try {
+                    const layer = validateMapLayer(raw);
+                    if (mapLayers.some(l => l.id === layer.id)) throw new Error(`duplicate id "${layer.id}"`);
+                    mapLayers.push(layer);
+                } catch (error) {
+                    issues.push({ level: 'warning', message: `Map layer ${index + 1} skipped: ${error.message}.` });
+                }
+            });
+        } else {
+            issues.push({ level: 'warning', message: 'Map layers are not a list and were skipped.' });
+        }
+    }
+
+    let basemap = DEFAULT_BASEMAP;
+    let basemapOpacity = 1;
+    if (data.settings && data.settings.basemap !== undefined) {
+        if (BASEMAPS[data.settings.basemap] || mapLayers.some(l => l.id === data.settings.basemap && l.role === 'basemap')) {
+            basemap = data.settings.basemap;
+        } else {
+            issues.push({ level: 'warning', message: `Unknown basemap "${data.settings.basemap}", using ${BASEMAPS[DEFAULT_BASEMAP].name}.` });
+        }
+    }
+    if (data.settings && data.settings.basemapOpacity !== undefined) {
+        basemapOpacity = Number(data.settings.basemapOpacity);
+        if (!(basemapOpacity >= 0 && basemapOpacity <= 1)) {
+            issues.push({ level: 'warning', message: `Invalid basemap opacity "${data.settings.basemapOpacity}", using 100%.` });
+            basemapOpacity = 1;
+        }
+    }
+
+    return {
+        towers,
+        links,
+        settings: { kFactor, visibleFresnelZones, channelTolerance, declinationMode, declination, rainRegion, rainRate, basemap, basemapOpacity, mapLayers },
+        issues
+    };
+}
+
+function clearPlan() {
+    if (state.activeLinkForFresnel !== null) {
+        deactivateActiveFresnelZone();
+    }
+    state.selectedTowers = [];
+    state.bulkSelection = { towers: new Set(), links: new Set() };
+    state.networkPathRequest = null;
+    cancelLinkSuggestions();
+    cancelCoverage();
+    state.links.forEach(link => {
+        if (link.polyline) state.map.removeLayer(link.polyline);
+        if (link.fresnelZone) state.map.removeLayer(link.fresnelZone);
+    });
+    state.towers.forEach(tower => state.map.removeLayer(tower.marker));
+    state.links = [];
+    state.towers = [];
+    state.towerIdCounter = 1;
+    state.linkIdCounter = 1;
+    clearHistory();
+    updateTowerList();
+    updateLinkList();
+    onPlanChanged();
+}
+
+function loadProject(data) {
+    // Parse, migrate and validate first so a bad file never clears the current plan
+    const project = migrateProject(data);
+    const { towers, links, settings, issues } = validateProject(project);
+
+    clearPlan();
+    state.kFactor = settings.kFactor;
+    state.visibleFresnelZones = settings.visibleFresnelZones;
+    state.channelTolerance = settings.channelTolerance;
+    state.declinationMode = settings.declinationMode;
+    state.declination = settings.declination;
+    state.rainRegion = settings.rainRegion;
+    state.rainRate = settings.rainRate;
+    state.basemap = settings.basemap;
+    state.basemapOpacity = settings.basemapOpacity;
+    state.mapLayers = settings.mapLayers;
+    refreshBasemap();
+    refreshOverlays();
+    updateMapLayerControls();
+    updateTerrainControls();
+    updateFresnelZoneControls();
+    updateChannelControls();
+    updateAlignmentControls();
+    updateRainControls();
+
+    // A loaded plan starts with an empty history
+    let fresnelLink = null;
+    withoutHistory(() => {
+        towers.forEach(t => {
+            const properties = Object.fromEntries(Object.keys(TOWER_PROPERTIES).map(field => [field, t[field]]));
+            addTower({ lat: t.lat, lng: t.lng }, t.name, t.radios, t.id, properties);
+        });
+
+        links.forEach(l => {
+            const tower1 = state.towers.find(t => t.id === l.tower1Id);
+            const tower2 = state.towers.find(t => t.id === l.tower2Id);
+            const link = createLink(tower1, tower2, l.id, getRadio(tower1, l.radio1Id), getRadio(tower2, l.radio2Id));
+            if (link && l.settings.polarization) {
+                link.polarization = l.settings.polarization;
+            }
+            if (link && l.settings.showFresnel) {
+                fresnelLink = link;
+            }
+        });
+    });
+
+    // Never hand out an id that is already in use, even if the stored counters are stale
+    const counters = project.counters || {};
+    const maxTowerId = state.towers.reduce((max, t) => Math.max(max, t.id), 0);
+    const maxLinkId = state.links.reduce((max, l) => Math.max(max, l.id), 0);
+    state.towerIdCounter = Math.max(Number(counters.towerIdCounter) || 1, maxTowerId + 1);
+    state.linkIdCounter = Math.max(Number(counters.linkIdCounter) || 1, maxLinkId + 1);
+    onPlanChanged();
+
+    if (state.towers.length > 0) {
+        state.map.fitBounds(L.latLngBounds(state.towers.map(t => [t.lat, t.lng])), { padding: [40, 40], maxZoom: 14 });
+    }
+    if (fresnelLink) {
+        drawFresnelZone(fresnelLink);
+    }
+
+    return { towers: towers.length, links: links.length, issues };
+}
+
+function exportProject() {
+    const json = JSON.stringify(serializeProject(), null, 2);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(json, `rf-link-plan-${date}.json`, 'application/json');
+
+    showNotification(`Exported ${state.towers.length} tower(s) and ${state.links.length} link(s).`);
+}
+
+async function importProjectFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showNotification(`Could not read ${file.name}: not a valid JSON file.`, 'error');
+        return;
+    }
+
+    if (state.towers.length > 0) {
+        const confirmed = await showConfirmationModal(
+            'Replace Current Plan?',
+            `Importing ${file.name} will replace your ${state.towers.length} tower(s) and ${state.links.length} link(s).`,
+            null,
+            true
+        );
+        if (!confirmed) return;
+    }
+
+    let result;
+    try {
+        result = loadProject(data);
+    } catch (error) {
+        showNotification(`Import failed: ${error.message}`, 'error');
+        return;
+    }
+
+    showImportReport(file.name, result);
+}
+
+function showImportReport(fileName, result) {
+    const errors = result.issues.filter(issue => issue.level === 'error').length;
+    const warnings = result.issues.length - errors;
+
+    document.getElementById('importReport').innerHTML = `
+        <div class="link-details">
+            <div><strong>File:</strong> ${escapeHtml(fileName)}</div>
+            <div class="info-highlight"><strong>Imported:</strong> ${result.towers} tower(s), ${result.links} link(s)</div>
+            ${result.issues.length === 0
+                ? '<div>No problems found.</div>'
+                : `<div><strong>${errors} skipped, ${warnings} warning(s):</strong></div>
+                   <ul class="import-issues">
+                       ${result.issues.map(issue => `<li class="import-issue ${issue.level}">${escapeHtml(issue.message)}</li>`).join('')}
+                   </ul>`}
+        </div>
+    `;
+
+    openModal(document.getElementById('importModal'));
+}
+
+function hideImportModal() {
+    closeModal(document.getElementById('importModal'));
+}
+
+// ============================================================================
+// GIS Exchange (GeoJSON, KML, KMZ)
+// ============================================================================
+// Towers are exported as points, links as great-circle lines and each visible
+// Fresnel zone as a polygon, all carrying their attributes. Importing turns
+// point features into towers through a user-chosen attribute mapping.
+function getLinkClearanceAttributes(link) {
+    const terrain = link.terrain;
+    if (!terrain || terrain.status === 'pending') {
+        return { clearance: 'not checked', worst_clearance_m: null, worst_clearance_pct: null };
+    }
+    return {
+        clearance: terrain.status,
+        worst_clearance_m: terrain.worst ? Number(terrain.worst.clearance.toFixed(1)) : null,
+        worst_clearance_pct: terrain.worst ? Math.round(terrain.worst.clearanceRatio * 100) : null
+    };
+}
+
+function buildGisFeatures() {
+    const round = (value, digits) => Number(value.toFixed(digits));
+    const features = [];
+
+    state.towers.forEach(tower => {
+        const radio = tower.radios[0];
+        features.push({
+            kind: 'tower',
+            geometry: { type: 'Point', coordinates: [round(tower.lng, 6), round(tower.lat, 6)] },
+            properties: {
+                id: tower.id,
+                name: tower.name,
+                frequency_ghz: radio.frequency,
+                channel_width_mhz: radio.channelWidth,
+                antenna_height_m: radio.antennaHeight,
+                ground_elevation_m: tower.groundElevation,
+                radios: tower.radios.length,
+                channels: tower.radios.map(formatChannel).join('; ')
+            }
+        });
+    });
+
+    state.links.forEach(link => {
+        const clearance = getLinkClearanceAttributes(link);
+        const margin = calculateLinkBudget(link).worstMargin;
+        const path = getLinkPath(link.tower1, link.tower2).map(([lat, lng]) => [round(lng, 6), round(lat, 6)]);
+        const name = getLinkLabel(link);
+        features.push({
+            kind: 'link',
+            quality: getMarginQuality(margin),
+            geometry: { type: 'LineString', coordinates: path },
+            properties: {
+                id: link.id,
+                name,
+                tower1: link.tower1.name,
+                tower2: link.tower2.name,
+                frequency_ghz: link.frequency,
+                channel_width_mhz: link.radio1.channelWidth,
+                distance_km: round(link.distance, 3),
+                fade_margin_db: round(margin, 1),
+                ...clearance
+            }
+        });
+
+        const wavelength = calculateWavelength(link.frequency);
+        state.visibleFresnelZones.forEach(zone => {
+            const ring = calculateFresnelFootprint(link, zone).map(([lat, lng]) => [round(lng, 7), round(lat, 7)]);
+            ring.push(ring[0]);
+            features.push({
+                kind: 'fresnel',
+                zone,
+                geometry: { type: 'Polygon', coordinates: [ring] },
+                properties: {
+                    link_id: link.id,
+                    name: `${name}, Fresnel zone ${zone}`,
+                    zone,
+                    frequency_ghz: link.frequency,
+                    distance_km: round(link.distance, 3),
+                    max_radius_m: round(calculateFresnelRadius(wavelength, link.distance / 2, link.distance / 2, zone), 2),
+                    ...clearance
+                }
+            });
+        });
+    });
+
+    return features;
+}
+
+function createGeoJson(features) {
+    return {
+        type: 'FeatureCollection',
+        features: features.map(feature => ({
+            type: 'Feature',
+            geometry: feature.geometry,
+            properties: { kind: feature.kind, ...feature.properties }
+        }))
+    };
+}
+
+function toKmlColor(hex, alpha) {
+    // KML colours are aabbggrr
+    const [r, g, b] = [1, 3, 5].map(i => hex.slice(i, i + 2));
+    return `${Math.round(alpha * 255).toString(16).padStart(2, '0')}${b}${g}${r}`;
+}
+
+function createKml(features, documentName) {
+    const coordinates = points => points.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    const geometry = feature => {
+        const { type, coordinates: coords } = feature.geometry;
+        if (type === 'Point') return `<Point><coordinates>${coordinates([coords])}</coordinates></Point>`;
+        if (type === 'LineString') return `<LineString><tessellate>1</tessellate><coordinates>${coordinates(coords)}</coordinates></LineString>`;
+        return `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${coordinates(coords[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+    };
+    const styleUrl = feature => {
+        if (feature.kind === 'tower') return '#tower';
+        if (feature.kind === 'link') return `#link-${feature.quality}`;
+        return `#fresnel-${feature.zone}`;
+    };
+    const placemark = feature => `
+            <Placemark>
+                <name>${escapeHtml(feature.properties.name)}</name>
+                <styleUrl>${styleUrl(feature)}</styleUrl>
+                <ExtendedData>
+                    ${Object.entries(feature.properties)
+                        .filter(([, value]) => value !== null && value !== undefined)
+                        .map(([key, value]) => `<Data name="${escapeHtml(key)}"><value>${escapeHtml(value)}</value></Data>`)
+                        .join('')}
+                </ExtendedData>
+                ${geometry(feature)}
+            </Placemark>`;
+    const folder = (name, kind) => `
+        <Folder>
+            <name>${name}</name>
+            ${features.filter(f => f.kind === kind).map(placemark).join('')}
+        </Folder>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>${escapeHtml(documentName)}</name>
+        <Style id="tower"><IconStyle><color>${toKmlColor('#3b82f6', 1)}</color></IconStyle></Style>
+        ${Object.entries(LINK_MARGIN_COLORS).map(([quality, color]) => `
+        <Style id="link-${quality}"><LineStyle><color>${toKmlColor(color, 1)}</color><width>3</width></LineStyle></Style>`).join('')}
+        ${FRESNEL_ZONE_COLORS.map((color, index) => `
+        <Style id="fresnel-${index + 1}"><LineStyle><color>${toKmlColor(color, 1)}</color><width>1</width></LineStyle><PolyStyle><color>${toKmlColor(color, 0.25)}</color></PolyStyle></Style>`).join('')}
+        ${folder('Towers', 'tower')}
+        ${folder('Links', 'link')}
+        ${folder('Fresnel zones', 'fresnel')}
+    </Document>
+</kml>
+`;
+}
+
+function downloadFile(content, fileName, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    // The browser fetches the URL after click() returns; revoking it now can cancel the download
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+}
+
+function exportGis(format) {
+    if (state.towers.length === 0) {
+        showNotification('There is nothing to export yet. Add some towers first.', 'error');
+        return;
+    }
+
+    const features = buildGisFeatures();
+    const date = new Date().toISOString().slice(0, 10);
+    const baseName = `rf-link-plan-${date}`;
+    const project = state.projects.find(p => p.id === state.activeProjectId);
+    const documentName = project ? project.name : 'RF Link Plan';
+
+    if (format === 'geojson') {
+        downloadFile(JSON.stringify(createGeoJson(features)), `${baseName}.geojson`, 'application/geo+json');
+    } else if (format === 'kml') {
+        downloadFile(createKml(features, documentName), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+    } else if (format === 'kmz') {
+        const kml = new TextEncoder().encode(createKml(features, documentName));
+        downloadFile(new Blob([createZip([{ name: 'doc.kml', data: kml }])], { type: 'application/vnd.google-earth.kmz' }), `${baseName}.kmz`);
+    } else {
+        showNotification(`Unknown export format "${format}".`, 'error');
+        return;
+    }
+
+    const zones = state.links.length * state.visibleFresnelZones.length;
+    showNotification(`Exported ${state.towers.length} tower(s), ${state.links.length} link(s) and ${zones} Fresnel zone(s) as ${format.toUpperCase()}.`);
+}
+
+// Minimal ZIP support for KMZ: archives are written uncompressed, and read
+// with stored or deflated entries (inflated by the browser's DecompressionStream).
+let crc32Table = null;
+
+function calculateCrc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createZip(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = encoder.encode(entry.name);
+        const crc = calculateCrc32(entry.data);
+        const size = entry.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed: 2.0
+        local.setUint16(8, 0, true); // Stored, no compression
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, entry.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + size;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+async function readZipEntries(buffer) {
+    // Returns [{ name, read() }] where read() resolves to the entry's bytes
+    const view = new DataView(buffer);
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('not a valid ZIP archive');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('corrupt ZIP directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        entries.push({
+            name,
+            read: async () => {
+                const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = new Uint8Array(buffer, dataOffset, compressedSize);
+                if (method === 0) return data;
+                if (method !== 8) throw new Error(`${name} uses an unsupported compression method`);
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('this browser cannot decompress KMZ files; extract the KML and import that instead');
+                }
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+        });
+    }
+    return entries;
+}
+
+function parseGeoJsonFeatures(text) {
+    const data = JSON.parse(text);
+    const list = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : null;
+    if (!Array.isArray(list)) {
+        throw new Error('not a GeoJSON Feature or FeatureCollection');
+    }
+
+    return list.map(feature => {
+        const geometry = feature && feature.geometry;
+        const properties = feature && feature.properties && typeof feature.properties === 'object' ? feature.properties : {};
+        const result = { geometryType: geometry ? geometry.type : 'Empty', properties, lat: NaN, lng: NaN };
+        if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+            result.lng = Number(geometry.coordinates[0]);
+            result.lat = Number(geometry.coordinates[1]);
+        }
+        return result;
+    });
+}
+
+function parseKmlFeatures(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('not a valid KML document');
+    }
+
+    return Array.from(doc.getElementsByTagName('Placemark')).map(placemark => {
+        const properties = {};
+        const childText = tag => {
+            const element = Array.from(placemark.children).find(child => child.localName === tag);
+            return element ? element.textContent.trim() : null;
+        };
+        ['name', 'description'].forEach(tag => {
+            const value = childText(tag);
+            if (value !== null) properties[tag] = value;
+        });
+        // <Data name=".."><value>..</value></Data> and schema-typed <SimpleData name="..">..</SimpleData>
+        Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+            const value = data.getElementsByTagName('value')[0];
+            properties[data.getAttribute('name')] = value ? value.textContent.trim() : '';
+        });
+        Array.from(placemark.getElementsByTagName('SimpleData')).forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        // A MultiGeometry that holds a point (e.g. a mast with its guy lines) becomes a tower at its first point
+        const point = placemark.getElementsByTagName('Point')[0];
+        const geometry = point ? 'Point' : ['MultiGeometry', 'LineString', 'Polygon', 'Model', 'Track']
+            .find(tag => placemark.getElementsByTagName(tag).length > 0) || 'Empty';
+        const result = { geometryType: geometry, properties, lat: NaN, lng: NaN };
+        if (point) {
+            const coordinates = point.getElementsByTagName('coordinates')[0];
+            const [lng, lat, altitude] = (coordinates ? coordinates.textContent.trim() : '').split(',').map(Number);
+            result.lng = lng;
+            result.lat = lat;
+            if (Number.isFinite(altitude) && altitude !== 0) properties.altitude = altitude;
+        }
+        return result;
+    });
+}
+
+async function readGisFeatures(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'kmz') {
+        const entries = await readZipEntries(await file.arrayBuffer());
+        // Google Earth reads the first .kml in the archive, normally doc.kml
+        const kml = entries.find(entry => entry.name.toLowerCase() === 'doc.kml') ||
+            entries.find(entry => entry.name.toLowerCase().endsWith('.kml'));
+        if (!kml) {
+            throw new Error('the KMZ archive contains no KML document');
+        }
+        return parseKmlFeatures(new TextDecoder().decode(await kml.read()));
+    }
+    const text = await file.text();
+    return extension === 'kml' ? parseKmlFeatures(text) : parseGeoJsonFeatures(text);
+}
+
+async function importGisFile(file) {
+    let features;
+    try {
+        features = await readGisFeatures(file);
+    } catch (error) {
+        showNotification(`Could not read ${file.name}: ${error.message}.`, 'error');
+        return;
+    }
+    if (features.length === 0) {
+        showNotification(`${file.name} contains no features.`, 'error');
+        return;
+    }
+
+    const fields = [...new Set(features.flatMap(feature => Object.keys(feature.properties)))];
+    const guess = pattern => fields.find(field => pattern.test(field)) || '';
+    const frequencyField = guess(/freq/i);
+    state.gisImport = {
+        fileName: file.name,
+        features,
+        fields,
+        mapping: {
+            name: guess(/^(name|title|label|site)/i),
+            frequency: frequencyField,
+            frequencyUnit: /mhz/i.test(frequencyField) ? 'MHz' : 'GHz',
+            antennaHeight: guess(/height|agl/i)
+        }
+    };
+    showGisImportModal();
+}
+
+function evaluateGisFeature(feature, mapping, index) {
+    // What importing one feature would do: { ref, name, lat, lng, frequency, antennaHeight, skip }
+    const value = field => (field ? feature.properties[field] : undefined);
+    const isBlank = raw => raw === undefined || raw === null || String(raw).trim() === '';
+    const rawName = value(mapping.name);
+    const result = {
+        ref: index + 1,
+        name: isBlank(rawName) ? `Site ${index + 1}` : String(rawName).trim(),
+        lat: feature.lat,
+        lng: feature.lng,
+        frequency: DEFAULT_FREQUENCY,
+        antennaHeight: RADIO_PROPERTIES.antennaHeight.defaultValue,
+        skip: null
+    };
+
+    if (feature.geometryType !== 'Point') {
+        result.skip = `${feature.geometryType} feature; only points become towers`;
+        return result;
+    }
+    if (!Number.isFinite(feature.lat) || !Number.isFinite(feature.lng) ||
+        feature.lat < -90 || feature.lat > 90 || feature.lng < -180 || feature.lng > 180) {
+        result.skip = 'missing or out-of-range coordinates';
+        return result;
+    }
+    if (mapping.frequency) {
+        const raw = value(mapping.frequency);
+        const frequency = Number(raw);
+        if (isBlank(raw) || !Number.isFinite(frequency) || frequency <= 0) {
+            result.skip = isBlank(raw) ? 'no frequency' : `frequency "${raw}" is not a positive number`;
+            return result;
+        }
+        result.frequency = mapping.frequencyUnit === 'MHz' ? frequency / 1000 : frequency;
+    }
+    if (mapping.antennaHeight && !isBlank(value(mapping.antennaHeight))) {
+        const height = parseTowerProperty('antennaHeight', value(mapping.antennaHeight));
+        if (height.error) {
+            result.skip = height.error;
+            return result;
+        }
+        result.antennaHeight = height.value;
+    }
+    return result;
+}
+
+function showGisImportModal() {
+    const { fileName, fields, mapping } = state.gisImport;
+    const fieldOptions = (selected, emptyLabel) => `
+        <option value="">${emptyLabel}</option>
+        ${fields.map(field => `<option value="${escapeHtml(field)}" ${field === selected ? 'selected' : ''}>${escapeHtml(field)}</option>`).join('')}
+    `;
+
+    document.getElementById('gisImportTitle').textContent = `Import Towers from ${fileName}`;
+    document.getElementById('gisNameField').innerHTML = fieldOptions(mapping.name, '(numbered "Site n")');
+    document.getElementById('gisFrequencyField').innerHTML = fieldOptions(mapping.frequency, `(use ${DEFAULT_FREQUENCY} GHz)`);
+    document.getElementById('gisFrequencyUnit').value = mapping.frequencyUnit;
+    document.getElementById('gisHeightField').innerHTML = fieldOptions(mapping.antennaHeight, `(use ${DEFAULT_ANTENNA_HEIGHT} m)`);
+    renderGisImportPreview();
+
+    openModal(document.getElementById('gisImportModal'));
+}
+
+function updateGisImportMapping() {
+    if (!state.gisImport) return;
+    state.gisImport.mapping = {
+        name: document.getElementById('gisNameField').value,
+        frequency: document.getElementById('gisFrequencyField').value,
+        frequencyUnit: document.getElementById('gisFrequencyUnit').value,
+        antennaHeight: document.getElementById('gisHeightField').value
+    };
+    renderGisImportPreview();
+}
+
+function renderGisImportPreview() {
+    const { features, mapping } = state.gisImport;
+    const rows = features.map((feature, index) => evaluateGisFeature(feature, mapping, index));
+    renderImportPreview('gisImportPreview', 'confirmGisImportBtn', rows);
+}
+
+function confirmGisImport() {
+    if (!state.gisImport) return;
+    const { fileName, features, mapping } = state.gisImport;
+    const rows = features.map((feature, index) => evaluateGisFeature(feature, mapping, index));
+    hideGisImportModal();
+    addImportedTowers(rows, fileName);
+}
+
+function renderImportPreview(containerId, buttonId, rows) {
+    // Shared by the GIS and CSV imports: rows are { ref, name, lat, lng, frequency, antennaHeight, skip }
+    const creating = rows.filter(row => !row.skip).length;
+    document.getElementById(containerId).innerHTML = `
+        <div class="info-highlight"><strong>${creating} tower(s) will be created, ${rows.length - creating} skipped.</strong></div>
+        <div class="import-preview-scroll">
+            <table class="import-preview-table">
+                <thead>
+                    <tr><th>#</th><th>Name</th><th>Location</th><th>Frequency</th><th>Antenna</th><th>Result</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.skip ? 'import-skip' : 'import-create'}">
+                            <td>${row.ref}</td>
+                            <td>${escapeHtml(row.name)}</td>
+                            <td>${Number.isFinite(row.lat) && Number.isFinite(row.lng) ? `${row.lat.toFixed(5)}, ${row.lng.toFixed(5)}` : '–'}</td>
+                            <td>${row.skip ? '' : `${Number(row.frequency.toFixed(6))} GHz`}</td>
+                            <td>${row.skip ? '' : `${row.antennaHeight} m`}</td>
+                            <td>${row.skip ? `Skipped: ${escapeHtml(row.skip)}` : 'Create'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    const confirmButton = document.getElementById(buttonId);
+    confirmButton.disabled = creating === 0;
+    confirmButton.textContent = `Add ${creating} tower(s)`;
+}
+
+function addImportedTowers(rows, fileName) {
+    const valid = rows.filter(row => !row.skip);
+    if (valid.length === 0) return;
+
+    // Imported towers join the current plan and can be undone in one step
+    recordBatch(`import ${valid.length} tower(s) from ${fileName}`, () => {
+        valid.forEach(row => {
+            addTower({ lat: row.lat, lng: row.lng }, row.name, [{ frequency: row.frequency, antennaHeight: row.antennaHeight }]);
+        });
+    });
+
+    state.map.fitBounds(L.latLngBounds(valid.map(row => [row.lat, row.lng])), { padding: [40, 40], maxZoom: 14 });
+    showNotification(`Imported ${valid.length} tower(s) from ${fileName}.`);
+}
+
+function hideGisImportModal() {
+    closeModal(document.getElementById('gisImportModal'));
+    state.gisImport = null;
+}
+
+// ============================================================================
+// CSV Site Import
+// ============================================================================
+// Survey spreadsheets are mapped column by column onto towers. Every row is
+// validated up front so nothing is added until the report has been reviewed.
+const CSV_COLUMN_GUESSES = {
+    name: /^(name|site|title|label|tower)/i,
+    lat: /^lat/i,
+    lng: /^(lon|lng)/i,
+    frequency: /freq/i,
+    antennaHeight: /height|agl|mast/i
+};
+
+function parseCsv(text) {
+    // RFC 4180 rows: quoted fields may contain delimiters, newlines and "" escapes
+    const firstLine = text.slice(0, text.indexOf('\n') >= 0 ? text.indexOf('\n') : text.length);
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            // Only a leading quote opens a quoted field, so 21.6"W stays literal
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Spreadsheets often leave blank lines at the end
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function parseCoordinate(value, axis) {
+    // Decimal degrees ("-74.006", "74.006 W") or degrees/minutes/seconds
+    // ("74°0'21.6\"W", "40 42 46 N", "N 40° 42.767'"). Returns { value } or { error }.
+    const label = axis === 'lat' ? 'Latitude' : 'Longitude';
+    const text = String(value === undefined || value === null ? '' : value).trim().toUpperCase().replace(/−/g, '-');
+    if (text === '') {
+        return { error: `${label} is missing` };
+    }
+
+    const hemispheres = text.match(/[NSEW]/g) || [];
+    if (hemispheres.length > 1) {
+        return { error: `${label} "${value}" has more than one hemisphere letter` };
+    }
+    const hemisphere = hemispheres[0];
+    if (hemisphere && (axis === 'lat' ? !'NS'.includes(hemisphere) : !'EW'.includes(hemisphere))) {
+        return { error: `${label} "${value}" uses hemisphere ${hemisphere}` };
+    }
+    if (/[^0-9\s.+\-°º'′’"″”:]/.test(text.replace(/[NSEW]/g, ''))) {
+        return { error: `${label} "${value}" is not a coordinate` };
+    }
+
+    const parts = text.match(/\d+(?:\.\d+)?/g) || [];
+    if (parts.length === 0 || parts.length > 3) {
+        return { error: `${label} "${value}" is not a coordinate` };
+    }
+    const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+    if (minutes >= 60 || seconds >= 60 || (parts.length > 1 && !Number.isInteger(degrees)) || (parts.length > 2 && !Number.isInteger(minutes))) {
+        return { error: `${label} "${value}" has invalid minutes or seconds` };
+    }
+
+    const negative = /^[^0-9]*-/.test(text) || hemisphere === 'S' || hemisphere === 'W';
+    const result = (degrees + minutes / 60 + seconds / 3600) * (negative ? -1 : 1);
+    const limit = axis === 'lat' ? 90 : 180;
+    if (result < -limit || result > limit) {
+        return { error: `${label} ${Number(result.toFixed(6))} is out of range (±${limit}°)` };
+    }
+    return { value: result };
+}
+
+async function importCsvFile(file) {
+    let rows;
+    try {
+        rows = parseCsv(await file.text());
+    } catch (error) {
+        showNotification(`Could not read ${file.name}: ${error.message}.`, 'error');
+        return;
+    }
+    if (rows.length < 2) {
+        showNotification(`${file.name} needs a header row and at least one site.`, 'error');
+        return;
+    }
+
+    const headers = rows[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    const guess = pattern => {
+        const index = headers.findIndex(header => pattern.test(header));
+        return index >= 0 ? String(index) : '';
+    };
+    const mapping = Object.fromEntries(Object.entries(CSV_COLUMN_GUESSES).map(([field, pattern]) => [field, guess(pattern)]));
+    mapping.frequencyUnit = mapping.frequency !== '' && /mhz/i.test(headers[mapping.frequency]) ? 'MHz' : 'GHz';
+
+    state.csvImport = { fileName: file.name, headers, rows: rows.slice(1), mapping };
+    showCsvImportModal();
+}
+
+function validateCsvRows(rows, mapping) {
+    // Row numbers match the spreadsheet, counting the header as row 1
+    const existingNames = new Map(state.towers.map(tower => [tower.name.trim().toLowerCase(), tower.name]));
+    const seenNames = new Map();
+    const cell = (cells, column) => (column === '' ? '' : String(cells[Number(column)] || '').trim());
+
+    return rows.map((cells, index) => {
+        const ref = index + 2;
+        const issues = [];
+        const result = {
+            ref,
+            name: cell(cells, mapping.name),
+            lat: NaN,
+            lng: NaN,
+            frequency: NaN,
+            antennaHeight: RADIO_PROPERTIES.antennaHeight.defaultValue,
+            skip: null
+        };
+
+        if (!result.name) {
+            issues.push('missing name');
+        } else {
+            const key = result.name.toLowerCase();
+            if (seenNames.has(key)) {
+                issues.push(`duplicate name, also on row ${seenNames.get(key)}`);
+            } else if (existingNames.has(key)) {
+                issues.push(`a tower named "${existingNames.get(key)}" already exists`);
+            }
+            if (!seenNames.has(key)) seenNames.set(key, ref);
+        }
+
+        ['lat', 'lng'].forEach(axis => {
+            const coordinate = parseCoordinate(cell(cells, mapping[axis]), axis);
+            if (coordinate.error) {
+                issues.push(coordinate.error);
+            } else {
+                result[axis] = coordinate.value;
+            }
+        });
+
+        const rawFrequency = cell(cells, mapping.frequency);
+        const frequency = Number(rawFrequency);
+        if (rawFrequency === '') {
+            issues.push('missing frequency');
+        } else if (!Number.isFinite(frequency) || frequency <= 0) {
+            issues.push(`frequency "${rawFrequency}" is not a positive number`);
+        } else {
+            result.frequency = mapping.frequencyUnit === 'MHz' ? frequency / 1000 : frequency;
+        }
+
+        const rawHeight = cell(cells, mapping.antennaHeight);
+        if (rawHeight !== '') {
+            const height = parseTowerProperty('antennaHeight', rawHeight);
+            if (height.error) {
+                issues.push(height.error.replace(/\.$/, ''));
+            } else {
+                result.antennaHeight = height.value;
+            }
+        }
+
+        result.skip = issues.length > 0 ? issues.join('; ') : null;
+        return result;
+    });
+}
+
+function showCsvImportModal() {
+    const { fileName, headers, mapping } = state.csvImport;
+    const columnOptions = (selected, emptyLabel) => `
+        <option value="">${emptyLabel}</option>
+        ${headers.map((header, index) => `<option value="${index}" ${String(index) === selected ? 'selected' : ''}>${escapeHtml(header)}</option>`).join('')}
+    `;
+
+    document.getElementById('csvImportTitle').textContent = `Import Sites from ${fileName}`;
+    document.getElementById('csvNameColumn').innerHTML = columnOptions(mapping.name, '(choose a column)');
+    document.getElementById('csvLatColumn').innerHTML = columnOptions(mapping.lat, '(choose a column)');
+    document.getElementById('csvLngColumn').innerHTML = columnOptions(mapping.lng, '(choose a column)');
+    document.getElementById('csvFrequencyColumn').innerHTML = columnOptions(mapping.frequency, '(choose a column)');
+    document.getElementById('csvFrequencyUnit').value = mapping.frequencyUnit;
+    document.getElementById('csvHeightColumn').innerHTML = columnOptions(mapping.antennaHeight, `(use ${DEFAULT_ANTENNA_HEIGHT} m)`);
+    renderCsvImportPreview();
+
+    openModal(document.getElementById('csvImportModal'));
+}
+
+function updateCsvImportMapping() {
+    if (!state.csvImport) return;
+    state.csvImport.mapping = {
+        name: document.getElementById('csvNameColumn').value,
+        lat: document.getElementById('csvLatColumn').value,
+        lng: document.getElementById('csvLngColumn').value,
+        frequency: document.getElementById('csvFrequencyColumn').value,
+        frequencyUnit: document.getElementById('csvFrequencyUnit').value,
+        antennaHeight: document.getElementById('csvHeightColumn').value
+    };
+    renderCsvImportPreview();
+}
+
+function renderCsvImportPreview() {
+    const { rows, mapping } = state.csvImport;
+    renderImportPreview('csvImportPreview', 'confirmCsvImportBtn', validateCsvRows(rows, mapping));
+}
+
+function confirmCsvImport() {
+    if (!state.csvImport) return;
+    const { fileName, rows, mapping } = state.csvImport;
+    const validated = validateCsvRows(rows, mapping);
+    hideCsvImportModal();
+    addImportedTowers(validated, fileName);
+}
+
+function hideCsvImportModal() {
+    closeModal(document.getElementById('csvImportModal'));
+    state.csvImport = null;
+}
+
+// ============================================================================
+// Printable Reports (PNG / PDF)
+// ============================================================================
+// Pages are drawn on an A4-sized canvas: a map snapshot rebuilt from basemap
+// tiles plus the link and Fresnel geometry, followed by the tower and path
+// figures. PNGs are the canvases themselves; the PDF wraps JPEG pages.
+function createReportPage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = REPORT_PAGE_WIDTH;
+    canvas.height = REPORT_PAGE_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error('this browser cannot draw report pages');
+    }
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.textBaseline = 'alphabetic';
+    return { canvas, ctx };
+}
+
+function getReportProjectName() {
+    if (state.review) return state.review.name;
+    const project = state.projects.find(p => p.id === state.activeProjectId);
+    return project ? project.name : 'RF Link Plan';
+}
+
+function drawReportHeader(ctx, kicker, title) {
+    const margin = REPORT_PAGE_MARGIN;
+    ctx.fillStyle = '#64748b';
+    ctx.font = '500 22px Poppins, sans-serif';
+    ctx.fillText(`${kicker} · ${getReportProjectName()} · ${new Date().toLocaleDateString()}`, margin, margin + 10);
+    ctx.fillStyle = '#0f172a';
+    ctx.font = '600 40px Poppins, sans-serif';
+    ctx.fillText(fitReportText(ctx, title, REPORT_PAGE_WIDTH - 2 * margin), margin, margin + 62);
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(margin, margin + 84);
+    ctx.lineTo(REPORT_PAGE_WIDTH - margin, margin + 84);
+    ctx.stroke();
+    return margin + 120;
+}
+
+function drawReportFooter(ctx, label) {
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '400 18px Poppins, sans-serif';
+    ctx.fillText(`Generated by RF Link Planner on ${new Date().toLocaleString()}`, REPORT_PAGE_MARGIN, REPORT_PAGE_HEIGHT - REPORT_PAGE_MARGIN / 2);
+    const width = ctx.measureText(label).width;
+    ctx.fillText(label, REPORT_PAGE_WIDTH - REPORT_PAGE_MARGIN - width, REPORT_PAGE_HEIGHT - REPORT_PAGE_MARGIN / 2);
+}
+
+function fitReportText(ctx, text, maxWidth) {
+    text = String(text);
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    while (text.length > 1 && ctx.measureText(`${text}…`).width > maxWidth) {
+        text = text.slice(0, -1);
+    }
+    return `${text}…`;
+}
+
+function drawReportTable(ctx, y, title, headers, rows, widths) {
+    // `widths` are fractions of the printable width; returns the y below the table
+    const x = REPORT_PAGE_MARGIN;
+    const tableWidth = REPORT_PAGE_WIDTH - 2 * REPORT_PAGE_MARGIN;
+    const rowHeight = 38;
+    const columns = widths.map(w => w * tableWidth);
+
+    if (title) {
+        ctx.fillStyle = '#0f172a';
+        ctx.font = '600 26px Poppins, sans-serif';
+        ctx.fillText(title, x, y);
+        y += 20;
+    }
+
+    const drawRow = (cells, top, header) => {
+        if (header) {
+            ctx.fillStyle = '#f1f5f9';
+            ctx.fillRect(x, top, tableWidth, rowHeight);
+        }
+        ctx.fillStyle = header ? '#475569' : '#0f172a';
+        ctx.font = `${header ? 600 : 400} 20px Poppins, sans-serif`;
+        let left = x;
+        cells.forEach((cell, i) => {
+            ctx.fillText(fitReportText(ctx, cell, columns[i] - 12), left + 6, top + 26);
+            left += columns[i];
+        });
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, top + rowHeight);
+        ctx.lineTo(x + tableWidth, top + rowHeight);
+        ctx.stroke();
+    };
+
+    drawRow(headers, y, true);
+    rows.forEach((row, i) => drawRow(row, y + rowHeight * (i + 1), false));
+    return y + rowHeight * (rows.length + 1) + 40;
+}
+
+function loadReportTile(source, x, y, zoom) {
+    // Resolves to null if the tile can't be loaded with CORS, so the canvas is never tainted.
+    // A tile downloaded for offline use stands in when the network fails
+    return new Promise(resolve => {
+        const image = new Image();
+        const timer = setTimeout(() => resolve(null), REPORT_TILE_TIMEOUT);
+        const finish = result => {
+            clearTimeout(timer);
+            resolve(result);
+        };
+        image.crossOrigin = 'anonymous';
+        image.onload = () => finish(image);
+        image.onerror = async () => {
+            const url = await loadOfflineTileUrl(getOfflineTileKey(getOfflineSourceKey(source), zoom, x, y));
+            if (!url) {
+                finish(null);
+                return;
+            }
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                finish(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                finish(null);
+            };
+            image.src = url;
+        };
+        image.src = getSourceTileUrl(source, x, y, zoom);
+    });
+}
+
+async function drawLinkSnapshot(ctx, link, left, top, width, height) {
+    const crs = L.CRS.EPSG3857;
+    const footprints = [...state.visibleFresnelZones]
+        .sort((a, b) => b - a) // Outermost first so inner zones stay visible
+        .map(zone => ({ zone, ring: calculateFresnelFootprint(link, zone) }));
+    const path = getLinkPath(link.tower1, link.tower2);
+    const points = [...path, ...footprints.flatMap(footprint => footprint.ring)];
+    const basemap = getBasemapSource(state.basemap, true);
+
+    // Deepest zoom at which the whole footprint fits with some padding
+    let zoom = Math.min(REPORT_MAX_ZOOM, basemap.maxZoom);
+    let bounds;
+    for (; zoom > 0; zoom--) {
+        bounds = L.bounds(points.map(([lat, lng]) => crs.latLngToPoint(L.latLng(lat, lng), zoom)));
+        const size = bounds.getSize();
+        if (size.x <= width * 0.8 && size.y <= height * 0.8) break;
+    }
+    const center = bounds.getCenter();
+    const origin = L.point(center.x - width / 2, center.y - height / 2);
+    const project = ([lat, lng]) => {
+        const point = crs.latLngToPoint(L.latLng(lat, lng), zoom);
+        return [left + point.x - origin.x, top + point.y - origin.y];
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+    ctx.fillStyle = '#e2e8f0';
+    ctx.fillRect(left, top, width, height);
+
+    const tileCount = 2 ** zoom;
+    const tiles = [];
+    for (let tx = Math.floor(origin.x / 256); tx <= Math.floor((origin.x + width) / 256); tx++) {
+        for (let ty = Math.max(0, Math.floor(origin.y / 256)); ty <= Math.min(tileCount - 1, Math.floor((origin.y + height) / 256)); ty++) {
+            const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+            tiles.push(loadReportTile(basemap, wrappedX, ty, zoom).then(image => {
+                if (image) ctx.drawImage(image, left + tx * 256 - origin.x, top + ty * 256 - origin.y, 256, 256);
+                return Boolean(image);
+            }));
+        }
+    }
+    const loaded = await Promise.all(tiles);
+
+    footprints.forEach(({ zone, ring }) => {
+        const color = FRESNEL_ZONE_COLORS[zone - 1];
+        ctx.beginPath();
+        ring.forEach((point, i) => {
+            const [px, py] = project(point);
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.closePath();
+        ctx.globalAlpha = zone === 1 ? 0.3 : 0.12;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    });
+
+    ctx.beginPath();
+    path.forEach((point, i) => {
+        const [px, py] = project(point);
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    ctx.strokeStyle = LINK_MARGIN_COLORS[getMarginQuality(calculateLinkBudget(link).worstMargin)];
+    ctx.lineWidth = 5;
+    ctx.stroke();
+
+    [[link.tower1, link.radio1], [link.tower2, link.radio2]].forEach(([tower, radio]) => {
+        const [px, py] = project([tower.lat, unwrapLongitude(tower.lng, link.tower1.lng)]);
+        ctx.beginPath();
+        ctx.arc(px, py, 10, 0, 2 * Math.PI);
+        ctx.fillStyle = '#3b82f6';
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.font = '600 22px Poppins, sans-serif';
+        ctx.lineWidth = 5;
+        ctx.strokeText(getRadioLabel(tower, radio), px + 16, py - 12);
+        ctx.fillStyle = '#0f172a';
+        ctx.fillText(getRadioLabel(tower, radio), px + 16, py - 12);
+    });
+
+    const attribution = loaded.every(Boolean) ? basemap.attribution : `${basemap.attribution} (some tiles unavailable)`;
+    ctx.font = '400 16px Poppins, sans-serif';
+    const attributionWidth = ctx.measureText(attribution).width;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(left + width - attributionWidth - 16, top + height - 28, attributionWidth + 16, 28);
+    ctx.fillStyle = '#334155';
+    ctx.fillText(attribution, left + width - attributionWidth - 8, top + height - 9);
+    ctx.restore();
+
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+}
+
+async function renderLinkReportPage(link, pageLabel = '') {
+    const { canvas, ctx } = createReportPage();
+    const { tower1, tower2, radio1, radio2 } = link;
+    let y = drawReportHeader(ctx, `Link ${link.id}`, getLinkLabel(link));
+
+    const mapHeight = 620;
+    await drawLinkSnapshot(ctx, link, REPORT_PAGE_MARGIN, y, REPORT_PAGE_WIDTH - 2 * REPORT_PAGE_MARGIN, mapHeight);
+    y += mapHeight + 60;
+
+    const terrain = link.terrain && !['pending', 'unknown'].includes(link.terrain.status) ? link.terrain : null;
+    const ground = (tower, terrainGround) => {
+        if (tower.groundElevation !== null) return `${tower.groundElevation} m`;
+        return terrain ? `${terrainGround.toFixed(0)} m` : '—';
+    };
+    const bearing12 = calculateBearing(tower1.lat, tower1.lng, tower2.lat, tower2.lng);
+    const bearing21 = calculateBearing(tower2.lat, tower2.lng, tower1.lat, tower1.lng);
+    y = drawReportTable(ctx, y, 'Towers',
+        ['Tower', 'Latitude', 'Longitude', 'Ground', 'Antenna', 'Bearing to far end'],
+        [
+            [getRadioLabel(tower1, radio1), tower1.lat.toFixed(6), tower1.lng.toFixed(6), ground(tower1, terrain && terrain.ground1), `${radio1.antennaHeight} m`, `${bearing12.toFixed(1)}° true`],
+            [getRadioLabel(tower2, radio2), tower2.lat.toFixed(6), tower2.lng.toFixed(6), ground(tower2, terrain && terrain.ground2), `${radio2.antennaHeight} m`, `${bearing21.toFixed(1)}° true`]
+        ],
+        [0.26, 0.15, 0.15, 0.12, 0.12, 0.2]);
+
+    const wavelength = calculateWavelength(link.frequency);
+    const midRadius = zone => calculateFresnelRadius(wavelength, link.distance / 2, link.distance / 2, zone);
+    const budget = calculateLinkBudget(link);
+    const availability = calculateAvailability(link);
+    const figures = [
+        ['Distance', `${link.distance.toFixed(3)} km`],
+        ['Channel', formatChannel(radio1)],
+        ['Wavelength', `${(wavelength * 1000).toFixed(2)} mm`],
+        ['Max Fresnel radius (zone 1, midpoint)', `${midRadius(1).toFixed(2)} m`],
+        ['60% clearance radius', `${(midRadius(1) * FRESNEL_CLEARANCE_TARGET).toFixed(2)} m`],
+        ...state.visibleFresnelZones.filter(zone => zone > 1).map(zone => [`Fresnel zone ${zone} radius (midpoint)`, `${midRadius(zone).toFixed(2)} m`]),
+        ['Free-space path loss', `${budget.fspl.toFixed(1)} dB`],
+        ['Gaseous absorption', `${budget.gaseousLoss.toFixed(2)} dB${link.frequency > GASEOUS_MODEL_MAX_FREQUENCY ? ` (taken at ${GASEOUS_MODEL_MAX_FREQUENCY} GHz)` : ''}`],
+        ['Fade margin (→ / ←)', `${budget.forward.fadeMargin.toFixed(1)} dB / ${budget.reverse.fadeMargin.toFixed(1)} dB`],
+        [`Availability (${POLARIZATIONS[link.polarization].toLowerCase()}, ${getRainRateLabel()})`, `${formatAvailability(availability)}, rain outage ${formatOutage(availability)}${link.frequency < RAIN_MODEL_MIN_FREQUENCY ? ` (rain taken at ${RAIN_MODEL_MIN_FREQUENCY} GHz)` : ''}`],
+        ['Terrain clearance', terrain
+            ? `${terrain.status}${terrain.worst ? `, worst ${terrain.worst.clearance.toFixed(1)} m (${Math.round(terrain.worst.clearanceRatio * 100)}% F1)` : ''}`
+            : 'not checked']
+    ];
+    y = drawReportTable(ctx, y, 'Path', ['Figure', 'Value'], figures, [0.5, 0.5]);
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '400 20px Poppins, sans-serif';
+    ctx.fillText('r = √((λ × d₁ × d₂) / (d₁ + d₂)), λ = c / f, c = 3×10⁸ m/s', REPORT_PAGE_MARGIN, y);
+
+    drawReportFooter(ctx, pageLabel);
+    return canvas;
+}
+
+function getSummaryPageCount() {
+    return Math.max(1, Math.ceil(state.links.length / REPORT_SUMMARY_ROWS));
+}
+
+function renderSummaryPages(totalPages) {
+    // One row per link, continued over as many pages as needed
+    const rows = state.links.map(link => {
+        const budget = calculateLinkBudget(link);
+        const terrain = link.terrain && link.terrain.status !== 'pending' ? link.terrain.status : 'not checked';
+        return [
+            String(link.id),
+            getLinkLabel(link),
+            `${link.distance.toFixed(2)} km`,
+            `${link.frequency} GHz`,
+            `${calculateBearing(link.tower1.lat, link.tower1.lng, link.tower2.lat, link.tower2.lng).toFixed(1)}°`,
+            `${budget.worstMargin.toFixed(1)} dB`,
+            terrain
+        ];
+    });
+    const totalKm = state.links.reduce((sum, link) => sum + link.distance, 0);
+
+    const pages = [];
+    for (let page = 0; page < getSummaryPageCount(); page++) {
+        const start = page * REPORT_SUMMARY_ROWS;
+        const { canvas, ctx } = createReportPage();
+        let y = drawReportHeader(ctx, 'Project summary', getReportProjectName());
+        if (start === 0) {
+            ctx.fillStyle = '#0f172a';
+            ctx.font = '400 24px Poppins, sans-serif';
+            ctx.fillText(`${state.towers.length} tower(s), ${state.links.length} link(s), ${totalKm.toFixed(2)} km of path in total`, REPORT_PAGE_MARGIN, y);
+            y += 60;
+        }
+        drawReportTable(ctx, y, start === 0 ? 'Links' : 'Links (continued)',
+            ['#', 'Link', 'Distance', 'Frequency', 'Bearing', 'Margin', 'Clearance'],
+            rows.slice(start, start + REPORT_SUMMARY_ROWS),
+            [0.06, 0.34, 0.12, 0.12, 0.1, 0.12, 0.14]);
+        drawReportFooter(ctx, `Page ${page + 1} of ${totalPages}`);
+        pages.push(canvas);
+    }
+    return pages;
+}
+
+function canvasToBytes(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('the page could not be encoded'));
+                return;
+            }
+            blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, type, quality);
+    });
+}
+
+function createPdf(pages) {
+    // Minimal PDF 1.4: one A4 page per JPEG image ({ jpeg, width, height }), scaled to fill it
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = part => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const writeObject = (id, dictionary, stream = null) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${dictionary}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    const [pageWidth, pageHeight] = [595.28, 841.89]; // A4 in points
+    const pageIds = pages.map((page, i) => 3 + i * 3);
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // Binary marker comment
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    pages.forEach((page, i) => {
+        const [pageId, contentId, imageId] = [pageIds[i], pageIds[i] + 1, pageIds[i] + 2];
+        writeObject(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im${i} ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+        const content = encoder.encode(`q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im${i} Do Q`);
+        writeObject(contentId, `<< /Length ${content.length} >>`, content);
+        writeObject(imageId, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+    });
+
+    const objectCount = 2 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+    for (let id = 1; id <= objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    });
+    return pdf;
+}
+
+function getReportFileName(link) {
+    const slug = getLinkLabel(link).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `link-${link.id}-${slug || 'report'}.png`;
+}
+
+async function runReportJob(description, job) {
+    if (state.reportInProgress) {
+        showNotification('A report is already being generated.', 'error');
+        return;
+    }
+    if (state.links.length === 0) {
+        showNotification('There are no links to report on yet.', 'error');
+        return;
+    }
+    state.reportInProgress = true;
+    showNotification(`Generating ${description}…`);
+    try {
+        await job();
+    } catch (error) {
+        showNotification(`Could not generate the ${description}: ${error.message}.`, 'error');
+    } finally {
+        state.reportInProgress = false;
+    }
+}
+
+function exportLinkPng(linkId) {
+    const link = state.links.find(l => l.id === linkId);
+    if (!link) return;
+    return runReportJob('link report', async () => {
+        const canvas = await renderLinkReportPage(link);
+        downloadFile(new Blob([await canvasToBytes(canvas, 'image/png')], { type: 'image/png' }), getReportFileName(link));
+    });
+}
+
+function exportReportPngs() {
+    // One PNG per link, bundled so the browser doesn't prompt for every file
+    return runReportJob('link reports', async () => {
+        const entries = [];
+        for (const link of state.links) {
+            const canvas = await renderLinkReportPage(link);
+            entries.push({ name: getReportFileName(link), data: await canvasToBytes(canvas, 'image/png') });
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(new Blob([createZip(entries)], { type: 'application/zip' }), `rf-link-reports-${date}.zip`);
+        showNotification(`Exported ${entries.length} link report(s).`);
+    });
+}
+
+function exportReportPdf() {
+    return runReportJob('PDF report', async () => {
+        const total = getSummaryPageCount() + state.links.length;
+        const canvases = renderSummaryPages(total);
+        for (const link of state.links) {
+            canvases.push(await renderLinkReportPage(link, `Page ${canvases.length + 1} of ${total}`));
+        }
+        const pages = [];
+        for (const canvas of canvases) {
+            pages.push({ jpeg: await canvasToBytes(canvas, 'image/jpeg', 0.92), width: canvas.width, height: canvas.height });
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(new Blob([createPdf(pages)], { type: 'application/pdf' }), `rf-link-report-${date}.pdf`);
+        showNotification(`Exported a ${pages.length}-page report.`);
+    });
+}
+
+// ============================================================================
+// Project Persistence (IndexedDB)
+// ============================================================================
+function openProjectDatabase() {
+    if (!state.projectDb) {
+        state.projectDb = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported by this browser.'));
+                return;
+            }
+            const request = indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+                    db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(TILE_STORE)) {
+                    db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(OVERLAY_STORE)) {
+                    db.createObjectStore(OVERLAY_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The project database is open in another tab with an older version.'));
+        });
+        // Allow a later retry if opening failed
+        state.projectDb.catch(() => { state.projectDb = null; });
+    }
+    return state.projectDb;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getProjectStore(mode) {
+    const db = await openProjectDatabase();
+    return db.transaction(PROJECT_STORE, mode).objectStore(PROJECT_STORE);
+}
+
+async function listProjectRecords() {
+    return promisifyRequest((await getProjectStore('readonly')).getAll());
+}
+
+async function deleteProjectRecord(id) {
+    const db = await openProjectDatabase();
+    const transaction = db.transaction([PROJECT_STORE, OVERLAY_STORE], 'readwrite');
+    transaction.objectStore(PROJECT_STORE).delete(id);
+    transaction.objectStore(OVERLAY_STORE).delete(getProjectOverlayRange(id));
+    return promisifyTransaction(transaction);
+}
+
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('the transaction was aborted'));
+    });
+}
+
+// A local overlay's GeoJSON or image can run to megabytes, so it is kept in its
+// own OVERLAY_STORE record under "<project id>/<layer id>" and the saved plan
+// only holds the layer's settings. A payload is written once, when the layer is
+// added, rather than on every autosave.
+function isLocalOverlay(layer) {
+    return layer.type === 'geojson' || layer.type === 'image';
+}
+
+function getOverlayPayload(layer) {
+    return layer.type === 'geojson' ? layer.data : layer.image;
+}
+
+function getOverlayKey(projectId, layerId) {
+    return `${projectId}/${layerId}`;
+}
+
+function getProjectOverlayRange(projectId) {
+    return IDBKeyRange.bound(`${projectId}/`, `${projectId}/\uffff`);
+}
+
+async function putProjectRecord(record) {
+    const db = await openProjectDatabase();
+    const transaction = db.transaction([PROJECT_STORE, OVERLAY_STORE], 'readwrite');
+    const overlays = transaction.objectStore(OVERLAY_STORE);
+    const settings = record.data.settings;
+    const written = new Map();
+    const kept = new Set();
+
+    const mapLayers = settings && Array.isArray(settings.mapLayers)
+        ? settings.mapLayers.map(layer => {
+            if (!isLocalOverlay(layer)) return layer;
+            const key = getOverlayKey(record.id, layer.id);
+            const payload = getOverlayPayload(layer);
+            kept.add(key);
+            if (state.storedOverlayPayloads.get(key) !== payload) {
+                overlays.put({ key, payload });
+                written.set(key, payload);
+            }
+            const { data, image, ...reference } = layer;
+            return reference;
+        })
+        : null;
+    transaction.objectStore(PROJECT_STORE).put(mapLayers
+        ? { ...record, data: { ...record.data, settings: { ...settings, mapLayers } } }
+        : record);
+
+    // Drop the payloads of overlays that were removed
+    let removed = [];
+    const keys = overlays.getAllKeys(getProjectOverlayRange(record.id));
+    keys.onsuccess = () => {
+        removed = keys.result.filter(key => !kept.has(key));
+        removed.forEach(key => overlays.delete(key));
+    };
+
+    await promisifyTransaction(transaction);
+    removed.forEach(key => state.storedOverlayPayloads.delete(key));
+    written.forEach((payload, key) => state.storedOverlayPayloads.set(key, payload));
+}
+
+async function getProjectRecord(id) {
+    // Puts the stored overlay payloads back into the plan, and returns them by key; plans saved
+    // before OVERLAY_STORE still hold their own
+    const db = await openProjectDatabase();
+    const transaction = db.transaction([PROJECT_STORE, OVERLAY_STORE], 'readonly');
+    const [record, payloads] = await Promise.all([
+        promisifyRequest(transaction.objectStore(PROJECT_STORE).get(id)),
+        promisifyRequest(transaction.objectStore(OVERLAY_STORE).getAll(getProjectOverlayRange(id)))
+    ]);
+    const byKey = new Map(payloads.map(entry => [entry.key, entry.payload]));
+    const settings = record && record.data && record.data.settings;
+    if (!settings || !Array.isArray(settings.mapLayers)) return { record, payloads: byKey };
+
+    const mapLayers = settings.mapLayers.map(layer => {
+        const payload = layer && isLocalOverlay(layer) ? byKey.get(getOverlayKey(id, layer.id)) : undefined;
+        if (payload === undefined || getOverlayPayload(layer) !== undefined) return layer;
+        // A missing payload leaves the layer incomplete, and loadProject reports it as skipped
+        return layer.type === 'geojson' ? { ...layer, data: payload } : { ...layer, image: payload };
+    });
+    return { record: { ...record, data: { ...record.data, settings: { ...settings, mapLayers } } }, payloads: byKey };
+}
+
+function generateProjectId() {
+    if (window.crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function createEmptyProjectData() {
+    return {
+        format: PROJECT_FILE_FORMAT,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        counters: { towerIdCounter: 1, linkIdCounter: 1 },
+        towers: [],
+        links: []
+    };
+}
+
+function onPlanChanged() {
+    refreshNetworkView();
+    updateBulkControls();
+    updateCoverageControls();
+    scheduleAutosave();
+}
+
+function scheduleAutosave() {
+    if (!state.activeProjectId || !state.storageAvailable) return;
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = setTimeout(saveActiveProject, AUTOSAVE_DELAY);
+    setAutosaveStatus('Unsaved changes…');
+}
+
+async function saveActiveProject() {
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = null;
+
+    const project = state.projects.find(p => p.id === state.activeProjectId);
+    if (!project || !state.storageAvailable) return;
+
+    const record = {
+        id: project.id,
+        name: project.name,
+        createdAt: project.createdAt,
+        updatedAt: Date.now(),
+        data: serializeProject()
+    };
+
+    try {
+        await putProjectRecord(record);
+        project.updatedAt = record.updatedAt;
+        project.corrupt = false;
+        setAutosaveStatus('All changes saved');
+    } catch (error) {
+        console.error('Autosave failed:', error);
+        setAutosaveStatus('Autosave failed', true);
+    }
+}
+
+function toProjectMeta(record) {
+    // Tolerate records with damaged metadata; the plan data is checked when opened
+    return {
+        id: record.id,
+        name: typeof record.name === 'string' && record.name.trim() ? record.name : 'Untitled project',
+        createdAt: Number(record.createdAt) || 0,
+        updatedAt: Number(record.updatedAt) || 0,
+        corrupt: !record.data || typeof record.data !== 'object'
+    };
+}
+
+async function initializeProjects(sharedPlan = readShareHash()) {
+    let records;
+    try {
+        records = await listProjectRecords();
+    } catch (error) {
+        console.error('Could not open project storage:', error);
+        state.storageAvailable = false;
+        showNotification('Autosave is unavailable in this browser. Use Export to keep your work.', 'error');
+        updateProjectControls();
+        if (sharedPlan) {
+            await openSharedPlan(sharedPlan);
+        }
+        return;
+    }
+
+    state.projects = records
+        .filter(record => record && (typeof record.id === 'string' || typeof record.id === 'number'))
+        .map(toProjectMeta);
+
+    // A plan opened from a share link is reviewed instead of the saved projects
+    if (sharedPlan && await openSharedPlan(sharedPlan)) {
+        updateProjectControls();
+        return;
+    }
+    await openLastUsedProject();
+}
+
+async function openLastUsedProject() {
+    // Open the last used project, falling back through the others by recency
+    const lastUsedId = localStorage.getItem('activeProjectId');
+    const candidates = [...state.projects].sort((a, b) => {
+        if (a.id === lastUsedId) return -1;
+        if (b.id === lastUsedId) return 1;
+        return b.updatedAt - a.updatedAt;
+    });
+
+    for (const project of candidates) {
+        if (await openProject(project.id)) {
+            return;
+        }
+    }
+
+    await createProject(state.projects.length === 0 ? 'Untitled project' : 'Recovered project', createEmptyProjectData());
+}
+
+async function openProject(id) {
+    const project = state.projects.find(p => p.id === id);
+    if (!project) return false;
+
+    let result;
+    let payloads;
+    try {
+        const stored = await getProjectRecord(id);
+        const record = stored.record;
+        payloads = stored.payloads;
+        if (!record || !record.data || typeof record.data !== 'object') {
+            throw new Error('the saved plan is missing or unreadable');
+        }
+        // loadProject validates before touching the map, so a failure leaves the current plan intact
+        result = loadProject(record.data);
+    } catch (error) {
+        console.error(`Could not open project ${id}:`, error);
+        project.corrupt = true;
+        showNotification(`Project "${project.name}" could not be opened: ${error.message}`, 'error');
+        updateProjectControls();
+        return false;
+    }
+
+    state.activeProjectId = id;
+    state.storedOverlayPayloads = payloads;
+    project.corrupt = false;
+    localStorage.setItem('activeProjectId', id);
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = null;
+
+    const skipped = result.issues.filter(issue => issue.level === 'error').length;
+    if (skipped > 0) {
+        showNotification(`${skipped} damaged entr${skipped === 1 ? 'y was' : 'ies were'} skipped while restoring "${project.name}".`, 'error');
+        // Persist the cleaned-up plan so the damage is not reported again
+        scheduleAutosave();
+    } else {
+        setAutosaveStatus('All changes saved');
+    }
+    updateProjectControls();
+    return true;
+}
+
+async function switchProject(id) {
+    if (id === state.activeProjectId) return;
+    await saveActiveProject();
+    if (!await openProject(id)) {
+        updateProjectControls(); // Reset the picker to the project that is still open
+    }
+}
+
+async function createProject(name, data) {
+    if (!state.storageAvailable) return false;
+    await saveActiveProject();
+
+    const now = Date.now();
+    const record = { id: generateProjectId(), name, createdAt: now, updatedAt: now, data };
+    try {
+        await putProjectRecord(record);
+    } catch (error) {
+        showNotification(`Could not create project: ${error.message}`, 'error');
+        return false;
+    }
+    state.projects.push(toProjectMeta(record));
+    return openProject(record.id);
+}
+
+async function requestNewProject() {
+    const name = await showNameModal('New Project', `Project ${state.projects.length + 1}`, 'North ridge backhaul');
+    if (name) {
+        await createProject(name, createEmptyProjectData());
+    }
+}
+
+async function requestDuplicateProject() {
+    const project = state.projects.find(p => p.id === state.activeProjectId);
+    if (!project) return;
+    const name = await showNameModal('Duplicate Project', `${project.name} (copy)`, 'North ridge backhaul');
+    if (name) {
+        await createProject(name, serializeProject());
+    }
+}
+
+async function requestRenameProject() {
+    const project = state.projects.find(p => p.id === state.activeProjectId);
+    if (!project) return;
+    const name = await showNameModal('Rename Project', project.name, 'North ridge backhaul');
+    if (!name || name === project.name) return;
+
+    project.name = name;
+    updateProjectControls();
+    await saveActiveProject();
+}
+
+async function requestDeleteProject() {
+    const project = state.projects.find(p => p.id === state.activeProjectId);
+    if (!project) return;
+
+    const confirmed = await showConfirmationModal(
+        `Delete Project: ${project.name}?`,
+        'All towers and links saved in this project will be removed. This action cannot be undone.',
+        null,
+        true
+    );
+    if (!confirmed) return;
+
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = null;
+    try {
+        await deleteProjectRecord(project.id);
+    } catch (error) {
+        showNotification(`Could not delete project: ${error.message}`, 'error');
+        return;
+    }
+    state.projects = state.projects.filter(p => p.id !== project.id);
+    state.activeProjectId = null;
+
+    const next = [...state.projects].sort((a, b) => b.updatedAt - a.updatedAt);
+    for (const candidate of next) {
+        if (await openProject(candidate.id)) return;
+    }
+    await createProject('Untitled project', createEmptyProjectData());
+}
+
+function setAutosaveStatus(text, isError = false) {
+    const status = document.getElementById('autosaveStatus');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+function updateProjectControls() {
+    const select = document.getElementById('projectSelect');
+    const hasProject = state.storageAvailable && state.activeProjectId !== null;
+
+    // While reviewing a shared plan the saved projects stay closed until the review ends
+    select.innerHTML = (state.review ? `<option selected>${escapeHtml(state.review.name)} (shared, read-only)</option>` : '') +
+        state.projects
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(project => `
+            <option value="${escapeHtml(project.id)}" ${project.id === state.activeProjectId ? 'selected' : ''}>
+                ${project.corrupt ? '⚠ ' : ''}${escapeHtml(project.name)}
+            </option>
+        `).join('');
+    select.disabled = !state.storageAvailable || state.review !== null;
+
+    ['renameProjectBtn', 'duplicateProjectBtn', 'deleteProjectBtn'].forEach(id => {
+        document.getElementById(id).disabled = !hasProject;
+    });
+    document.getElementById('newProjectBtn').disabled = !state.storageAvailable || state.review !== null;
+
+    if (!state.storageAvailable) {
+        setAutosaveStatus('Autosave unavailable', true);
+    }
+}
+
+// ============================================================================
+// Share Links & Review Mode
+// ============================================================================
+// The plan travels in the URL hash as #plan=z<deflate-raw, base64url>, or
+// #plan=j<JSON, base64url> from browsers without CompressionStream
+function encodeBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, transform) {
+    return new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(transform)).arrayBuffer());
+}
+
+async function encodeSharedPlan(plan) {
+    const bytes = new TextEncoder().encode(JSON.stringify(plan));
+    if (typeof CompressionStream === 'undefined') {
+        return `j${encodeBase64Url(bytes)}`;
+    }
+    return `z${encodeBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+async function decodeSharedPlan(encoded) {
+    let bytes;
+    try {
+        bytes = decodeBase64Url(encoded.slice(1));
+    } catch (error) {
+        throw new Error('the link is damaged');
+    }
+    if (encoded[0] === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('this browser cannot read compressed share links');
+        }
+        try {
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } catch (error) {
+            throw new Error('the link is incomplete or damaged');
+        }
+    } else if (encoded[0] !== 'j') {
+        throw new Error('the link is not a plan share link');
+    }
+
+    let shared;
+    try {
+        shared = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('the link is damaged');
+    }
+    if (!shared || typeof shared !== 'object' || !shared.project) {
+        throw new Error('the link does not contain a plan');
+    }
+    return shared;
+}
+
+function readShareHash() {
+    return new URLSearchParams(location.hash.slice(1)).get(SHARE_HASH_KEY);
+}
+
+function clearShareHash() {
+    if (readShareHash() !== null) {
+        history.replaceState(null, '', location.href.split('#')[0]);
+    }
+}
+
+async function copyShareLink() {
+    // Local overlays carry whole files as data URLs, far past what a link can hold; tile sources are just URLs
+    const project = serializeProject();
+    const localOverlays = project.settings.mapLayers.filter(isLocalOverlay);
+    project.settings.mapLayers = project.settings.mapLayers.filter(layer => !localOverlays.includes(layer));
+    const leftOut = localOverlays.length > 0
+        ? ` ${localOverlays.length} local overlay(s) were left out; send the project file to include them.`
+        : '';
+
+    let encoded;
+    try {
+        encoded = await encodeSharedPlan({ name: getReportProjectName(), project });
+    } catch (error) {
+        showNotification(`Could not create a share link: ${error.message}`, 'error');
+        return;
+    }
+
+    const url = `${location.href.split('#')[0]}#${SHARE_HASH_KEY}=${encoded}`;
+    if (url.length > SHARE_URL_MAX_LENGTH) {
+        showNotification(`This plan is too large for a share link (${url.length.toLocaleString()} of ${SHARE_URL_MAX_LENGTH.toLocaleString()} characters). Use Export and send the project file instead.`, 'error');
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showNotification(`Share link copied. It opens a read-only copy of this plan.${leftOut}`);
+    } catch (error) {
+        // Clipboard access can be refused (permissions, insecure origin); let the user copy it by hand
+        showShareModal(url);
+        if (leftOut) showNotification(leftOut.trim());
+    }
+}
+
+function showShareModal(url) {
+    const input = document.getElementById('shareUrlInput');
+    input.value = url;
+    openModal(document.getElementById('shareModal'));
+    input.focus();
+    input.select();
+}
+
+function hideShareModal() {
+    closeModal(document.getElementById('shareModal'));
+}
+
+async function openSharedPlan(encoded) {
+    let shared;
+    try {
+        shared = await decodeSharedPlan(encoded);
+    } catch (error) {
+        console.error('Could not open share link:', error);
+        showNotification(`This share link could not be opened: ${error.message}.`, 'error');
+        clearShareHash();
+        return false;
+    }
+
+    // Leave the saved project first so the shared plan is never autosaved over it
+    await saveActiveProject();
+    const previous = { review: state.review, activeProjectId: state.activeProjectId };
+    state.review = { name: typeof shared.name === 'string' && shared.name.trim() ? shared.name : 'Shared plan' };
+    state.activeProjectId = null;
+    setMode('addTower');
+    try {
+        loadProject(shared.project);
+    } catch (error) {
+        // loadProject validates before clearing the map, so the previous plan is still open
+        Object.assign(state, previous);
+        console.error('Could not open share link:', error);
+        showNotification(`This share link could not be opened: ${error.message}`, 'error');
+        clearShareHash();
+        return false;
+    }
+
+    updateReviewControls();
+    showNotification(`Reviewing "${state.review.name}" read-only. Make an editable copy to change it.`);
+    return true;
+}
+
+async function makeEditableCopy() {
+    if (!state.review) return;
+    const name = `${state.review.name} (copy)`;
+    const data = serializeProject();
+    state.review = null;
+    clearShareHash();
+
+    // Reloading the plan rebuilds the markers and lists unlocked
+    if (await createProject(name, data)) {
+        showNotification(`Saved an editable copy as "${name}".`);
+    } else {
+        loadProject(data);
+        showNotification('The plan is now editable, but it is not autosaved. Use Export to keep your work.', 'error');
+    }
+    updateReviewControls();
+}
+
+async function closeReview() {
+    if (!state.review) return;
+    state.review = null;
+    clearShareHash();
+    updateReviewControls();
+    if (state.storageAvailable) {
+        await openLastUsedProject();
+    } else {
+        clearPlan();
+    }
+}
+
+function handleShareHashChange() {
+    const sharedPlan = readShareHash();
+    if (sharedPlan) {
+        openSharedPlan(sharedPlan);
+    }
+}
+
+function updateReviewControls() {
+    const reviewing = state.review !== null;
+    document.getElementById('reviewBanner').classList.toggle('hidden', !reviewing);
+    document.getElementById('reviewName').textContent = reviewing ? state.review.name : '';
+    REVIEW_LOCKED_CONTROLS.forEach(id => {
+        document.getElementById(id).disabled = reviewing;
+    });
+    updateProjectControls();
+}
+
+function getEditLockAttribute() {
+    return state.review ? 'disabled' : '';
+}
+
+// ============================================================================
+// Map Layers
+// ============================================================================
+// One basemap (built-in or a custom XYZ/WMS source) under any number of overlays:
+// custom tile sources and local GeoJSON or georeferenced image files
+
+function getBasemapSource(id = state.basemap, forPrint = false) {
+    // Printed reports always use the light street map for 'auto'
+    const custom = state.mapLayers.find(layer => layer.id === id && layer.role === 'basemap');
+    if (custom) return custom;
+    let key = BASEMAPS[id] ? id : DEFAULT_BASEMAP;
+    if (BASEMAPS[key].light) {
+        key = !forPrint && document.body.classList.contains('dark-mode') ? BASEMAPS[key].dark : BASEMAPS[key].light;
+    }
+    return { id: key, ...BASEMAPS[key] };
+}
+
+function getSourceTileUrl(source, x, y, z) {
+    if (source.type === 'wms') {
+        // The same EPSG:3857 GetMap request L.TileLayer.WMS makes for this tile
+        const size = 2 * WEB_MERCATOR_EXTENT / 2 ** z;
+        const west = -WEB_MERCATOR_EXTENT + x * size;
+        const north = WEB_MERCATOR_EXTENT - y * size;
+        const params = new URLSearchParams({
+            service: 'WMS',
+            request: 'GetMap',
+            version: '1.1.1',
+            layers: source.layers,
+            styles: '',
+            format: 'image/png',
+            transparent: 'true',
+            srs: 'EPSG:3857',
+            width: 256,
+            height: 256,
+            bbox: [west, north - size, west + size, north].join(',')
+        });
+        return `${source.url}${source.url.includes('?') ? '&' : '?'}${params}`;
+    }
+    const subdomains = source.subdomains || 'abc';
+    return L.Util.template(source.url, {
+        s: subdomains[Math.abs(x + y) % subdomains.length],
+        x,
+        y,
+        z,
+        '-y': 2 ** z - 1 - y,
+        r: ''
+    });
+}
+
+function createTileSourceLayer(source, options = {}) {
+    const layerOptions = {
+        attribution: escapeHtml(source.attribution || ''),
+        maxZoom: MAP_MAX_ZOOM,
+        maxNativeZoom: source.maxZoom,
+        offlineSource: getOfflineSourceKey(source),
+        ...options
+    };
+    if (source.type === 'wms') {
+        return new OfflineWmsLayer(source.url, { layers: source.layers, format: 'image/png', transparent: true, ...layerOptions });
+    }
+    return new OfflineTileLayer(source.url, { subdomains: source.subdomains || 'abc', ...layerOptions });
+}
+
+function getGeoJsonOverlayStyle(opacity) {
+    return { color: LOCAL_OVERLAY_COLOR, weight: 2, opacity, fillOpacity: 0.25 * opacity };
+}
+
+function createOverlayLayer(layer, index) {
+    if (layer.type === 'geojson') {
+        return L.geoJSON(layer.data, {
+            pane: LOCAL_OVERLAY_PANE,
+            interactive: false,
+            style: () => getGeoJsonOverlayStyle(layer.opacity),
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 5, pane: LOCAL_OVERLAY_PANE, interactive: false })
+        });
+    }
+    if (layer.type === 'image') {
+        return L.imageOverlay(layer.image, layer.bounds, { pane: LOCAL_OVERLAY_PANE, opacity: layer.opacity, interactive: false });
+    }
+    // Tile overlays stack above the basemap (z-index 0) in the order they were added
+    return createTileSourceLayer(layer, { opacity: layer.opacity, zIndex: index + 1 });
+}
+
+function refreshBasemap() {
+    const source = getBasemapSource();
+    if (state.basemapLayer && state.basemapLayer.options.offlineSource === getOfflineSourceKey(source)) {
+        state.basemapLayer.setOpacity(state.basemapOpacity);
+        return;
+    }
+    if (state.basemapLayer) {
+        state.map.removeLayer(state.basemapLayer);
+    }
+    state.basemapLayer = createTileSourceLayer(source, { opacity: state.basemapOpacity, zIndex: 0 }).addTo(state.map);
+    updateOfflineControls(); // The download estimate names the basemap
+}
+
+function refreshOverlays() {
+    Object.values(state.overlayLayers).forEach(layer => state.map.removeLayer(layer));
+    state.overlayLayers = {};
+    state.mapLayers
+        .filter(layer => layer.role === 'overlay' && layer.visible)
+        .forEach((layer, index) => {
+            state.overlayLayers[layer.id] = createOverlayLayer(layer, index).addTo(state.map);
+        });
+}
+
+function setBasemap(id) {
+    state.basemap = BASEMAPS[id] || state.mapLayers.some(layer => layer.id === id && layer.role === 'basemap') ? id : DEFAULT_BASEMAP;
+    refreshBasemap();
+    updateMapLayerControls();
+    scheduleAutosave();
+}
+
+function setLayerOpacity(id, value) {
+    const opacity = Math.min(1, Math.max(0, Number(value)));
+    if (!Number.isFinite(opacity)) return;
+
+    if (id === 'basemap') {
+        state.basemapOpacity = opacity;
+        state.basemapLayer.setOpacity(opacity);
+    } else {
+        const layer = state.mapLayers.find(l => l.id === id);
+        if (!layer) return;
+        layer.opacity = opacity;
+        const overlay = state.overlayLayers[id];
+        if (overlay && layer.type === 'geojson') {
+            overlay.setStyle(getGeoJsonOverlayStyle(opacity));
+        } else if (overlay) {
+            overlay.setOpacity(opacity);
+        }
+    }
+    scheduleAutosave();
+}
+
+function setOverlayVisible(id, visible) {
+    const layer = state.mapLayers.find(l => l.id === id);
+    if (!layer) return;
+    layer.visible = visible;
+    refreshOverlays();
+    scheduleAutosave();
+}
+
+function requestRemoveMapLayer(id) {
+    const layer = state.mapLayers.find(l => l.id === id);
+    if (!layer) return;
+    showConfirmationModal(
+        `Remove ${layer.name}?`,
+        `The ${layer.role === 'basemap' ? 'basemap' : 'overlay'} is removed from this project. Downloaded offline tiles are kept.`,
+        () => {
+            state.mapLayers = state.mapLayers.filter(l => l !== layer);
+            if (state.basemap === id) {
+                state.basemap = DEFAULT_BASEMAP;
+            }
+            refreshBasemap();
+            refreshOverlays();
+            updateMapLayerControls();
+            scheduleAutosave();
+        }
+    );
+}
+
+function getNextMapLayerId() {
+    const used = state.mapLayers.map(layer => Number(layer.id.replace(/^custom-/, '')) || 0);
+    return `custom-${Math.max(0, ...used) + 1}`;
+}
+
+function validateMapLayer(raw) {
+    // Returns a clean copy of a custom layer, or throws with the reason it can't be used
+    if (!raw || typeof raw !== 'object') throw new Error('not a layer');
+    if (typeof raw.id !== 'string' || !/^[\w-]+$/.test(raw.id) || BASEMAPS[raw.id]) {
+        throw new Error(`invalid id "${raw.id}"`);
+    }
+    if (!MAP_LAYER_TYPES[raw.type]) throw new Error(`unknown layer type "${raw.type}"`);
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name) throw new Error('missing name');
+    const opacity = raw.opacity === undefined ? 1 : Number(raw.opacity);
+    if (!(opacity >= 0 && opacity <= 1)) throw new Error(`invalid opacity "${raw.opacity}"`);
+
+    const layer = { id: raw.id, name, type: raw.type, role: 'overlay', visible: raw.visible !== false, opacity };
+    if (raw.type === 'geojson') {
+        try {
+            L.geoJSON(raw.data);
+        } catch (error) {
+            throw new Error('the GeoJSON is not valid');
+        }
+        return { ...layer, data: raw.data };
+    }
+    if (raw.type === 'image') {
+        if (typeof raw.image !== 'string' || !/^data:image\/(png|jpeg);base64,/.test(raw.image)) {
+            throw new Error('the image is missing or not a PNG or JPEG');
+        }
+        // [[south, west], [north, east]]
+        const corners = Array.isArray(raw.bounds) ? raw.bounds.flat().map(Number) : [];
+        const [south, west, north, east] = corners;
+        const valid = corners.length === 4 &&
+            [south, north].every(lat => lat >= -90 && lat <= 90) && [west, east].every(lng => lng >= -180 && lng <= 180);
+        if (!valid || south >= north || west >= east) throw new Error('the image bounds are not valid');
+        return { ...layer, image: raw.image, bounds: [[south, west], [north, east]] };
+    }
+
+    // XYZ and WMS tile sources can be a basemap or an overlay
+    const url = typeof raw.url === 'string' ? raw.url.trim() : '';
+    let parsed;
+    try {
+        parsed = new URL(url.replace(/\{[^}]*\}/g, '0'));
+    } catch (error) {
+        throw new Error('the URL is not valid');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('the URL must start with http:// or https://');
+    }
+    if (raw.type === 'xyz' && !(url.includes('{z}') && url.includes('{x}') && (url.includes('{y}') || url.includes('{-y}')))) {
+        throw new Error('an XYZ URL needs {z}, {x} and {y} placeholders');
+    }
+    const layers = typeof raw.layers === 'string' ? raw.layers.trim() : '';
+    if (raw.type === 'wms' && !layers) throw new Error('a WMS source needs the names of its layers');
+    const maxZoom = raw.maxZoom === undefined || raw.maxZoom === '' ? MAP_MAX_ZOOM : Number(raw.maxZoom);
+    if (!Number.isInteger(maxZoom) || maxZoom < 1 || maxZoom > MAP_MAX_ZOOM) {
+        throw new Error(`the max zoom must be a whole number from 1 to ${MAP_MAX_ZOOM}`);
+    }
+
+    return {
+        ...layer,
+        role: raw.role === 'basemap' ? 'basemap' : 'overlay',
+        url,
+        ...(raw.type === 'wms' ? { layers } : {}),
+        ...(url.includes('{s}') ? { subdomains: typeof raw.subdomains === 'string' && raw.subdomains ? raw.subdomains : 'abc' } : {}),
+        attribution: typeof raw.attribution === 'string' ? raw.attribution.trim() : '',
+        maxZoom,
+        allowOffline: raw.allowOffline === true // The server's terms allow bulk downloads for offline use
+    };
+}
+
+function showTileSourceModal() {
+    ['tileSourceName', 'tileSourceUrl', 'tileSourceLayers', 'tileSourceAttribution', 'tileSourceMaxZoom'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('tileSourceType').value = 'xyz';
+    document.getElementById('tileSourceRole').value = 'basemap';
+    document.getElementById('tileSourceAllowOffline').checked = false;
+    updateTileSourceForm();
+    openModal(document.getElementById('tileSourceModal'));
+    document.getElementById('tileSourceName').focus();
+}
+
+function hideTileSourceModal() {
+    closeModal(document.getElementById('tileSourceModal'));
+}
+
+function updateTileSourceForm() {
+    const wms = document.getElementById('tileSourceType').value === 'wms';
+    document.getElementById('tileSourceLayersGroup').classList.toggle('hidden', !wms);
+    document.getElementById('tileSourceUrl').placeholder = wms
+        ? 'https://example.com/geoserver/wms'
+        : 'https://tiles.example.com/{z}/{x}/{y}.png';
+}
+
+function saveTileSource() {
+    const value = id => document.getElementById(id).value;
+    let layer;
+    try {
+        layer = validateMapLayer({
+            id: getNextMapLayerId(),
+            name: value('tileSourceName') || `Custom ${MAP_LAYER_TYPES[value('tileSourceType')]}`,
+            type: value('tileSourceType'),
+            role: value('tileSourceRole'),
+            url: value('tileSourceUrl'),
+            layers: value('tileSourceLayers'),
+            attribution: value('tileSourceAttribution'),
+            maxZoom: value('tileSourceMaxZoom'),
+            allowOffline: document.getElementById('tileSourceAllowOffline').checked
+        });
+    } catch (error) {
+        showNotification(`Could not add the tile source: ${error.message}.`, 'error');
+        return;
+    }
+
+    state.mapLayers.push(layer);
+    if (layer.role === 'basemap') {
+        state.basemap = layer.id;
+        refreshBasemap();
+    } else {
+        refreshOverlays();
+    }
+    updateMapLayerControls();
+    scheduleAutosave();
+    hideTileSourceModal();
+    showNotification(`Added ${layer.name} as ${layer.role === 'basemap' ? 'the basemap' : 'an overlay'}.`);
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function getImageSize(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+        image.onerror = () => reject(new Error('the image could not be read'));
+        image.src = url;
+    });
+}
+
+function calculateWorldFileBounds(text, size) {
+    // Lines: pixel width, two rotation terms, pixel height (negative), then the centre of the top-left pixel
+    const values = text.trim().split(/\s+/).map(Number);
+    if (values.length < 6 || values.slice(0, 6).some(v => !Number.isFinite(v))) {
+        throw new Error('the world file needs six numbers');
+    }
+    const [pixelWidth, rotationY, rotationX, pixelHeight, centerX, centerY] = values;
+    if (rotationX !== 0 || rotationY !== 0) throw new Error('rotated images are not supported');
+
+    const left = centerX - pixelWidth / 2;
+    const top = centerY - pixelHeight / 2;
+    const xs = [left, left + pixelWidth * size.width];
+    const ys = [top, top + pixelHeight * size.height];
+    // Coordinates beyond ±180° / ±90° are Web Mercator metres (e.g. a hillshade rendered in EPSG:3857)
+    if (xs.some(x => Math.abs(x) > 180) || ys.some(y => Math.abs(y) > 90)) {
+        const sw = L.Projection.SphericalMercator.unproject(L.point(Math.min(...xs), Math.min(...ys)));
+        const ne = L.Projection.SphericalMercator.unproject(L.point(Math.max(...xs), Math.max(...ys)));
+        return [[sw.lat, sw.lng], [ne.lat, ne.lng]];
+    }
+    return [[Math.min(...ys), Math.min(...xs)], [Math.max(...ys), Math.max(...xs)]];
+}
+
+async function importLocalOverlays(files) {
+    // Images need their world file (.pgw, .jgw or .wld) selected alongside
+    const list = [...files];
+    const isWorldFile = file => /\.(wld|pgw|pngw|jgw|jpgw)$/i.test(file.name);
+    const baseName = file => file.name.replace(/\.[^.]+$/, '').toLowerCase();
+    const added = [];
+
+    for (const file of list.filter(file => !isWorldFile(file))) {
+        try {
+            let raw;
+            if (/\.(geo)?json$/i.test(file.name)) {
+                raw = { type: 'geojson', data: JSON.parse(await file.text()) };
+            } else if (/\.(png|jpe?g)$/i.test(file.name)) {
+                const worldFile = list.find(other => isWorldFile(other) && baseName(other) === baseName(file));
+                if (!worldFile) {
+                    throw new Error(`select its world file (${baseName(file)}.pgw, .jgw or .wld) together with the image`);
+                }
+                const image = await readFileAsDataUrl(file);
+                raw = { type: 'image', image, bounds: calculateWorldFileBounds(await worldFile.text(), await getImageSize(image)) };
+            } else {
+                throw new Error('use a GeoJSON file, or a PNG or JPEG with its world file');
+            }
+            const layer = validateMapLayer({ ...raw, id: getNextMapLayerId(), name: file.name });
+            state.mapLayers.push(layer);
+            added.push(layer);
+        } catch (error) {
+            showNotification(`Could not add ${file.name}: ${error.message}.`, 'error');
+        }
+    }
+    if (added.length === 0) return;
+
+    refreshOverlays();
+    updateMapLayerControls();
+    scheduleAutosave();
+    const bounds = L.latLngBounds([]);
+    added.forEach(layer => bounds.extend(state.overlayLayers[layer.id].getBounds()));
+    if (bounds.isValid()) {
+        state.map.fitBounds(bounds, { padding: [40, 40] });
+    }
+    showNotification(`Added ${added.length} overlay(s).`);
+}
+
+function updateMapLayerControls() {
+    const select = document.getElementById('basemapSelect');
+    if (!select) return;
+    const options = [
+        ...Object.entries(BASEMAPS).map(([id, basemap]) => ({ id, name: basemap.name })),
+        ...state.mapLayers.filter(layer => layer.role === 'basemap')
+    ];
+    select.innerHTML = options.map(({ id, name }) => `
+        <option value="${escapeHtml(id)}" ${id === state.basemap ? 'selected' : ''}>${escapeHtml(name)}</option>
+    `).join('');
+    document.getElementById('basemapOpacity').value = state.basemapOpacity;
+    document.getElementById('mapLayerList').innerHTML = state.mapLayers.map(createMapLayerItem).join('');
+}
+
+function createMapLayerItem(layer) {
+    // Ids are checked against /^[\w-]+$/ by validateMapLayer, so they are safe inside the handlers
+    const tag = `${MAP_LAYER_TYPES[layer.type]}${layer.role === 'basemap' ? ' basemap' : ''}`;
+    return `
+        <div class="map-layer-item">
+            <label class="map-layer-name" title="${escapeHtml(layer.url || layer.name)}">
+                ${layer.role === 'overlay' ? `<input type="checkbox" ${layer.visible ? 'checked' : ''} onchange="setOverlayVisible('${layer.id}', this.checked)">` : ''}
+                ${escapeHtml(layer.name)} <span class="map-layer-tag">${tag}</span>
+            </label>
+            ${layer.role === 'overlay' ? `
+                <input type="range" min="0" max="1" step="0.05" value="${layer.opacity}" aria-label="Opacity of ${escapeHtml(layer.name)}"
+                       oninput="setLayerOpacity('${layer.id}', this.value)">
+            ` : ''}
+            <button class="btn btn-danger btn-small" onclick="requestRemoveMapLayer('${layer.id}')" title="Remove layer">✕</button>
+        </div>
+    `;
+}
+
+// ============================================================================
+// Offline Map Tiles
+// ============================================================================
+// Downloaded tiles are kept in IndexedDB (TILE_STORE) under "<source>/<z>/<x>/<y>"
+// and used whenever the live tile can't be fetched
+const OfflineTileMixin = {
+    options: {
+        offlineSource: null // getOfflineSourceKey() of the layer; declared so WMS doesn't send it as a parameter
+    },
+
+    createTile(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+
+        const useOfflineTile = async () => {
+            const url = await loadOfflineTileUrl(getOfflineTileKey(this.options.offlineSource, coords.z, coords.x, coords.y));
+            if (!url) {
+                done(new Error('Tile is not available offline'), tile);
+                return;
+            }
+            tile.onload = () => {
+                URL.revokeObjectURL(url);
+                done(null, tile);
+            };
+            tile.onerror = () => {
+                URL.revokeObjectURL(url);
+                done(new Error('Offline tile is unreadable'), tile);
+            };
+            tile.src = url;
+        };
+
+        if (!navigator.onLine) {
+            useOfflineTile(); // Don't wait for the network to time out
+            return tile;
+        }
+        tile.onload = () => done(null, tile);
+        tile.onerror = useOfflineTile;
+        tile.src = this.getTileUrl(coords);
+        return tile;
+    }
+};
+const OfflineTileLayer = L.TileLayer.extend(OfflineTileMixin);
+const OfflineWmsLayer = L.TileLayer.WMS.extend(OfflineTileMixin);
+
+function getOfflineSourceKey(source) {
+    // Built-in basemaps by id; custom sources by URL, so the same server shares tiles across projects
+    return BASEMAPS[source.id] ? source.id : `${source.type}:${source.url}${source.layers ? `:${source.layers}` : ''}`;
+}
+
+function getOfflineTileKey(sourceKey, z, x, y) {
+    return `${sourceKey}/${z}/${x}/${y}`;
+}
+
+async function getTileStore(mode) {
+    const db = await openProjectDatabase();
+    return db.transaction(TILE_STORE, mode).objectStore(TILE_STORE);
+}
+
+async function loadOfflineTileUrl(key) {
+    try {
+        const record = await promisifyRequest((await getTileStore('readonly')).get(key));
+        return record ? URL.createObjectURL(record.blob) : null;
+    } catch (error) {
+        return null; // Without IndexedDB there are simply no offline tiles
+    }
+}
+
+function getTileRange(bounds, zoom) {
+    const count = 2 ** zoom;
+    const clampTile = value => Math.min(count - 1, Math.max(0, Math.floor(value)));
+    const toX = lng => clampTile((lng + 180) / 360 * count);
+    const toY = lat => {
+        const phi = toRadians(Math.max(-85.0511, Math.min(85.0511, lat))); // Web Mercator limits
+        return clampTile((1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2 * count);
+    };
+    return {
+        minX: toX(bounds.getWest()),
+        maxX: toX(bounds.getEast()),
+        minY: toY(bounds.getNorth()),
+        maxY: toY(bounds.getSouth())
+    };
+}
+
+function countOfflineTiles(bounds, minZoom, maxZoom) {
+    let total = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const range = getTileRange(bounds, z);
+        total += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+    }
+    return total;
+}
+
+function* listOfflineTiles(bounds, minZoom, maxZoom) {
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const range = getTileRange(bounds, z);
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                yield { z, x, y };
+            }
+        }
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+function readOfflineZoomRange() {
+    const read = id => {
+        const value = Math.round(Number(document.getElementById(id).value));
+        return Number.isFinite(value) ? Math.min(OFFLINE_MAX_ZOOM, Math.max(0, value)) : 0;
+    };
+    const from = read('offlineMinZoom');
+    const to = read('offlineMaxZoom');
+    return { minZoom: Math.min(from, to), maxZoom: Math.max(from, to) };
+}
+
+function startOfflineAreaDrawing() {
+    state.offlineAreaDrawing = true;
+    document.getElementById('map').classList.add('drawing-area');
+    showNotification('Drag a box on the map around the area to download.');
+}
+
+function cancelOfflineAreaDrawing() {
+    state.offlineAreaDrawing = false;
+    document.getElementById('map').classList.remove('drawing-area');
+}
+
+function finishOfflineAreaDrawing(bounds) {
+    if (bounds.getNorthEast().equals(bounds.getSouthWest())) return; // A click, not a box; keep drawing
+    document.getElementById('map').classList.remove('drawing-area');
+    setOfflineArea(bounds);
+    // Keep swallowing map clicks until the click that ends this drag has been handled
+    setTimeout(() => {
+        state.offlineAreaDrawing = false;
+    });
+}
+
+function useMapViewAsOfflineArea() {
+    setOfflineArea(state.map.getBounds());
+}
+
+function setOfflineArea(bounds) {
+    if (state.offlineArea) {
+        state.map.removeLayer(state.offlineArea.rectangle);
+    }
+    bounds = state.map.wrapLatLngBounds(bounds);
+    const rectangle = L.rectangle(bounds, {
+        color: NETWORK_PATH_COLOR,
+        weight: 2,
+        dashArray: '6 6',
+        fill: false,
+        interactive: false
+    }).addTo(state.map);
+    state.offlineArea = { bounds, rectangle };
+    updateOfflineControls();
+}
+
+async function downloadOfflineTile(source, z, x, y) {
+    // Resolves to the bytes stored, or 0 if the tile was already downloaded
+    const sourceKey = getOfflineSourceKey(source);
+    const key = getOfflineTileKey(sourceKey, z, x, y);
+    if (await promisifyRequest((await getTileStore('readonly')).count(key)) > 0) {
+        return 0;
+    }
+    const response = await fetch(getSourceTileUrl(source, x, y, z));
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    const record = { key, source: sourceKey, z, x, y, blob, size: blob.size, savedAt: Date.now() };
+    await promisifyRequest((await getTileStore('readwrite')).put(record));
+    return blob.size;
+}
+
+async function downloadOfflineTiles() {
+    if (!state.offlineArea || state.offlineDownload) return;
+    const { minZoom, maxZoom } = readOfflineZoomRange();
+    const total = countOfflineTiles(state.offlineArea.bounds, minZoom, maxZoom);
+    if (total === 0 || total > OFFLINE_MAX_TILES) return;
+
+    // Tiles of the basemap on screen; overlays and local files don't need downloading
+    const source = getBasemapSource();
+    if (!source.allowOffline) return;
+    const job = { total, done: 0, saved: 0, bytes: 0, failed: 0, cancelled: false, error: null };
+    state.offlineDownload = job;
+    updateOfflineControls();
+
+    // The workers share one iterator, so each tile is fetched once
+    const tiles = listOfflineTiles(state.offlineArea.bounds, minZoom, maxZoom);
+    const worker = async () => {
+        for (let next = tiles.next(); !next.done && !job.cancelled; next = tiles.next()) {
+            const { z, x, y } = next.value;
+            try {
+                const bytes = await downloadOfflineTile(source, z, x, y);
+                if (bytes > 0) {
+                    job.saved++;
+                    job.bytes += bytes;
+                }
+            } catch (error) {
+                if (error.name === 'QuotaExceededError') {
+                    job.cancelled = true;
+                    job.error = 'the browser has no more storage for this site';
+                } else {
+                    job.failed++;
+                }
+            }
+            job.done++;
+            updateOfflineControls();
+        }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, worker));
+
+    state.offlineDownload = null;
+    const summary = `${job.saved.toLocaleString()} new tile(s), ${formatBytes(job.bytes)}`;
+    if (job.error) {
+        showNotification(`Download stopped: ${job.error}. Saved ${summary}.`, 'error');
+    } else if (job.cancelled) {
+        showNotification(`Download cancelled. Saved ${summary}.`);
+    } else if (job.failed > 0) {
+        showNotification(`${job.failed} tile(s) could not be downloaded. Saved ${summary}; download again to fetch just the missing ones.`, 'error');
+    } else {
+        showNotification(`The area is ready for offline use. Saved ${summary}.`);
+    }
+    updateOfflineControls();
+    await updateOfflineStorage();
+}
+
+function cancelOfflineDownload() {
+    if (state.offlineDownload) {
+        state.offlineDownload.cancelled = true;
+    }
+}
+
+async function requestClearOfflineTiles() {
+    const stats = state.offlineTileStats;
+    if (!stats || stats.count === 0) return;
+    const confirmed = await showConfirmationModal(
+        'Clear offline tiles?',
+        `Delete ${stats.count.toLocaleString()} downloaded tile(s) (${formatBytes(stats.bytes)})? Those areas will need a connection again.`,
+        null,
+        true
+    );
+    if (!confirmed) return;
+    try {
+        await promisifyRequest((await getTileStore('readwrite')).clear());
+        showNotification('Offline tiles cleared.');
+    } catch (error) {
+        showNotification(`Could not clear offline tiles: ${error.message}`, 'error');
+    }
+    await updateOfflineStorage();
+}
+
+async function updateOfflineStorage() {
+    const status = document.getElementById('offlineStorage');
+    try {
+        const store = await getTileStore('readonly');
+        const stats = { count: 0, bytes: 0 };
+        await new Promise((resolve, reject) => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                stats.count++;
+                stats.bytes += cursor.value.size || 0;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        state.offlineTileStats = stats;
+    } catch (error) {
+        state.offlineTileStats = null;
+        status.textContent = 'Offline tiles are unavailable in this browser.';
+        updateOfflineControls();
+        return;
+    }
+
+    const stats = state.offlineTileStats;
+    let text = stats.count > 0
+        ? `${stats.count.toLocaleString()} tile(s) stored offline, ${formatBytes(stats.bytes)}`
+        : 'No tiles downloaded yet';
+    if (navigator.storage && navigator.storage.estimate) {
+        const { quota, usage } = await navigator.storage.estimate();
+        if (quota) {
+            text += ` · ${formatBytes(quota - usage)} free`;
+        }
+    }
+    status.textContent = text;
+    updateOfflineControls();
+}
+
+function updateOfflineControls() {
+    const estimate = document.getElementById('offlineEstimate');
+    const downloadBtn = document.getElementById('downloadTilesBtn');
+    const job = state.offlineDownload;
+
+    document.getElementById('cancelDownloadBtn').classList.toggle('hidden', !job);
+    downloadBtn.classList.toggle('hidden', Boolean(job));
+    ['drawOfflineAreaBtn', 'offlineViewAreaBtn', 'offlineMinZoom', 'offlineMaxZoom', 'clearTilesBtn'].forEach(id => {
+        document.getElementById(id).disabled = Boolean(job);
+    });
+    const stats = state.offlineTileStats;
+    if (!job) {
+        document.getElementById('clearTilesBtn').disabled = !stats || stats.count === 0;
+    }
+
+    if (job) {
+        estimate.textContent = `Downloading… ${job.done.toLocaleString()} of ${job.total.toLocaleString()} tiles (${formatBytes(job.bytes)})`;
+        return;
+    }
+    if (!state.offlineArea) {
+        estimate.textContent = 'Draw an area or use the current view to see how many tiles it needs.';
+        downloadBtn.disabled = true;
+        return;
+    }
 
-        // Rotate the point
-        const rotatedX = centerPt.x + x * Math.cos(bearingRad) - y * Math.sin(bearingRad);
-        const rotatedY = centerPt.y + x * Math.sin(bearingRad) + y * Math.cos(bearingRad);
+    // The built-in providers' usage policies forbid bulk downloading, so only servers
+    // the user has marked as allowing it can be downloaded from
+    const source = getBasemapSource();
+    if (!source.allowOffline) {
+        estimate.textContent = BASEMAPS[source.id]
+            ? `${source.name} tiles can't be downloaded: the usage policies of the built-in map providers forbid bulk downloading. Add your own tile server under Map Layers and tick "Allows offline downloads".`
+            : `${source.name} isn't marked as allowing offline downloads. Add it again with "Allows offline downloads" ticked if its terms permit bulk downloading.`;
+        downloadBtn.disabled = true;
+        return;
+    }
 
-        latlngs.push(state.map.layerPointToLatLng([rotatedX, rotatedY]));
+    // Measured tile sizes beat the rough default once some tiles are stored
+    const { minZoom, maxZoom } = readOfflineZoomRange();
+    const count = countOfflineTiles(state.offlineArea.bounds, minZoom, maxZoom);
+    const tileBytes = stats && stats.count > 0 ? stats.bytes / stats.count : OFFLINE_TILE_BYTES_ESTIMATE;
+    estimate.textContent = `${count.toLocaleString()} ${source.name} tiles at zoom ${minZoom}–${maxZoom}, about ${formatBytes(count * tileBytes)}`;
+    if (count > OFFLINE_MAX_TILES) {
+        estimate.textContent += `. That is more than the ${OFFLINE_MAX_TILES.toLocaleString()} allowed per download; draw a smaller area or lower "To zoom".`;
     }
+    downloadBtn.disabled = count === 0 || count > OFFLINE_MAX_TILES;
+}
 
-    return L.polygon(latlngs, {
-        color: '#16a34a', // --success-color
-        fillColor: '#16a34a',
-        fillOpacity: 0.15,
-        weight: 2 });
+function handleConnectivityChange() {
+    if (navigator.onLine) {
+        state.basemapLayer.redraw(); // Replace offline and missing tiles with live ones
+        showNotification('Back online.');
+    } else {
+        showNotification('You are offline. The map only shows tiles downloaded for offline use.', 'error');
+    }
+}
+
+function registerServiceWorker() {
+    // Service workers need http(s); opened from disk the planner still runs, just not offline
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
 }
 
 // ============================================================================
@@ -516,23 +7438,18 @@ function showConfirmationModal(title, message, onConfirm, returnPromise = false)
     const confirmBtn = document.getElementById('confirmBtn');
     const cancelBtn = document.getElementById('cancelConfirmBtn');
 
-    modal.classList.add('show');
-
     const handleConfirm = () => {
         if (typeof onConfirm === 'function') {
             onConfirm();
         }
-        hideConfirmationModal();
         if (returnPromise) {
             state.confirmAction.resolve(true);
         }
+        hideConfirmationModal();
     };
 
     const handleCancel = () => {
-        hideConfirmationModal();
-        if (returnPromise) {
-            state.confirmAction.resolve(false);
-        }
+        hideConfirmationModal(); // Resolves a pending promise with false
     };
 
     // Use .cloneNode(true) to remove old event listeners
@@ -544,6 +7461,9 @@ function showConfirmationModal(title, message, onConfirm, returnPromise = false)
     cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
     newCancelBtn.addEventListener('click', handleCancel);
 
+    // Opened after the buttons are replaced so focus lands on the new Cancel button
+    openModal(modal);
+
     // Handle promise resolution if needed
     if (returnPromise) {
         return new Promise(resolve => {
@@ -554,23 +7474,61 @@ function showConfirmationModal(title, message, onConfirm, returnPromise = false)
 
 function hideConfirmationModal() {
     const modal = document.getElementById('confirmModal');
-    modal.classList.remove('show');
+    closeModal(modal);
+    if (state.confirmAction) {
+        state.confirmAction.resolve(false);
+    }
     state.confirmAction = null;
 }
 
+// ============================================================================
+// UI Name Modal
+// ============================================================================
+// Asks for the name of a project or tower; resolves with the trimmed name, or null on cancel
+function showNameModal(title, defaultName, placeholder = '') {
+    const modal = document.getElementById('nameModal');
+    const input = document.getElementById('nameInput');
+    document.getElementById('nameModalTitle').textContent = title;
+    input.value = defaultName;
+    input.placeholder = placeholder;
+
+    openModal(modal);
+    input.focus();
+    input.select();
+
+    return new Promise(resolve => {
+        state.nameAction = { resolve };
+    });
+}
+
+function hideNameModal(name = null) {
+    closeModal(document.getElementById('nameModal'));
+    if (state.nameAction) {
+        state.nameAction.resolve(name);
+        state.nameAction = null;
+    }
+}
+
+function submitNameModal() {
+    const name = document.getElementById('nameInput').value.trim();
+    if (!name) {
+        showNotification('Please enter a name.', 'error');
+        return;
+    }
+    hideNameModal(name);
+}
+
 // ============================================================================
 // UI Theme Management
 // ============================================================================
 function applyTheme(theme) {
-    if (theme === 'dark') {
-        document.body.classList.add('dark-mode');
-        document.documentElement.style.setProperty('--map-filter', 'brightness(0.6) invert(1) contrast(3) hue-rotate(200deg) saturate(0.3) brightness(0.7)');
-    } else {
-        document.body.classList.remove('dark-mode');
-        document.documentElement.style.setProperty('--map-filter', 'none');
-    }
+    document.body.classList.toggle('dark-mode', theme === 'dark');
     document.getElementById('themeToggle').checked = (theme === 'dark');
     localStorage.setItem('theme', theme);
+    // The 'auto' basemap switches between the street and dark tiles
+    if (state.map) {
+        refreshBasemap();
+    }
 }
 
 // ============================================================================
@@ -585,7 +7543,9 @@ function showNotification(message, type = 'info') {
         ? `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>`
         : '';
 
-    notification.innerHTML = `${icon}<span>${message}</span>`;
+    // Messages often carry tower and project names, which may come from a share link
+    notification.innerHTML = `${icon}<span></span>`;
+    notification.querySelector('span').textContent = message;
     
     container.appendChild(notification);
     
@@ -598,6 +7558,206 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+// ============================================================================
+// Sidebar List Search, Filters & Sorting
+// ============================================================================
+// Both lists show the items that pass the search and filters, in the chosen
+// order, a page at a time: more items are appended as the end of the list
+// scrolls into view, so long plans never render hundreds of rows at once.
+function matchesSearch(query, id, values) {
+    // Every word of the query must appear in one of the values; "#12" matches id 12 exactly
+    const haystack = values.join(' ').toLowerCase();
+    return query.toLowerCase().split(/[\s,;]+/).filter(Boolean).every(word =>
+        word.startsWith('#') ? word === `#${id}` : haystack.includes(word));
+}
+
+function getFrequencyBandId(frequency) {
+    const band = findChannelBand(frequency);
+    return band ? band.id : 'other';
+}
+
+function getLinkClearanceStatus(link) {
+    return link.terrain && ['clear', 'marginal', 'obstructed'].includes(link.terrain.status) ? link.terrain.status : 'unchecked';
+}
+
+function getFilteredTowers() {
+    const { query, band, sort } = state.listFilters.towers;
+    const towers = state.towers.filter(tower =>
+        matchesSearch(query, tower.id, [tower.name, tower.lat.toFixed(6), tower.lng.toFixed(6)]) &&
+        (band === 'all' || tower.radios.some(radio => getFrequencyBandId(radio.frequency) === band)));
+
+    const centre = state.map.getCenter();
+    const comparators = {
+        added: () => 0,
+        name: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }),
+        frequency: (a, b) => Math.min(...a.radios.map(r => r.frequency)) - Math.min(...b.radios.map(r => r.frequency)),
+        distance: (a, b) => calculateDistance(centre.lat, centre.lng, a.lat, a.lng) - calculateDistance(centre.lat, centre.lng, b.lat, b.lng)
+    };
+    return towers.sort(comparators[sort]);
+}
+
+function getFilteredLinks() {
+    const { query, band, status, minDistance, maxDistance, sort } = state.listFilters.links;
+    const links = state.links.filter(link =>
+        matchesSearch(query, link.id, [getLinkLabel(link)]) &&
+        (band === 'all' || getFrequencyBandId(link.frequency) === band) &&
+        (status === 'all' || getLinkClearanceStatus(link) === status) &&
+        (minDistance === null || link.distance >= minDistance) &&
+        (maxDistance === null || link.distance <= maxDistance));
+
+    const comparators = {
+        added: () => 0,
+        name: (a, b) => getLinkLabel(a).localeCompare(getLinkLabel(b), undefined, { numeric: true }),
+        distance: (a, b) => a.distance - b.distance,
+        frequency: (a, b) => a.frequency - b.frequency,
+        margin: (a, b) => calculateLinkBudget(a).worstMargin - calculateLinkBudget(b).worstMargin
+    };
+    return links.sort(comparators[sort]);
+}
+
+function readListFilters(list) {
+    const number = id => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value : null;
+    };
+    if (list === 'towers') {
+        state.listFilters.towers = {
+            query: document.getElementById('towerSearch').value.trim(),
+            band: document.getElementById('towerBandFilter').value,
+            sort: document.getElementById('towerSort').value
+        };
+    } else {
+        state.listFilters.links = {
+            query: document.getElementById('linkSearch').value.trim(),
+            band: document.getElementById('linkBandFilter').value,
+            status: document.getElementById('linkStatusFilter').value,
+            minDistance: number('linkMinDistance'),
+            maxDistance: number('linkMaxDistance'),
+            sort: document.getElementById('linkSort').value
+        };
+    }
+    // A new search starts again from the first page
+    state.listLimits[list] = LIST_PAGE_SIZE;
+    if (list === 'towers') {
+        updateTowerList();
+    } else {
+        updateLinkList();
+    }
+}
+
+function populateBandFilters() {
+    const options = `<option value="all">All bands</option>${CHANNEL_BANDS.map(band => `<option value="${band.id}">${band.name}</option>`).join('')}<option value="other">Other frequencies</option>`;
+    document.getElementById('towerBandFilter').innerHTML = options;
+    document.getElementById('linkBandFilter').innerHTML = options;
+}
+
+function updateListStatus(list, shown, matching) {
+    const status = document.getElementById(list === 'towers' ? 'towerListStatus' : 'linkListStatus');
+    const total = list === 'towers' ? state.towers.length : state.links.length;
+    const noun = list === 'towers' ? 'tower' : 'link';
+    if (total === 0) {
+        status.innerHTML = '';
+        return;
+    }
+
+    status.innerHTML = `
+        <span>${matching === total ? `${total} ${noun}(s)` : `${matching} of ${total} ${noun}(s) match`}</span>
+        ${matching > 0 ? `<button class="btn-link" onclick="selectMatchingItems('${list}')">Select ${matching === total ? 'all' : 'these'}</button>` : ''}
+    `;
+
+    // The "more" row both loads the next page when clicked and when it scrolls into view
+    const container = document.getElementById(list === 'towers' ? 'towerList' : 'linkList');
+    if (shown < matching) {
+        container.insertAdjacentHTML('beforeend', `
+            <button class="btn btn-secondary btn-small list-more" onclick="showMoreListItems('${list}')">
+                Show ${Math.min(LIST_PAGE_SIZE, matching - shown)} more of ${matching - shown}
+            </button>
+        `);
+        observeListMore(list, container.querySelector('.list-more'));
+    }
+}
+
+function observeListMore(list, button) {
+    if (typeof IntersectionObserver === 'undefined') return;
+    if (!state.listObservers[list]) {
+        state.listObservers[list] = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) showMoreListItems(list);
+        }, { root: document.querySelector('.sidebar'), rootMargin: '200px' });
+    }
+    state.listObservers[list].disconnect(); // The previous button is gone with the old list
+    state.listObservers[list].observe(button);
+}
+
+function showMoreListItems(list) {
+    // Append the next page instead of re-rendering what is already there
+    const container = document.getElementById(list === 'towers' ? 'towerList' : 'linkList');
+    const items = list === 'towers' ? getFilteredTowers() : getFilteredLinks();
+    const from = state.listLimits[list];
+    state.listLimits[list] += LIST_PAGE_SIZE;
+    const page = items.slice(from, state.listLimits[list]);
+
+    const more = container.querySelector('.list-more');
+    if (more) more.remove();
+    container.insertAdjacentHTML('beforeend', page.map(list === 'towers' ? createTowerItem : createLinkItem).join(''));
+    updateListStatus(list, Math.min(state.listLimits[list], items.length), items.length);
+}
+
+function selectMatchingItems(list) {
+    if (list === 'towers') {
+        getFilteredTowers().forEach(tower => state.bulkSelection.towers.add(tower.id));
+        updateTowerList();
+    } else {
+        getFilteredLinks().forEach(link => state.bulkSelection.links.add(link.id));
+        updateLinkList();
+    }
+    updateBulkSelectionView();
+}
+
+function handleListItemClick(event, list, id) {
+    // Clicks on the item's own inputs and buttons do their own thing
+    if (event.target.closest('input, select, button, label')) return;
+    activateListItem(list, id);
+}
+
+function handleListItemKeydown(event, list, id) {
+    // Enter or Space on the item itself; its inputs and buttons handle their own keys
+    if (event.target !== event.currentTarget || (event.key !== 'Enter' && event.key !== ' ')) return;
+    event.preventDefault();
+    activateListItem(list, id);
+
+    // Picking a tower for a link re-renders the list, so focus the new copy of the item
+    if (!getOpenModal()) {
+        const item = document.querySelector(`#${list === 'towers' ? 'towerList' : 'linkList'} [data-id="${id}"]`);
+        if (item) item.focus();
+    }
+}
+
+function activateListItem(list, id) {
+    // In Add Link mode a tower in the list is picked just like its marker
+    const tower = list === 'towers' && state.mode === 'addLink' ? state.towers.find(t => t.id === id) : null;
+    if (tower) {
+        handleTowerClickForLink(tower);
+    } else if (list === 'towers') {
+        focusTower(id);
+    } else {
+        focusLink(id);
+    }
+}
+
+function focusTower(towerId) {
+    const tower = state.towers.find(t => t.id === towerId);
+    if (!tower) return;
+    state.map.setView([tower.lat, tower.lng], Math.max(state.map.getZoom(), FOCUS_ZOOM));
+    tower.marker.openPopup();
+}
+
+function focusLink(linkId) {
+    const link = state.links.find(l => l.id === linkId);
+    if (!link) return;
+    state.map.fitBounds(link.polyline.getBounds(), { padding: [40, 40], maxZoom: FOCUS_ZOOM });
+    showFresnelZone(link);
+}
+
 // ============================================================================
 // UI Update Functions
 // ============================================================================
@@ -611,41 +7771,134 @@ function updateTowerList() {
                 <p>Your map is empty. Click on the map in "Add Tower" mode to place your first tower.</p>
             </div>
         `;
+        updateListStatus('towers', 0, 0);
         return;
     }
     
-    towerList.innerHTML = state.towers.map(tower => {
-        const isSelected = state.selectedTowers.some(t => t.id === tower.id);
-        return `
-            <div class="tower-item list-item-enter ${isSelected ? 'selected' : ''}" data-id="${tower.id}">
-                <div class="tower-header">
-                    <span class="tower-name">🗼 ${tower.name}</span>
-                    <div class="tower-controls">
-                        <button class="btn btn-danger btn-small" onclick="requestDeleteTower(${tower.id})" title="Delete Tower">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line>
-                            </svg>
-                        </button>
-                    </div>
+    const towers = getFilteredTowers();
+    const shown = towers.slice(0, state.listLimits.towers);
+    towerList.innerHTML = towers.length > 0
+        ? shown.map(createTowerItem).join('')
+        : '<p class="empty-state">No towers match the search and filters.</p>';
+    updateListStatus('towers', shown.length, towers.length);
+}
+
+function createTowerItem(tower) {
+    const isSelected = state.selectedTowers.some(t => t.id === tower.id);
+    return `
+        <div class="tower-item list-item-enter ${isSelected ? 'selected' : ''}" data-id="${tower.id}" tabindex="0" role="group"
+             aria-label="${escapeHtml(tower.name)}" aria-describedby="towerItemHint" ${isSelected ? 'aria-current="true"' : ''}
+             onclick="handleListItemClick(event, 'towers', ${tower.id})" onkeydown="handleListItemKeydown(event, 'towers', ${tower.id})">
+            <div class="tower-header">
+                <div class="item-title">
+                    <input type="checkbox" class="select-checkbox" ${state.bulkSelection.towers.has(tower.id) ? 'checked' : ''} onchange="setTowerChecked(${tower.id}, this.checked)" aria-label="Select ${escapeHtml(tower.name)}">
+                    <span class="tower-name">🗼 ${escapeHtml(tower.name)}</span>
+                </div>
+                <div class="tower-controls">
+                    <button class="btn btn-secondary btn-small" onclick="requestRenameTower(${tower.id})" title="Rename Tower" ${getEditLockAttribute()}>
+                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4Z"/></svg>
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="requestDeleteTower(${tower.id})" title="Delete Tower" ${getEditLockAttribute()}>
+                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line>
+                        </svg>
+                    </button>
                 </div>
-                <div class="tower-details">
-                    <div class="tower-detail">
-                        <label>Frequency:</label>
-                        <input 
-                            type="number" 
-                            step="0.1" 
-                            min="0.1" 
-                            value="${tower.frequency}" 
-                            onchange="updateTowerFrequency(${tower.id}, this.value)"
-                        /> GHz
-                    </div>
-                    <div class="tower-location">
-                        📍 ${tower.lat.toFixed(4)}, ${tower.lng.toFixed(4)}
-                    </div>
+            </div>
+            <div class="tower-details">
+                ${createTowerPropertyInput(tower, 'groundElevation', 'Ground:')}
+                <div class="tower-detail tower-location">
+                    <label>📍</label>
+                    <input 
+                        type="number" 
+                        step="0.0001" 
+                        min="-90" 
+                        max="90" 
+                        value="${Number(tower.lat.toFixed(6))}" 
+                        title="Latitude" 
+                        aria-label="Latitude of ${escapeHtml(tower.name)}" 
+                        onchange="updateTowerCoordinate(${tower.id}, 'lat', this.value)"
+                        ${getEditLockAttribute()}
+                    />
+                    <input 
+                        type="number" 
+                        step="0.0001" 
+                        min="-180" 
+                        max="180" 
+                        value="${Number(tower.lng.toFixed(6))}" 
+                        title="Longitude" 
+                        aria-label="Longitude of ${escapeHtml(tower.name)}" 
+                        onchange="updateTowerCoordinate(${tower.id}, 'lng', this.value)"
+                        ${getEditLockAttribute()}
+                    />
                 </div>
+                ${tower.radios.map(radio => createRadioItem(tower, radio)).join('')}
+                <button class="btn btn-secondary btn-small add-radio-btn" onclick="addRadioToTower(${tower.id})" ${getEditLockAttribute()}>＋ Add radio</button>
             </div>
-        `;
-    }).join('');
+        </div>
+    `;
+}
+
+function createRadioItem(tower, radio) {
+    const band = findChannelBand(radio.frequency, radio.channelWidth);
+    return `
+        <div class="radio-item">
+            <div class="radio-header">
+                <span class="radio-name">📻 ${escapeHtml(radio.name)}</span>
+                ${tower.radios.length > 1 ? `
+                    <button class="btn btn-danger btn-small" onclick="requestRemoveRadio(${tower.id}, ${radio.id})" title="Remove Radio" ${getEditLockAttribute()}>✕</button>
+                ` : ''}
+            </div>
+            <div class="tower-detail">
+                <label>Frequency:</label>
+                <input 
+                    type="number" 
+                    step="0.1" 
+                    min="0.1" 
+                    value="${radio.frequency}" 
+                    onchange="updateRadioFrequency(${tower.id}, ${radio.id}, this.value)"
+                    ${getEditLockAttribute()}
+                /> GHz
+            </div>
+            ${createRadioPropertyInput(tower, radio, 'channelWidth', 'Width:')}
+            <div class="band-tag ${band ? '' : 'out-of-band'}">${band ? escapeHtml(band.name) : 'Outside the channel plan'}</div>
+            ${createRadioPropertyInput(tower, radio, 'antennaHeight', 'Antenna:')}
+            ${createRadioPropertyInput(tower, radio, 'azimuth', 'Azimuth:')}
+            <details class="tower-radio">
+                <summary>Radio settings</summary>
+                ${createRadioPropertyInput(tower, radio, 'txPower', 'TX power:')}
+                ${createRadioPropertyInput(tower, radio, 'antennaGain', 'Gain:')}
+                ${createRadioPropertyInput(tower, radio, 'cableLoss', 'Cable loss:')}
+                ${createRadioPropertyInput(tower, radio, 'rxSensitivity', 'RX sens.:')}
+            </details>
+        </div>
+    `;
+}
+
+function createTowerPropertyInput(tower, field, label) {
+    return createPropertyInput(TOWER_PROPERTIES[field], tower[field], label, `updateTowerProperty(${tower.id}, '${field}', this.value)`);
+}
+
+function createRadioPropertyInput(tower, radio, field, label) {
+    return createPropertyInput(RADIO_PROPERTIES[field], radio[field], label, `updateRadioProperty(${tower.id}, ${radio.id}, '${field}', this.value)`);
+}
+
+function createPropertyInput(spec, value, label, onchange) {
+    return `
+        <div class="tower-detail">
+            <label>${label}</label>
+            <input 
+                type="number" 
+                step="${spec.step}" 
+                ${spec.min !== undefined ? `min="${spec.min}"` : ''}
+                ${spec.max !== undefined ? `max="${spec.max}"` : ''}
+                ${spec.optional ? 'placeholder="auto"' : ''}
+                value="${value !== null ? value : ''}" 
+                onchange="${onchange}"
+                ${getEditLockAttribute()}
+            /> ${spec.unit}
+        </div>
+    `;
 }
 
 function updateLinkList() {
@@ -658,55 +7911,234 @@ function updateLinkList() {
                 <p>No links created yet. Switch to "Add Link" mode and click two towers to connect them.</p>
             </div>
         `;
+        updateListStatus('links', 0, 0);
         return;
     }
     
-    linkList.innerHTML = state.links.map(link => {
-        const isActive = state.activeLinkForFresnel === link.id;
-        return `
-            <div class="link-item list-item-enter ${isActive ? 'fresnel-active' : ''}" data-id="${link.id}"
-                 onclick="showFresnelZone(state.links.find(l => l.id === ${link.id}))">
-                <div class="link-header">
+    const links = getFilteredLinks();
+    const shown = links.slice(0, state.listLimits.links);
+    linkList.innerHTML = links.length > 0
+        ? shown.map(createLinkItem).join('')
+        : '<p class="empty-state">No links match the search and filters.</p>';
+    updateListStatus('links', shown.length, links.length);
+}
+
+function createLinkItem(link) {
+    const isActive = state.activeLinkForFresnel === link.id;
+    const budget = calculateLinkBudget(link);
+    return `
+        <div class="link-item list-item-enter ${isActive ? 'fresnel-active' : ''}" data-id="${link.id}" tabindex="0" role="group"
+             aria-label="Link ${link.id}: ${escapeHtml(getLinkLabel(link))}" aria-describedby="linkItemHint" ${isActive ? 'aria-current="true"' : ''}
+             onclick="handleListItemClick(event, 'links', ${link.id})" onkeydown="handleListItemKeydown(event, 'links', ${link.id})">
+            <div class="link-header">
+                <div class="item-title">
+                    <input type="checkbox" class="select-checkbox" ${state.bulkSelection.links.has(link.id) ? 'checked' : ''} onchange="setLinkChecked(${link.id}, this.checked)" aria-label="Select link ${link.id}">
                     <span class="link-name">🔗 Link ${link.id}</span>
-                    <button class="btn btn-danger btn-small" onclick="event.stopPropagation(); deleteLink(${link.id}, false)" title="Delete Link">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                        </svg>
-                    </button>
-                </div>
-                <div class="link-details">
-                    <div>${link.tower1.name} ↔ ${link.tower2.name}</div>
-                    <div>📏 Distance: ${link.distance.toFixed(2)} km</div>
-                    <div>📡 Frequency: ${link.frequency} GHz</div>
-                    ${isActive ? '<div style="color: #22c55e; font-weight: 600;">✓ Fresnel Zone Active</div>' : ''}
                 </div>
+                <button class="btn btn-danger btn-small" onclick="event.stopPropagation(); deleteLink(${link.id}, false)" title="Delete Link" ${getEditLockAttribute()}>
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    </svg>
+                </button>
             </div>
-        `;
-    }).join('');
+            <div class="link-details">
+                <div>${escapeHtml(getLinkLabel(link))}</div>
+                <div>📏 Distance: ${link.distance.toFixed(2)} km</div>
+                <div>📡 Frequency: ${link.frequency} GHz</div>
+                <div class="margin-${getMarginQuality(budget.worstMargin)}">📶 Fade margin: ${budget.worstMargin.toFixed(1)} dB</div>
+                ${link.terrain ? `<div class="terrain-status ${link.terrain.status}">⛰️ ${getTerrainStatusLabel(link.terrain)}</div>` : ''}
+                ${isActive ? '<div style="color: #22c55e; font-weight: 600;">✓ Fresnel Zone Active</div>' : ''}
+            </div>
+        </div>
+    `;
 }
 
 function setMode(mode) {
+    const modes = {
+        addTower: { button: 'addTowerBtn', label: 'Add Tower' },
+        addLink: { button: 'addLinkBtn', label: 'Add Link' },
+        suggestLinks: { button: 'suggestLinksBtn', label: 'Suggest Links' }
+    };
+    const leaving = state.mode;
     state.mode = mode;
     
     // Clear selections when switching modes
     clearTowerSelection();
     
     // Update UI
-    const addTowerBtn = document.getElementById('addTowerBtn');
-    const addLinkBtn = document.getElementById('addLinkBtn');
-    const modeIndicator = document.getElementById('modeIndicator');
-    
-    if (mode === 'addTower') {
-        addTowerBtn.classList.add('active');
-        addLinkBtn.classList.remove('active');
-        modeIndicator.textContent = 'Mode: Add Tower';
+    Object.entries(modes).forEach(([name, { button }]) => {
+        const element = document.getElementById(button);
+        element.classList.toggle('active', name === mode);
+        element.setAttribute('aria-pressed', String(name === mode));
+    });
+    document.getElementById('modeIndicator').textContent = `Mode: ${modes[mode].label}`;
+    document.getElementById('suggestPanel').classList.toggle('hidden', mode !== 'suggestLinks');
+    
+    if (mode === 'suggestLinks' && leaving !== 'suggestLinks') {
+        runLinkSuggestions();
+    } else if (mode !== 'suggestLinks') {
+        cancelLinkSuggestions();
+    }
+}
+
+// ============================================================================
+// Keyboard Shortcuts & Modal Focus
+// ============================================================================
+// Single-key shortcuts (KEYBOARD_SHORTCUTS) work while no dialog is open and
+// focus is outside text fields. An open dialog keeps Tab inside itself, closes
+// on Esc and hands focus back to whatever had it before.
+function openModal(modal) {
+    if (!modal.classList.contains('show')) {
+        state.modalReturnFocus[modal.id] = document.activeElement;
+    }
+    modal.classList.add('show');
+    if (!modal.contains(document.activeElement)) {
+        const [first] = getFocusableElements(modal);
+        if (first) first.focus();
+    }
+}
+
+function closeModal(modal) {
+    if (!modal.classList.contains('show')) return;
+    const hadFocus = modal.contains(document.activeElement);
+    modal.classList.remove('show');
+
+    // Leave focus alone if it has already moved on, e.g. into the next dialog
+    const returnFocus = state.modalReturnFocus[modal.id];
+    delete state.modalReturnFocus[modal.id];
+    const active = document.activeElement;
+    if (returnFocus && returnFocus.isConnected && (hadFocus || !active || active === document.body)) {
+        returnFocus.focus();
+    }
+}
+
+function getOpenModal() {
+    // Dialogs opened over others (radio picker, confirmation) come later in the page
+    const open = document.querySelectorAll('.modal.show');
+    return open.length > 0 ? open[open.length - 1] : null;
+}
+
+function getFocusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => !element.closest('.hidden'));
+}
+
+function trapModalFocus(e, modal) {
+    const focusable = getFocusableElements(modal);
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || !modal.contains(active))) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (active === last || !modal.contains(active))) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+function isTextEntry(target) {
+    // Checkboxes and buttons don't take typed keys, so shortcuts still work after ticking an item
+    if (target.tagName === 'INPUT') {
+        return !NON_TEXT_INPUT_TYPES.includes(target.type);
+    }
+    return target.isContentEditable || ['TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+function handleKeyboardShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const modal = getOpenModal();
+    if (modal) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            MODAL_CLOSERS[modal.id]();
+        } else if (e.key === 'Tab') {
+            trapModalFocus(e, modal);
+        }
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        cancelCurrentAction();
+        return;
+    }
+    if (isTextEntry(e.target)) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const modeButton = { t: 'addTowerBtn', l: 'addLinkBtn' }[key];
+    if (modeButton) {
+        const button = document.getElementById(modeButton);
+        if (!button.disabled) button.click(); // Disabled while reviewing a shared plan
+    } else if (key === 'Delete') {
+        e.preventDefault();
+        deleteSelection();
+    } else if (key === '?') {
+        showShortcutModal();
+    }
+}
+
+function cancelCurrentAction() {
+    // Esc backs out of one thing at a time
+    if (state.offlineAreaDrawing) {
+        cancelOfflineAreaDrawing();
+    } else if (state.selectedTowers.length > 0) {
+        clearTowerSelection();
+    } else if (state.bulkSelection.towers.size > 0 || state.bulkSelection.links.size > 0) {
+        clearBulkSelection();
+    } else if (state.activeLinkForFresnel !== null) {
+        deactivateActiveFresnelZone();
+    } else {
+        state.map.closePopup();
+    }
+}
+
+function getFocusedItem() {
+    // A list item or tower marker with keyboard focus
+    const active = document.activeElement;
+    const item = active && active.closest ? active.closest('.tower-item, .link-item') : null;
+    if (item) {
+        return { list: item.classList.contains('tower-item') ? 'towers' : 'links', id: Number(item.dataset.id) };
+    }
+    const tower = state.towers.find(t => t.marker.getElement() === active);
+    return tower ? { list: 'towers', id: tower.id } : null;
+}
+
+function deleteSelection() {
+    if (state.review) return;
+    // Ticked items first, then the focused item, then the tower picked for linking or the active link
+    const { towers, links } = getBulkSelection();
+    if (towers.length > 0 || links.length > 0) {
+        requestBulkDelete();
+        return;
+    }
+    let target = getFocusedItem();
+    if (!target && state.selectedTowers.length === 1) {
+        target = { list: 'towers', id: state.selectedTowers[0].id };
+    }
+    if (!target && state.activeLinkForFresnel !== null) {
+        target = { list: 'links', id: state.activeLinkForFresnel };
+    }
+    if (!target) return;
+    if (target.list === 'towers') {
+        requestDeleteTower(target.id);
     } else {
-        addTowerBtn.classList.remove('active');
-        addLinkBtn.classList.add('active');
-        modeIndicator.textContent = 'Mode: Add Link';
+        deleteLink(target.id);
     }
 }
 
+function showShortcutModal() {
+    document.getElementById('shortcutList').innerHTML = KEYBOARD_SHORTCUTS.map(({ keys, action }) => `
+        <dt>${keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' + ')}</dt>
+        <dd>${escapeHtml(action)}</dd>
+    `).join('');
+    openModal(document.getElementById('shortcutModal'));
+}
+
+function hideShortcutModal() {
+    closeModal(document.getElementById('shortcutModal'));
+}
+
 // ============================================================================
 // Event Listeners Setup
 // ============================================================================
@@ -714,6 +8146,20 @@ function setupEventListeners() {
     // Mode buttons
     document.getElementById('addTowerBtn').addEventListener('click', () => setMode('addTower'));
     document.getElementById('addLinkBtn').addEventListener('click', () => setMode('addLink'));
+    document.getElementById('suggestLinksBtn').addEventListener('click', () => setMode('suggestLinks'));
+    document.getElementById('runSuggestBtn').addEventListener('click', runLinkSuggestions);
+    document.getElementById('acceptSuggestBtn').addEventListener('click', acceptLinkSuggestions);
+    document.getElementById('showRejected').addEventListener('change', renderLinkSuggestions);
+
+    // Undo / redo
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    // Keyboard shortcuts and modal focus
+    document.addEventListener('keydown', handleKeyboardShortcut);
+    document.getElementById('shortcutHelpBtn').addEventListener('click', showShortcutModal);
+    document.getElementById('closeShortcutBtn').addEventListener('click', hideShortcutModal);
     
     // Tower modal
     document.getElementById('saveTowerBtn').addEventListener('click', saveTower);
@@ -722,35 +8168,211 @@ function setupEventListeners() {
     // Link modal
     document.getElementById('closeLinkBtn').addEventListener('click', hideLinkModal);
 
-    // Theme toggle
-    const themeToggle = document.getElementById('themeToggle');
-    themeToggle.addEventListener('change', () => applyTheme(themeToggle.checked ? 'dark' : 'light'));
-    
-    // Close modals on outside click
-    document.getElementById('towerModal').addEventListener('click', function(e) {
-        if (e.target === this) {
-            hideTowerModal();
+    // Project import/export
+    const importInput = document.getElementById('importProjectInput');
+    document.getElementById('exportProjectBtn').addEventListener('click', exportProject);
+    document.getElementById('shareLinkBtn').addEventListener('click', copyShareLink);
+    document.getElementById('closeShareBtn').addEventListener('click', hideShareModal);
+    document.getElementById('makeEditableBtn').addEventListener('click', makeEditableCopy);
+    document.getElementById('closeReviewBtn').addEventListener('click', closeReview);
+    window.addEventListener('hashchange', handleShareHashChange);
+
+    // Map layers
+    const overlayInput = document.getElementById('localOverlayInput');
+    document.getElementById('basemapSelect').addEventListener('change', e => setBasemap(e.target.value));
+    document.getElementById('basemapOpacity').addEventListener('input', e => setLayerOpacity('basemap', e.target.value));
+    document.getElementById('addTileSourceBtn').addEventListener('click', showTileSourceModal);
+    document.getElementById('addLocalOverlayBtn').addEventListener('click', () => overlayInput.click());
+    overlayInput.addEventListener('change', () => {
+        if (overlayInput.files.length > 0) {
+            importLocalOverlays([...overlayInput.files]);
         }
+        overlayInput.value = ''; // Allow re-importing the same files
     });
-    
-    document.getElementById('linkModal').addEventListener('click', function(e) {
-        if (e.target === this) {
-            hideLinkModal();
+    document.getElementById('tileSourceType').addEventListener('change', updateTileSourceForm);
+    document.getElementById('saveTileSourceBtn').addEventListener('click', saveTileSource);
+    document.getElementById('cancelTileSourceBtn').addEventListener('click', hideTileSourceModal);
+
+    // Offline map
+    document.getElementById('drawOfflineAreaBtn').addEventListener('click', startOfflineAreaDrawing);
+    document.getElementById('offlineViewAreaBtn').addEventListener('click', useMapViewAsOfflineArea);
+    document.getElementById('offlineMinZoom').addEventListener('input', updateOfflineControls);
+    document.getElementById('offlineMaxZoom').addEventListener('input', updateOfflineControls);
+    document.getElementById('downloadTilesBtn').addEventListener('click', downloadOfflineTiles);
+    document.getElementById('cancelDownloadBtn').addEventListener('click', cancelOfflineDownload);
+    document.getElementById('clearTilesBtn').addEventListener('click', requestClearOfflineTiles);
+    window.addEventListener('online', handleConnectivityChange);
+    window.addEventListener('offline', handleConnectivityChange);
+    document.getElementById('importProjectBtn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files.length > 0) {
+            importProjectFile(importInput.files[0]);
         }
+        importInput.value = ''; // Allow re-importing the same file
     });
 
-    document.getElementById('confirmModal').addEventListener('click', function(e) {
-        if (e.target === this) {
-            hideConfirmationModal();
+    // GIS exchange
+    const gisInput = document.getElementById('importGisInput');
+    document.getElementById('exportGisBtn').addEventListener('click', () => exportGis(document.getElementById('gisFormat').value));
+    document.getElementById('importGisBtn').addEventListener('click', () => gisInput.click());
+    gisInput.addEventListener('change', () => {
+        if (gisInput.files.length > 0) {
+            importGisFile(gisInput.files[0]);
         }
+        gisInput.value = '';
     });
-    
-    // Enter key on tower modal
-    document.getElementById('towerFrequency').addEventListener('keypress', function(e) {
+    ['gisNameField', 'gisFrequencyField', 'gisFrequencyUnit', 'gisHeightField'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateGisImportMapping);
+    });
+    document.getElementById('confirmGisImportBtn').addEventListener('click', confirmGisImport);
+    document.getElementById('cancelGisImportBtn').addEventListener('click', hideGisImportModal);
+
+    // Reports
+    document.getElementById('reportPdfBtn').addEventListener('click', exportReportPdf);
+    document.getElementById('reportPngBtn').addEventListener('click', exportReportPngs);
+    document.getElementById('linkPngBtn').addEventListener('click', () => exportLinkPng(state.linkModalLinkId));
+
+    // CSV site import
+    const csvInput = document.getElementById('importCsvInput');
+    document.getElementById('importCsvBtn').addEventListener('click', () => csvInput.click());
+    csvInput.addEventListener('change', () => {
+        if (csvInput.files.length > 0) {
+            importCsvFile(csvInput.files[0]);
+        }
+        csvInput.value = '';
+    });
+    ['csvNameColumn', 'csvLatColumn', 'csvLngColumn', 'csvFrequencyColumn', 'csvFrequencyUnit', 'csvHeightColumn'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateCsvImportMapping);
+    });
+    document.getElementById('confirmCsvImportBtn').addEventListener('click', confirmCsvImport);
+    document.getElementById('cancelCsvImportBtn').addEventListener('click', hideCsvImportModal);
+    document.getElementById('closeImportBtn').addEventListener('click', hideImportModal);
+
+    // Channel plan
+    const channelSelect = document.getElementById('towerChannel');
+    channelSelect.addEventListener('change', () => applyChannelSelection(channelSelect.value));
+    document.getElementById('towerFrequency').addEventListener('input', syncChannelSelect);
+    document.getElementById('towerChannelWidth').addEventListener('input', syncChannelSelect);
+    document.getElementById('channelTolerance').addEventListener('change', e => setChannelTolerance(parseFloat(e.target.value)));
+
+    // List search, filters and sorting
+    ['towerSearch', 'towerBandFilter', 'towerSort'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => readListFilters('towers'));
+    });
+    ['linkSearch', 'linkBandFilter', 'linkStatusFilter', 'linkMinDistance', 'linkMaxDistance', 'linkSort'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => readListFilters('links'));
+    });
+
+    // Bulk editing
+    document.getElementById('bulkFrequencyBtn').addEventListener('click', applyBulkFrequency);
+    document.getElementById('bulkAntennaHeightBtn').addEventListener('click', applyBulkAntennaHeight);
+    document.getElementById('bulkDeleteBtn').addEventListener('click', requestBulkDelete);
+    document.getElementById('bulkExportBtn').addEventListener('click', exportSelection);
+    document.getElementById('bulkClearBtn').addEventListener('click', clearBulkSelection);
+
+    // Network topology
+    document.getElementById('findPathBtn').addEventListener('click', findPath);
+    document.getElementById('clearPathBtn').addEventListener('click', clearPath);
+    document.getElementById('showTopology').addEventListener('change', e => setShowTopology(e.target.checked));
+    document.getElementById('networkReportBtn').addEventListener('click', showNetworkReport);
+    document.getElementById('closeNetworkBtn').addEventListener('click', hideNetworkModal);
+
+    // Coverage
+    document.getElementById('runCoverageBtn').addEventListener('click', runCoverage);
+    document.getElementById('clearCoverageBtn').addEventListener('click', cancelCoverage);
+    document.getElementById('coverageThreshold').addEventListener('input', renderCoverageOverlay);
+
+    // Antenna alignment
+    document.getElementById('declinationMode').addEventListener('change', e => setDeclinationMode(e.target.value));
+    document.getElementById('declinationInput').addEventListener('change', e => setManualDeclination(e.target.value));
+    document.getElementById('alignmentSheetBtn').addEventListener('click', showAlignmentSheet);
+    document.getElementById('exportAlignmentBtn').addEventListener('click', exportAlignmentCsv);
+    document.getElementById('closeAlignmentBtn').addEventListener('click', hideAlignmentModal);
+    document.getElementById('interferenceReportBtn').addEventListener('click', showInterferenceReport);
+    document.getElementById('closeInterferenceBtn').addEventListener('click', hideInterferenceModal);
+    document.getElementById('cancelRadioPickerBtn').addEventListener('click', () => hideRadioPicker());
+
+    // Fresnel zone toggles
+    document.querySelectorAll('#fresnelZoneToggles input[type="checkbox"]').forEach(input => {
+        input.addEventListener('change', () => toggleFresnelZoneVisibility(Number(input.value), input.checked));
+    });
+
+    // Terrain
+    const demInput = document.getElementById('demFileInput');
+    document.getElementById('elevationSource').addEventListener('change', e => setElevationSource(e.target.value));
+    document.getElementById('kFactorSelect').addEventListener('change', e => {
+        if (e.target.value === 'custom') {
+            document.getElementById('kFactorCustom').classList.remove('hidden');
+            document.getElementById('kFactorCustom').focus();
+        } else {
+            setKFactor(Number(e.target.value));
+        }
+    });
+    document.getElementById('kFactorCustom').addEventListener('change', e => setKFactor(parseFloat(e.target.value)));
+    document.getElementById('loadDemBtn').addEventListener('click', () => demInput.click());
+
+    // Rain fade
+    document.getElementById('rainRegion').addEventListener('change', e => {
+        if (e.target.value === 'custom') {
+            // Start from the region's rate so the selection and the plan agree until a value is typed
+            setCustomRainRate(getRainRate());
+            document.getElementById('rainRateCustom').focus();
+        } else {
+            setRainRegion(e.target.value);
+        }
+    });
+    document.getElementById('rainRateCustom').addEventListener('change', e => setCustomRainRate(e.target.value));
+    demInput.addEventListener('change', () => {
+        if (demInput.files.length > 0) {
+            loadDemFiles([...demInput.files]);
+        }
+        demInput.value = '';
+    });
+
+    // Saved projects
+    const projectSelect = document.getElementById('projectSelect');
+    projectSelect.addEventListener('change', () => switchProject(projectSelect.value));
+    document.getElementById('newProjectBtn').addEventListener('click', requestNewProject);
+    document.getElementById('renameProjectBtn').addEventListener('click', requestRenameProject);
+    document.getElementById('duplicateProjectBtn').addEventListener('click', requestDuplicateProject);
+    document.getElementById('deleteProjectBtn').addEventListener('click', requestDeleteProject);
+    document.getElementById('saveNameBtn').addEventListener('click', submitNameModal);
+    document.getElementById('cancelNameBtn').addEventListener('click', () => hideNameModal());
+    document.getElementById('nameInput').addEventListener('keypress', function(e) {
         if (e.key === 'Enter') {
-            saveTower();
+            submitNameModal();
+        }
+    });
+
+    // Flush pending autosave when the page is hidden or closed
+    window.addEventListener('pagehide', saveActiveProject);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            saveActiveProject();
         }
     });
+
+    // Theme toggle
+    const themeToggle = document.getElementById('themeToggle');
+    themeToggle.addEventListener('change', () => applyTheme(themeToggle.checked ? 'dark' : 'light'));
+    
+    // Close modals on outside click
+    Object.entries(MODAL_CLOSERS).forEach(([id, close]) => {
+        document.getElementById(id).addEventListener('click', e => {
+            if (e.target === e.currentTarget) {
+                close();
+            }
+        });
+    });
+
+    // Enter key on tower modal
+    ['towerFrequency', 'towerGroundElevation', 'towerAntennaHeight'].forEach(id => {
+        document.getElementById(id).addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                saveTower();
+            }
+        });
+    });
 }
 
 function setupResizer() {
@@ -796,14 +8418,29 @@ function setupResizer() {
 // Initialization
 // ============================================================================
 document.addEventListener('DOMContentLoaded', function() {
+    // Initialize theme first so the 'auto' basemap starts with the right tiles
+    const preferredTheme = localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
+    applyTheme(preferredTheme);
+
     initializeMap();
+    populateChannelSelect();
+    populateRainRegionSelect();
+    populateBandFilters();
     setupEventListeners();
     setMode('addTower');
     setupResizer();
+    updateTerrainControls();
+    updateFresnelZoneControls();
+    updateChannelControls();
+    updateRainControls();
+    updateHistoryControls();
+    updateMapLayerControls();
 
-    // Initialize theme
-    const preferredTheme = localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
-    applyTheme(preferredTheme);
+    // Open a shared plan from the URL, or restore the last used project (autosave)
+    initializeProjects();
+    updateOfflineControls();
+    updateOfflineStorage();
+    registerServiceWorker();
     
     console.log('RF Link Planner initialized successfully!');
 });
@@ -819,10 +8456,28 @@ window.deleteLink = function(linkId, skipConfirm = false) {
     }
     showConfirmationModal(
         `Delete Link ${link.id}?`,
-        `Are you sure you want to remove the link between ${link.tower1.name} and ${link.tower2.name}?`,
+        `Are you sure you want to remove the link ${getLinkLabel(link)}?`,
         () => performDeleteLink(linkId)
     );
 };
-window.updateTowerFrequency = updateTowerFrequency;
+window.updateTowerProperty = updateTowerProperty;
+window.updateRadioFrequency = updateRadioFrequency;
+window.updateRadioProperty = updateRadioProperty;
+window.updateLinkPolarization = updateLinkPolarization;
+window.addRadioToTower = addRadioToTower;
+window.requestRemoveRadio = requestRemoveRadio;
+window.requestRenameTower = requestRenameTower;
+window.updateTowerCoordinate = updateTowerCoordinate;
 window.showFresnelZone = showFresnelZone;
+window.handleListItemClick = handleListItemClick;
+window.handleListItemKeydown = handleListItemKeydown;
+window.showMoreListItems = showMoreListItems;
+window.selectMatchingItems = selectMatchingItems;
+window.setTowerChecked = setTowerChecked;
+window.setLinkChecked = setLinkChecked;
+window.toggleSuggestion = toggleSuggestion;
+window.setOverlayVisible = setOverlayVisible;
+window.setLayerOpacity = setLayerOpacity;
+window.requestRemoveMapLayer = requestRemoveMapLayer;
+window.selectAllSuggestions = selectAllSuggestions;
 window.state = state;
@@ -0,0 +1,133 @@
+// Geodesy regression tests
+// Checks the destination-point formula and the Fresnel footprint against reference geometries.
+// Run with `npm test` (Node 18 or later, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+
+function haversineMeters(a, b) {
+    // Independent of app.js so the tests don't check the code against itself
+    const R = 6371000;
+    const rad = degrees => degrees * Math.PI / 180;
+    const dLat = rad(b[0] - a[0]);
+    const dLng = rad(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[0])) * Math.cos(rad(b[0])) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function fresnelRadius(frequencyGHz, d1Meters, d2Meters) {
+    const wavelength = 299792458 / (frequencyGHz * 1e9);
+    return Math.sqrt(wavelength * d1Meters * d2Meters / (d1Meters + d2Meters));
+}
+
+function makeLink(lat1, lng1, lat2, lng2, frequency = 5.8) {
+    return { tower1: { lat: lat1, lng: lng1 }, tower2: { lat: lat2, lng: lng2 }, frequency };
+}
+
+function footprintSections(ring) {
+    // The ring runs down the left side and back up the right; pair each left point with its right one
+    const steps = ring.length / 2;
+    const sections = [];
+    for (let i = 1; i < steps; i++) {
+        sections.push({ fraction: i / steps, left: ring[i], right: ring[2 * steps - i] });
+    }
+    return sections;
+}
+
+// ============================================================================
+// calculateDestinationPoint
+// ============================================================================
+test('destination point matches the published spherical reference', () => {
+    // 53°19′14″N 001°43′47″W, bearing 096°01′18″, 124.8 km → 53°11′18″N 000°08′00″E
+    // (Chris Veness, "Calculate distance, bearing and more between Latitude/Longitude points")
+    const start = { lat: 53 + 19 / 60 + 14 / 3600, lng: -(1 + 43 / 60 + 47 / 3600) };
+    const point = app.calculateDestinationPoint(start.lat, start.lng, 96 + 1 / 60 + 18 / 3600, 124800);
+    assert.ok(Math.abs(point.lat - (53 + 11 / 60 + 18 / 3600)) < 2e-4, `lat ${point.lat}`);
+    assert.ok(Math.abs(point.lng - 8 / 60) < 2e-4, `lng ${point.lng}`);
+});
+
+test('destination point along the equator and meridian', () => {
+    const oneDegree = 6371000 * Math.PI / 180;
+    const east = app.calculateDestinationPoint(0, 10, 90, oneDegree);
+    assert.ok(Math.abs(east.lat) < 1e-9);
+    assert.ok(Math.abs(east.lng - 11) < 1e-9);
+    const north = app.calculateDestinationPoint(45, 10, 0, oneDegree);
+    assert.ok(Math.abs(north.lat - 46) < 1e-9);
+    assert.ok(Math.abs(north.lng - 10) < 1e-9);
+});
+
+test('destination point crosses the antimeridian without wrapping back', () => {
+    const point = app.calculateDestinationPoint(0, 179.9, 90, 0.2 * 6371000 * Math.PI / 180);
+    assert.ok(Math.abs(point.lng - 180.1) < 1e-9, `lng ${point.lng}`);
+});
+
+test('destination point at high latitude keeps the distance', () => {
+    const start = [85, 30];
+    [0, 45, 90, 180, 270].forEach(bearing => {
+        const point = app.calculateDestinationPoint(start[0], start[1], bearing, 50000);
+        assert.ok(Math.abs(haversineMeters(start, [point.lat, point.lng]) - 50000) < 0.01, `bearing ${bearing}`);
+    });
+});
+
+// ============================================================================
+// calculateFresnelFootprint
+// ============================================================================
+test('footprint half-width is the Fresnel radius at every cross-section', () => {
+    const link = makeLink(40, -75, 40.1, -74.9);
+    const ring = app.calculateFresnelFootprint(link);
+    const distance = haversineMeters([40, -75], [40.1, -74.9]);
+    footprintSections(ring).forEach(({ fraction, left, right }) => {
+        const expected = fresnelRadius(link.frequency, fraction * distance, (1 - fraction) * distance);
+        const width = haversineMeters(left, right);
+        assert.ok(Math.abs(width / 2 - expected) < expected * 0.005 + 0.01, `at ${fraction}: ${width / 2} vs ${expected}`);
+    });
+});
+
+test('footprint is sampled at the configured spacing', () => {
+    const ring = app.calculateFresnelFootprint(makeLink(40, -75, 40.1, -74.9), 1, 25);
+    const distance = haversineMeters([40, -75], [40.1, -74.9]);
+    assert.strictEqual(ring.length / 2, Math.ceil(distance / 25));
+    // Short links still get enough cross-sections for a smooth outline
+    const short = app.calculateFresnelFootprint(makeLink(40, -75, 40, -74.999), 1, 25);
+    assert.strictEqual(short.length / 2, 32);
+});
+
+test('footprint across the antimeridian stays continuous', () => {
+    const link = makeLink(-17, 179.95, -17.05, -179.95);
+    const ring = app.calculateFresnelFootprint(link);
+    ring.forEach(([, lng], i) => {
+        assert.ok(lng > 179.9 && lng < 180.1, `point ${i} at ${lng}`);
+        if (i > 0) assert.ok(Math.abs(lng - ring[i - 1][1]) < 0.01, `jump at point ${i}`);
+    });
+    // The far tower is drawn at 180.05° rather than -179.95°
+    const far = ring[ring.length / 2];
+    assert.ok(Math.abs(far[0] + 17.05) < 1e-9 && Math.abs(far[1] - 180.05) < 1e-9);
+});
+
+test('footprint at high latitude follows the great circle, not the rhumb line', () => {
+    // Between two points on 80°N the great circle bulges towards the pole; the rhumb line stays on 80°
+    const link = makeLink(80, 0, 80, 10);
+    const ring = app.calculateFresnelFootprint(link);
+    const middle = footprintSections(ring).find(section => section.fraction === 0.5);
+    const centre = [(middle.left[0] + middle.right[0]) / 2, (middle.left[1] + middle.right[1]) / 2];
+    // Great-circle midpoint of (80°N, 0°) and (80°N, 10°E): 80.0373°N, 5°E
+    assert.ok(Math.abs(centre[0] - 80.0373) < 1e-4, `lat ${centre[0]}`);
+    assert.ok(Math.abs(centre[1] - 5) < 1e-6, `lng ${centre[1]}`);
+
+    const distance = haversineMeters([80, 0], [80, 10]);
+    const expected = fresnelRadius(link.frequency, distance / 2, distance / 2);
+    assert.ok(Math.abs(haversineMeters(middle.left, middle.right) / 2 - expected) < expected * 0.005);
+});
+
+test('higher zones are wider by the square root of the zone number', () => {
+    const link = makeLink(40, -75, 40.1, -74.9);
+    const first = footprintSections(app.calculateFresnelFootprint(link, 1));
+    const fourth = footprintSections(app.calculateFresnelFootprint(link, 4));
+    assert.strictEqual(first.length, fourth.length);
+    const middle = Math.floor(first.length / 2);
+    const ratio = haversineMeters(fourth[middle].left, fourth[middle].right) / haversineMeters(first[middle].left, first[middle].right);
+    assert.ok(Math.abs(ratio - 2) < 1e-3, `ratio ${ratio}`);
+});
@@ -0,0 +1,21 @@
+// Loads app.js into a Node vm context for the regression tests
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// app.js is a browser script; the calculation functions only need its globals. The
+// Leaflet tile layer classes it extends at load time are never used here.
+function loadApp() {
+    const layerClass = { extend: () => function () {} };
+    const context = {
+        L: { TileLayer: { ...layerClass, WMS: layerClass } },
+        window: {},
+        document: { addEventListener() {} },
+        console
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context);
+    return context;
+}
+
+module.exports = { loadApp };
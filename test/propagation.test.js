@@ -0,0 +1,134 @@
+// Propagation regression tests
+// Pins the rain (ITU-R P.838-3, P.530) and gaseous absorption (P.676) models to published values.
+// Run with `npm test` (Node 18 or later, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+function withMargin(margin, run) {
+    // calculateAvailability takes the fade margin from the link budget; pin it instead of building radios
+    const original = app.calculateLinkBudget;
+    app.calculateLinkBudget = () => ({ worstMargin: margin, gaseousLoss: 0 });
+    try {
+        return run();
+    } finally {
+        app.calculateLinkBudget = original;
+    }
+}
+
+// ============================================================================
+// calculateRainCoefficients
+// ============================================================================
+test('rain coefficients match the ITU-R P.838-3 tables', () => {
+    // [frequency GHz, polarization, k, α] from the P.838-3 coefficient table, to the printed digits
+    const reference = [
+        [1, 'horizontal', '0.0000259', '0.9691'],
+        [1, 'vertical', '0.0000308', '0.8592'],
+        [10, 'horizontal', '0.01217', '1.2571'],
+        [10, 'vertical', '0.01129', '1.2156'],
+        [80, 'horizontal', '1.1704', '0.7115'],
+        [80, 'vertical', '1.1668', '0.7021']
+    ];
+    const halfLastDigit = value => 0.5 * 10 ** -value.split('.')[1].length;
+    reference.forEach(([frequency, polarization, k, alpha]) => {
+        const coefficients = app.calculateRainCoefficients(frequency, polarization);
+        assertClose(coefficients.k, Number(k), halfLastDigit(k), `k at ${frequency} GHz ${polarization}`);
+        assertClose(coefficients.alpha, Number(alpha), halfLastDigit(alpha), `α at ${frequency} GHz ${polarization}`);
+    });
+});
+
+test('rain coefficients are held to the fitted frequency range', () => {
+    const atMinimum = app.calculateRainCoefficients(1, 'vertical');
+    const below = app.calculateRainCoefficients(0.4, 'vertical');
+    assert.strictEqual(below.k, atMinimum.k);
+    assert.strictEqual(below.alpha, atMinimum.alpha);
+    const atMaximum = app.calculateRainCoefficients(1000, 'horizontal');
+    const above = app.calculateRainCoefficients(5000, 'horizontal');
+    assert.strictEqual(above.k, atMaximum.k);
+});
+
+// ============================================================================
+// calculateRainAttenuation and scaleRainAttenuation
+// ============================================================================
+test('rain attenuation is the specific attenuation over the effective path length', () => {
+    const rain = app.calculateRainAttenuation(18, 5, 'vertical', 42);
+    const { k, alpha } = app.calculateRainCoefficients(18, 'vertical');
+    assertClose(rain.specific, k * 42 ** alpha, 1e-12, 'specific attenuation');
+    assertClose(rain.attenuation, rain.specific * rain.effectiveLength, 1e-12, 'path attenuation');
+    // Short paths are lengthened by at most 2.5×
+    const short = app.calculateRainAttenuation(18, 0.05, 'vertical', 42);
+    assertClose(short.effectiveLength, 0.05 * 2.5, 1e-12, 'short path');
+    // Horizontal polarization fades more
+    assert.ok(app.calculateRainAttenuation(18, 5, 'horizontal', 42).attenuation > rain.attenuation);
+});
+
+test('rain fade scaling falls steadily with the time percentage', () => {
+    const fades = [0.001, 0.01, 0.1, 1].map(percentage => app.scaleRainAttenuation(10, 18, percentage));
+    // P.530 gives A₀.₀₁ back at 0.01% to within a few percent
+    assertClose(fades[1], 10, 0.05, 'fade at 0.01%');
+    for (let i = 1; i < fades.length; i++) {
+        assert.ok(fades[i] < fades[i - 1], `fade at index ${i}`);
+    }
+});
+
+// ============================================================================
+// calculateGaseousAttenuation
+// ============================================================================
+test('gaseous absorption peaks at about 15 dB/km at 60 GHz', () => {
+    assertClose(app.calculateGaseousAttenuation(60), 15.1, 0.1, 'oxygen peak');
+    assert.ok(app.calculateGaseousAttenuation(5.8) < 0.02);
+});
+
+test('gaseous absorption is continuous where the oxygen model changes', () => {
+    [57, 63].forEach(frequency => {
+        const below = app.calculateGaseousAttenuation(frequency - 1e-6);
+        const above = app.calculateGaseousAttenuation(frequency + 1e-6);
+        assertClose(above, below, 1e-4, `at ${frequency} GHz`);
+    });
+});
+
+test('gaseous absorption is held to the top of the approximation', () => {
+    assert.strictEqual(app.calculateGaseousAttenuation(1000), app.calculateGaseousAttenuation(350));
+});
+
+// ============================================================================
+// calculateAvailability
+// ============================================================================
+const rainyLink = { frequency: 18, distance: 5, polarization: 'vertical' };
+
+test('availability is none without a fade margin', () => {
+    [0, -3].forEach(margin => {
+        const availability = withMargin(margin, () => app.calculateAvailability(rainyLink));
+        assert.strictEqual(availability.bound, 'none', `margin ${margin}`);
+        assert.strictEqual(availability.percentage, null);
+    });
+});
+
+test('availability is a bound outside the 0.001% to 1% range of the scaling', () => {
+    const above = withMargin(1000, () => app.calculateAvailability(rainyLink));
+    assert.strictEqual(above.bound, 'above');
+    assert.strictEqual(above.percentage, 0.001);
+
+    const below = withMargin(0.01, () => app.calculateAvailability(rainyLink));
+    assert.strictEqual(below.bound, 'below');
+    assert.strictEqual(below.percentage, 1);
+});
+
+test('availability inside the range is where the rain fade uses up the margin', () => {
+    const availability = withMargin(15, () => app.calculateAvailability(rainyLink));
+    assert.strictEqual(availability.bound, null);
+    assert.ok(availability.percentage > 0.001 && availability.percentage < 1);
+    const fade = app.scaleRainAttenuation(availability.rain.attenuation, rainyLink.frequency, availability.percentage);
+    assertClose(fade, 15, 1e-6, 'fade at the outage percentage');
+
+    // More margin means less outage
+    const stronger = withMargin(20, () => app.calculateAvailability(rainyLink));
+    assert.ok(stronger.percentage < availability.percentage);
+});